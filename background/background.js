@@ -1,15 +1,49 @@
 // Main Service Worker for Web Automation Extension
 import { ConfigManager } from './modules/config-manager.js';
+import { DatasetExporter } from './modules/dataset-exporter.js';
+import { RunQueue } from './modules/run-queue.js';
+import { ScenarioScheduler } from './modules/scheduler.js';
+import { ScreenshotCapture } from './modules/screenshot-capture.js';
+import { ScreenshotStore } from './modules/screenshot-store.js';
 import { SessionManager } from './modules/session-manager.js';
 import { StorageManager } from './modules/storage-manager.js';
+import { SuiteRunner } from './modules/suite-runner.js';
+import { TabPool } from './modules/tab-pool.js';
+import { VisualComparator } from './modules/visual-comparator.js';
 import { WebsiteDetector } from './modules/website-detector.js';
 
 class AutomationBackground {
   constructor() {
     this.configManager = new ConfigManager();
-    this.sessionManager = new SessionManager();
     this.storageManager = new StorageManager();
+    this.sessionManager = new SessionManager(this.storageManager);
     this.websiteDetector = new WebsiteDetector();
+    this.screenshotCapture = new ScreenshotCapture();
+    this.screenshotStore = new ScreenshotStore();
+    this.visualComparator = new VisualComparator(this.screenshotCapture);
+    this.datasetExporter = new DatasetExporter();
+    this.tabPool = new TabPool(this.sessionManager, this.waitForContentScript.bind(this));
+    this.runQueue = new RunQueue(this.storageManager, this.sessionManager, {
+      runScenario: this.runScenario.bind(this),
+      stopRun: (item) => this.stopAutomation(item.tabId),
+      onChange: this.handleRunQueueChange.bind(this),
+      onFinished: this.handleRunFinished.bind(this)
+    });
+    // Scheduled runs go through the queue so they respect the concurrency limit
+    this.scheduler = new ScenarioScheduler(this.storageManager, this.enqueueRun.bind(this));
+    this.suiteRunner = new SuiteRunner(this.storageManager, this.sessionManager, {
+      enqueueRun: this.enqueueRun.bind(this),
+      cancelRun: this.cancelRun.bind(this)
+    });
+    
+    // Named alarms survive service worker suspension, unlike setInterval
+    this.ALARMS = {
+      SESSION_CLEANUP: {
+        name: 'wa_session_cleanup',
+        periodInMinutes: 60,
+        handler: () => this.cleanupSessions()
+      }
+    };
     
     this.init();
   }
@@ -24,7 +58,16 @@ class AutomationBackground {
     await this.initializeDefaultConfigs();
     
     // Setup periodic cleanup
-    this.setupPeriodicTasks();
+    await this.setupPeriodicTasks();
+    
+    // Scheduled runs: re-create alarms, record runs missed while suspended
+    await this.scheduler.restoreAlarms();
+    
+    // Free slots held by runs that ended while the worker was suspended
+    await this.runQueue.reconcile();
+    
+    // Badge may be stale after the worker was suspended
+    await this.updateBadge();
   }
 
   setupEventListeners() {
@@ -34,11 +77,20 @@ class AutomationBackground {
     // Tab updates for website detection
     chrome.tabs.onUpdated.addListener(this.handleTabUpdate.bind(this));
     
+    // Closed automation tabs end their session and free their queue slot
+    chrome.tabs.onRemoved.addListener(this.handleTabRemoved.bind(this));
+    
     // Message handling from popup/content scripts
     chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
     
     // Storage changes
     chrome.storage.onChanged.addListener(this.handleStorageChange.bind(this));
+    
+    // Periodic work
+    chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+    
+    // Session lifecycle drives badge and status updates
+    this.sessionManager.onStateChange(this.handleSessionStateChange.bind(this));
   }
 
   async handleInstall(details) {
@@ -56,6 +108,9 @@ class AutomationBackground {
 
   async handleTabUpdate(tabId, changeInfo, tab) {
     if (changeInfo.status === 'complete' && tab.url) {
+      // A new document in a tab with an active session needs the session back
+      await this.restoreSessionInTab(tabId);
+      
       try {
         // Detect website and update popup
         const websiteConfig = await this.websiteDetector.detectWebsite(tab.url);
@@ -78,6 +133,18 @@ class AutomationBackground {
     }
   }
 
+  async handleTabRemoved(tabId) {
+    try {
+      const session = await this.sessionManager.getActiveSession(tabId);
+      if (session) {
+        await this.sessionManager.endSession(session.id, 'stopped', 'tab_closed');
+        console.log(`🗙 Tab ${tabId} closed, stopped session: ${session.id}`);
+      }
+    } catch (error) {
+      console.error('Error in tab removed handler:', error);
+    }
+  }
+
   async handleMessage(message, sender, sendResponse) {
     console.log('📩 Received message:', message.type);
     
@@ -95,6 +162,12 @@ class AutomationBackground {
         case 'PAUSE_AUTOMATION':
           return await this.pauseAutomation(sender.tab?.id);
           
+        case 'RESUME_AUTOMATION':
+          return await this.resumeAutomation(sender.tab?.id);
+          
+        case 'CONTENT_SCRIPT_READY':
+          return await this.getRestorePayload(sender.tab?.id);
+          
         case 'GET_SESSION_STATUS':
           return await this.getSessionStatus(sender.tab?.id);
           
@@ -113,6 +186,99 @@ class AutomationBackground {
         case 'IMPORT_DATA':
           return await this.importData(message.data);
           
+        case 'GET_SCHEDULES':
+          return await this.getSchedules();
+          
+        case 'SAVE_SCHEDULE':
+          return await this.saveSchedule(message.data);
+          
+        case 'DELETE_SCHEDULE':
+          return await this.deleteSchedule(message.data.scheduleId);
+          
+        case 'RUN_SCHEDULE_NOW':
+          return await this.runScheduleNow(message.data.scheduleId);
+          
+        case 'GET_RUN_QUEUE':
+          return await this.getRunQueue();
+          
+        case 'ENQUEUE_RUN':
+          return await this.enqueueRun(message.data);
+          
+        case 'CANCEL_RUN':
+          return await this.cancelRun(message.data.itemId);
+          
+        case 'REPRIORITIZE_RUN':
+          return await this.reprioritizeRun(message.data.itemId, message.data.priority);
+          
+        case 'CLEAR_FINISHED_RUNS':
+          return await this.clearFinishedRuns();
+          
+        case 'GET_SUITES':
+          return await this.getSuites();
+          
+        case 'SAVE_SUITE':
+          return await this.saveSuite(message.data);
+          
+        case 'DELETE_SUITE':
+          return await this.deleteSuite(message.data.suiteId);
+          
+        case 'RUN_SUITE':
+          return await this.runSuite(message.data.suiteId);
+          
+        case 'GET_SUITE_RUNS':
+          return await this.getSuiteRuns();
+          
+        case 'CANCEL_SUITE_RUN':
+          return await this.cancelSuiteRun(message.data.suiteRunId);
+          
+        case 'CAPTURE_SCREENSHOT':
+          return await this.captureScreenshot(message.data, sender.tab?.id);
+          
+        case 'VISUAL_CHECK':
+          return await this.runVisualCheck(message.data, sender.tab?.id);
+          
+        case 'ACCEPT_BASELINE':
+          return await this.acceptBaseline(message.data.screenshotId);
+          
+        case 'GET_BASELINES':
+          return await this.getBaselines(message.data?.domain);
+          
+        case 'DELETE_BASELINE':
+          return await this.deleteBaseline(message.data.domain, message.data.name);
+          
+        case 'GET_SCREENSHOT_SESSIONS':
+          return await this.getScreenshotSessions();
+          
+        case 'GET_SCREENSHOTS':
+          return await this.getScreenshots(message.data.sessionId);
+          
+        case 'GET_SCREENSHOT':
+          return await this.getScreenshot(message.data.screenshotId);
+          
+        case 'DELETE_SCREENSHOT':
+          return await this.deleteScreenshot(message.data.screenshotId);
+          
+        case 'GET_FLOWS':
+          return await this.getFlows();
+          
+        case 'SAVE_FLOW':
+          return await this.saveFlow(message.data.name, message.data.flow);
+          
+        case 'DELETE_FLOW':
+          return await this.deleteFlow(message.data.name);
+          
+        case 'APPEND_DATASET':
+          return await this.appendDataset(message.data, sender.tab?.id);
+          
+        case 'GET_DATASET_SESSIONS':
+          return await this.getDatasetSessions();
+          
+        case 'EXPORT_DATASET':
+          return await this.exportDataset(message.data.sessionId, message.data.dataset, message.data.format);
+          
+        case 'EXPORT_SUITE_REPORT':
+          return await this.exportSuiteReport(message.data.suiteRunId, message.data.format);
+          
         default:
           console.warn('Unknown message type:', message.type);
           return { success: false, error: 'Unknown message type' };
@@ -160,11 +326,11 @@ class AutomationBackground {
 
   async updateExtensionIcon(tabId, websiteType) {
     const iconMap = {
-      'ecommerce': 'icons/icon-ecommerce.png',
-      'social': 'icons/icon-social.png',
-      'news': 'icons/icon-news.png',
-      'video': 'icons/icon-video.png',
-      'default': 'icons/icon-32.png'
+      ecommerce: 'icons/icon-ecommerce.png',
+      social: 'icons/icon-social.png',
+      news: 'icons/icon-news.png',
+      video: 'icons/icon-video.png',
+      default: 'icons/icon-32.png'
     };
 
     const iconPath = iconMap[websiteType] || iconMap.default;
@@ -185,37 +351,62 @@ class AutomationBackground {
     
     return {
       success: true,
-      data: websiteConfig
+      data: websiteConfig ? this.configManager.processConfig(websiteConfig) : null
     };
   }
 
+  async resolveFlows(websiteConfig) {
+    // Shared library flows, overridden by the site config's own flows
+    const library = await this.storageManager.getFlows();
+    return { ...library, ...websiteConfig.flows };
+  }
+
   async startAutomation(data, tabId) {
     try {
-      const { scenarioId, websiteConfig } = data;
+      const { domain, scenarioId } = data;
+      
+      // Configs are loaded (and processed once) here, never taken from the caller
+      const config = await this.configManager.loadWebsiteConfig(domain);
+      if (!config?.scenarios?.[scenarioId]) {
+        throw new Error(`Scenario not found: ${domain} / ${scenarioId}`);
+      }
+      
+      // Copy, so resolved flows never leak into the cached config
+      const websiteConfig = { ...config, flows: await this.resolveFlows(config) };
       
       // Create new session
       const session = await this.sessionManager.createSession({
         tabId,
         scenarioId,
         websiteConfig,
+        trigger: data.trigger,
         startTime: Date.now()
       });
 
       // Send start command to content script
-      await chrome.tabs.sendMessage(tabId, {
-        type: 'START_AUTOMATION',
-        data: {
-          sessionId: session.id,
-          scenario: websiteConfig.scenarios[scenarioId],
-          selectors: websiteConfig.selectors
-        }
-      });
+      try {
+        await chrome.tabs.sendMessage(tabId, {
+          type: 'START_AUTOMATION',
+          data: {
+            sessionId: session.id,
+            scenario: websiteConfig.scenarios[scenarioId],
+            selectors: websiteConfig.selectors,
+            flows: websiteConfig.flows,
+            settings: await this.storageManager.getSettings()
+          }
+        });
+      } catch (error) {
+        await this.sessionManager.endSession(session.id, 'failed', 'content_script_unreachable');
+        throw error;
+      }
+      
+      await this.sessionManager.startSession(session.id);
 
       console.log(`🎬 Started automation session: ${session.id}`);
       
       return {
         success: true,
-        data: { sessionId: session.id }
+        data: { sessionId: session.id, tabId }
       };
     } catch (error) {
       console.error('Failed to start automation:', error);
@@ -226,6 +417,49 @@ class AutomationBackground {
     }
   }
 
+  async runScenario({ domain, scenarioId, url, trigger }) {
+    try {
+      const websiteConfig = await this.configManager.loadWebsiteConfig(domain);
+      if (!websiteConfig?.scenarios?.[scenarioId]) {
+        throw new Error(`Scenario not found: ${domain} / ${scenarioId}`);
+      }
+      
+      const tabId = await this.tabPool.acquire(url || `https://${domain}/`);
+      
+      try {
+        return await this.startAutomation({ domain, scenarioId, trigger }, tabId);
+      } finally {
+        // The session now marks the tab busy, or the start failed and the tab is free again
+        this.tabPool.release(tabId);
+      }
+    } catch (error) {
+      console.error('Failed to run scenario:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async waitForContentScript(tabId, timeout = 30000) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeout) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.status === 'complete') {
+          const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_STATUS' });
+          if (response?.success) {
+            return true;
+          }
+        }
+      } catch (error) {
+        // Content script not injected yet
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    
+    throw new Error(`Tab ${tabId} not ready within ${timeout}ms`);
+  }
+
   async stopAutomation(tabId) {
     try {
       const session = await this.sessionManager.getActiveSession(tabId);
@@ -270,6 +504,86 @@ class AutomationBackground {
     }
   }
 
+  async resumeAutomation(tabId) {
+    try {
+      const session = await this.sessionManager.getActiveSession(tabId);
+      
+      if (session) {
+        await this.sessionManager.resumeSession(session.id);
+        
+        // Send resume command to content script
+        await chrome.tabs.sendMessage(tabId, {
+          type: 'RESUME_AUTOMATION'
+        });
+        
+        console.log(`▶️ Resumed automation session: ${session.id}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to resume automation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getRestorePayload(tabId) {
+    try {
+      const session = await this.sessionManager.getActiveSession(tabId);
+      
+      // Only sessions that already started can be continued
+      if (!session || !['running', 'paused'].includes(session.status)) {
+        return { success: true, data: null };
+      }
+      
+      let { scenario, selectors, flows } = session;
+      if (!scenario) {
+        const websiteConfig = await this.configManager.loadWebsiteConfig(session.domain);
+        scenario = websiteConfig?.scenarios?.[session.scenarioId];
+        selectors = websiteConfig?.selectors;
+        flows = websiteConfig && await this.resolveFlows(websiteConfig);
+      }
+      
+      if (!scenario) {
+        await this.sessionManager.endSession(session.id, 'failed', 'scenario_unavailable');
+        return { success: false, error: `Scenario not available: ${session.scenarioId}` };
+      }
+      
+      return {
+        success: true,
+        data: {
+          sessionId: session.id,
+          status: session.status,
+          scenario,
+          selectors,
+          flows: flows || {},
+          settings: await this.storageManager.getSettings(),
+          progress: session.progress
+        }
+      };
+    } catch (error) {
+      console.error('Failed to build restore payload:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async restoreSessionInTab(tabId) {
+    const response = await this.getRestorePayload(tabId);
+    if (!response.success || !response.data) {
+      return;
+    }
+    
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'RESTORE_SESSION',
+        data: response.data
+      });
+      console.log(`♻️ Restored session ${response.data.sessionId} in tab ${tabId}`);
+    } catch (error) {
+      // Content script not ready yet, it will ask via CONTENT_SCRIPT_READY
+      console.debug('Content script not reachable for restore:', error.message);
+    }
+  }
+
   async getSessionStatus(tabId) {
     try {
       const session = await this.sessionManager.getActiveSession(tabId);
@@ -314,6 +628,23 @@ class AutomationBackground {
           ...data,
           timestamp: Date.now()
         });
+        
+        // Capture page state on errors when screenshot mode is on; capturing
+        // may focus the tab, so it runs after the content script got its reply
+        if (data.actionType === 'error') {
+          setTimeout(() => {
+            this.captureErrorScreenshot(data, tabId)
+              .catch(error => console.error('Failed to capture error screenshot:', error));
+          }, 0);
+        }
+        
+        // Keep session state in sync with lifecycle events reported by the content script
+        const nextState = this.getSessionStateForAction(data.actionType);
+        if (nextState && this.sessionManager.canTransition(session.status, nextState)) {
+          await this.sessionManager.transition(session.id, nextState, {
+            reason: data.reason || data.actionType
+          });
+        }
       }
 
       return { success: true };
@@ -322,6 +653,19 @@ class AutomationBackground {
     }
   }
 
+  getSessionStateForAction(actionType) {
+    const states = {
+      session_paused: 'paused',
+      session_resumed: 'running',
+      session_completed: 'completed',
+      session_timeout: 'timed_out',
+      session_aborted: 'failed',
+      session_ended: 'stopped'
+    };
+    
+    return states[actionType] || null;
+  }
+
   async saveConfig(configData) {
     try {
       await this.configManager.saveWebsiteConfig(configData);
@@ -343,12 +687,479 @@ class AutomationBackground {
   async importData(data) {
     try {
       await this.storageManager.importAllData(data);
+      
+      // Imported schedules have no alarms until they are synced
+      await this.scheduler.syncImportedSchedules(Object.keys(data.data.schedules || {}));
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSchedules() {
+    try {
+      const schedules = await this.scheduler.listSchedules();
+      return { success: true, data: schedules };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveSchedule(scheduleData) {
+    try {
+      const schedule = await this.scheduler.saveSchedule(scheduleData);
+      return { success: true, data: schedule };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    try {
+      await this.scheduler.deleteSchedule(scheduleId);
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  async runScheduleNow(scheduleId) {
+    try {
+      const schedule = await this.scheduler.runSchedule(scheduleId);
+      return { success: true, data: schedule };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getRunQueue() {
+    try {
+      const items = await this.runQueue.listItems();
+      return { success: true, data: items };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async enqueueRun(runData) {
+    try {
+      const item = await this.runQueue.enqueue(runData);
+      return { success: true, data: item };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelRun(itemId) {
+    try {
+      const item = await this.runQueue.cancel(itemId);
+      return { success: true, data: item };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async reprioritizeRun(itemId, priority) {
+    try {
+      const item = await this.runQueue.reprioritize(itemId, priority);
+      return { success: true, data: item };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async clearFinishedRuns() {
+    try {
+      const removed = await this.runQueue.clearFinished();
+      return { success: true, data: { removed } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSuites() {
+    try {
+      const suites = await this.suiteRunner.listSuites();
+      return { success: true, data: suites };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveSuite(suiteData) {
+    try {
+      const suite = await this.suiteRunner.saveSuite(suiteData);
+      return { success: true, data: suite };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteSuite(suiteId) {
+    try {
+      await this.suiteRunner.deleteSuite(suiteId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getFlows() {
+    try {
+      const flows = await this.storageManager.getFlows();
+      return { success: true, data: flows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveFlow(name, flowData) {
+    try {
+      const { flow, errors } = this.configManager.processFlow(name, flowData);
+      if (errors.length > 0) {
+        throw new Error(`Invalid flow: ${errors.join(', ')}`);
+      }
+      
+      const saved = await this.storageManager.saveFlow(name, flow);
+      if (!saved) {
+        throw new Error(`Failed to save flow ${name}`);
+      }
+      
+      return { success: true, data: flow };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteFlow(name) {
+    try {
+      const deleted = await this.storageManager.deleteFlow(name);
+      if (!deleted) {
+        throw new Error(`Failed to delete flow ${name}`);
+      }
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async runSuite(suiteId) {
+    try {
+      const suiteRun = await this.suiteRunner.startSuite(suiteId);
+      return { success: true, data: suiteRun };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSuiteRuns() {
+    try {
+      const suiteRuns = await this.suiteRunner.listSuiteRuns();
+      return { success: true, data: suiteRuns };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelSuiteRun(suiteRunId) {
+    try {
+      const suiteRun = await this.suiteRunner.cancelSuiteRun(suiteRunId);
+      return { success: true, data: suiteRun };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async exportSuiteReport(suiteRunId, format = 'json') {
+    try {
+      const report = await this.suiteRunner.createReport(suiteRunId, format);
+      return { success: true, data: report };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async appendDataset(data, tabId) {
+    try {
+      const session = await this.sessionManager.getActiveSession(tabId);
+      if (!session) {
+        throw new Error('No active session for this tab');
+      }
+      
+      const result = await this.sessionManager.appendDataset(session.id, data.dataset, data.rows || [], data.key || null);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDatasetSessions() {
+    try {
+      const sessions = await this.sessionManager.listDatasetSessions();
+      return { success: true, data: sessions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async exportDataset(sessionId, dataset, format = 'csv') {
+    try {
+      const session = await this.sessionManager.getSession(sessionId);
+      if (!session) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+      
+      const rows = await this.sessionManager.getDataset(sessionId, dataset);
+      return { success: true, data: this.datasetExporter.createExport(session, dataset, rows, format) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async captureScreenshot(data = {}, tabId) {
+    try {
+      const { screenshot } = await this.storeScreenshot(data, tabId);
+      
+      return {
+        success: true,
+        data: { screenshotId: screenshot.id, filename: screenshot.filename }
+      };
+    } catch (error) {
+      console.error('Failed to capture screenshot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async storeScreenshot(data, tabId) {
+    if (tabId === undefined) {
+      throw new Error('Screenshots can only be captured from a tab');
+    }
+    
+    const session = await this.sessionManager.getActiveSession(tabId);
+    const capture = await this.screenshotCapture.capture(tabId, {
+      fullPage: data.fullPage,
+      region: data.element?.rect || null
+    });
+    
+    const filename = this.getScreenshotFilename(data.filename);
+    const screenshot = await this.screenshotStore.save({
+      sessionId: session?.id || this.screenshotStore.UNASSIGNED_SESSION_ID,
+      scenarioId: session?.scenarioId || null,
+      tabId,
+      filename,
+      reason: data.reason || 'manual',
+      mode: data.element ? 'element' : data.fullPage ? 'full_page' : 'viewport',
+      target: data.element?.selector || null,
+      step: data.step || null,
+      url: capture.url,
+      title: capture.title,
+      width: capture.width || null,
+      height: capture.height || null,
+      dataUrl: capture.dataUrl
+    });
+    
+    if (session) {
+      await this.sessionManager.logAction(session.id, {
+        actionType: 'screenshot_captured',
+        screenshotId: screenshot.id,
+        filename,
+        reason: screenshot.reason,
+        timestamp: Date.now()
+      });
+    }
+    
+    return { screenshot, session };
+  }
+
+  async runVisualCheck(data, tabId) {
+    try {
+      if (!data.baseline) {
+        throw new Error('visual_check requires a baseline name');
+      }
+      
+      const { screenshot, session } = await this.storeScreenshot({
+        ...data,
+        filename: `visual_${data.baseline}_${Date.now()}`,
+        reason: 'visual_check'
+      }, tabId);
+      
+      const domain = session?.domain || new URL(screenshot.url).hostname;
+      const baseline = await this.screenshotStore.getBaseline(domain, data.baseline);
+      
+      // First run establishes the baseline
+      if (!baseline) {
+        await this.screenshotStore.saveBaseline(domain, data.baseline, this.getBaselineImage(screenshot));
+        const visualCheck = { domain, baseline: data.baseline, passed: true, baselineCreated: true };
+        await this.screenshotStore.update(screenshot.id, { visualCheck });
+        
+        return { success: true, data: { ...visualCheck, screenshotId: screenshot.id } };
+      }
+      
+      // Ignore regions arrive in CSS pixels relative to the captured area
+      const scale = data.devicePixelRatio || 1;
+      const comparison = await this.visualComparator.compare(screenshot.dataUrl, baseline.dataUrl, {
+        threshold: data.threshold,
+        tolerance: data.tolerance,
+        ignoreRegions: (data.ignoreRegions || []).map(region => ({
+          x: region.x * scale,
+          y: region.y * scale,
+          width: region.width * scale,
+          height: region.height * scale
+        }))
+      });
+      
+      let diffScreenshotId = null;
+      if (comparison.diffDataUrl) {
+        const diff = await this.screenshotStore.save({
+          sessionId: screenshot.sessionId,
+          scenarioId: screenshot.scenarioId,
+          tabId,
+          filename: screenshot.filename.replace(/\.png$/, '_diff.png'),
+          reason: 'visual_diff',
+          mode: screenshot.mode,
+          target: screenshot.target,
+          step: screenshot.step,
+          url: screenshot.url,
+          title: screenshot.title,
+          dataUrl: comparison.diffDataUrl
+        });
+        diffScreenshotId = diff.id;
+      }
+      
+      const { diffDataUrl, ...result } = comparison;
+      const visualCheck = { domain, baseline: data.baseline, diffScreenshotId, ...result };
+      await this.screenshotStore.update(screenshot.id, { visualCheck });
+      
+      return { success: true, data: { ...visualCheck, screenshotId: screenshot.id } };
+    } catch (error) {
+      console.error('Visual check failed to run:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async acceptBaseline(screenshotId) {
+    try {
+      const screenshot = await this.screenshotStore.get(screenshotId);
+      if (!screenshot?.visualCheck) {
+        throw new Error(`Not a visual check screenshot: ${screenshotId}`);
+      }
+      
+      const { domain, baseline } = screenshot.visualCheck;
+      await this.screenshotStore.saveBaseline(domain, baseline, this.getBaselineImage(screenshot));
+      await this.screenshotStore.update(screenshotId, {
+        visualCheck: { ...screenshot.visualCheck, accepted: true, acceptedAt: Date.now() }
+      });
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  getBaselineImage(screenshot) {
+    return {
+      dataUrl: screenshot.dataUrl,
+      mode: screenshot.mode,
+      target: screenshot.target,
+      url: screenshot.url,
+      sourceScreenshotId: screenshot.id
+    };
+  }
+
+  async getBaselines(domain = null) {
+    try {
+      const baselines = await this.screenshotStore.listBaselines(domain);
+      return { success: true, data: baselines };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteBaseline(domain, name) {
+    try {
+      await this.screenshotStore.deleteBaseline(domain, name);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async captureErrorScreenshot(errorData, tabId) {
+    const settings = await this.storageManager.getSettings();
+    if (!settings.screenshotMode) {
+      return;
+    }
+    
+    await this.captureScreenshot({
+      filename: `error_${errorData.errorType || 'unknown'}_${Date.now()}`,
+      reason: 'error',
+      step: {
+        // action is a name for action errors, the micro action for step errors
+        action: typeof errorData.action === 'string' ? errorData.action : errorData.action?.name || errorData.action?.type || null,
+        name: errorData.errorType || null,
+        error: errorData.error?.message || null
+      }
+    }, tabId);
+  }
+
+  getScreenshotFilename(filename) {
+    const baseName = String(filename || `screenshot_${Date.now()}`)
+      .replace(/[\\/:*?"<>|]+/g, '_')
+      .replace(/\.png$/i, '');
+    
+    return `${baseName}.png`;
+  }
+
+  async getScreenshotSessions() {
+    try {
+      const sessions = await this.screenshotStore.listSessions();
+      return { success: true, data: sessions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getScreenshots(sessionId) {
+    try {
+      const screenshots = await this.screenshotStore.listBySession(sessionId);
+      return { success: true, data: screenshots };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getScreenshot(screenshotId) {
+    try {
+      const screenshot = await this.screenshotStore.get(screenshotId);
+      if (!screenshot) {
+        throw new Error(`Screenshot not found: ${screenshotId}`);
+      }
+      
+      return { success: true, data: screenshot };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteScreenshot(screenshotId) {
+    try {
+      await this.screenshotStore.delete(screenshotId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cleanupSessions() {
+    await this.sessionManager.cleanupOldSessions();
+    
+    // Drop screenshots whose session was cleaned up, and old ones taken outside a session
+    const sessions = await this.storageManager.getSessions();
+    await this.screenshotStore.cleanup(Object.keys(sessions));
+  }
+
   async injectWebsiteScript(tabId, websiteConfig) {
     // Inject additional scripts if needed for specific websites
     if (websiteConfig.customScript) {
@@ -376,22 +1187,102 @@ class AutomationBackground {
     await this.storageManager.migrateData(previousVersion);
   }
 
-  setupPeriodicTasks() {
-    // Cleanup old sessions every hour
-    setInterval(async () => {
-      await this.sessionManager.cleanupOldSessions();
-    }, 60 * 60 * 1000);
+  async setupPeriodicTasks() {
+    // Re-create named alarms that are missing (browser restart, extension update)
+    for (const alarm of Object.values(this.ALARMS)) {
+      try {
+        const existing = await chrome.alarms.get(alarm.name);
+        if (!existing) {
+          await chrome.alarms.create(alarm.name, { periodInMinutes: alarm.periodInMinutes });
+          console.log(`⏰ Alarm created: ${alarm.name}`);
+        }
+      } catch (error) {
+        console.error(`Failed to create alarm ${alarm.name}:`, error);
+      }
+    }
+  }
 
-    // Update extension badge with active sessions count
-    setInterval(async () => {
+  async handleAlarm(alarm) {
+    if (this.scheduler.ownsAlarm(alarm.name)) {
+      await this.scheduler.handleAlarm(alarm);
+      return;
+    }
+    
+    const definition = Object.values(this.ALARMS).find(({ name }) => name === alarm.name);
+    
+    if (!definition) {
+      console.warn('Unknown alarm:', alarm.name);
+      return;
+    }
+    
+    try {
+      await definition.handler(alarm);
+    } catch (error) {
+      console.error(`Alarm ${alarm.name} failed:`, error);
+    }
+  }
+
+  async handleSessionStateChange(session, fromState) {
+    await this.updateBadge();
+    
+    if (this.sessionManager.isTerminal(session.status)) {
+      if (session.trigger?.type === 'schedule') {
+        await this.scheduler.recordSessionOutcome(session);
+      }
+      
+      // Frees the queue slot and dispatches the next run
+      await this.runQueue.recordSessionOutcome(session);
+    }
+    
+    // Notify popup if open
+    chrome.runtime.sendMessage({
+      type: 'SESSION_STATE_CHANGED',
+      data: {
+        sessionId: session.id,
+        tabId: session.tabId,
+        from: fromState,
+        status: session.status
+      }
+    }).catch(() => {}); // Ignore if popup not open
+  }
+
+  handleRunQueueChange(items) {
+    // Notify popup if open
+    chrome.runtime.sendMessage({
+      type: 'RUN_QUEUE_UPDATED',
+      data: { items }
+    }).catch(() => {}); // Ignore if popup not open
+  }
+
+  async handleRunFinished(item) {
+    // Suite runs continue with their next scenario
+    await this.suiteRunner.handleRunFinished(item);
+    
+    // Scheduled runs that never got a session still need an outcome
+    if (item.trigger?.type === 'schedule' && !item.sessionId) {
+      await this.scheduler.recordSessionOutcome({
+        id: null,
+        trigger: item.trigger,
+        status: item.status,
+        endTime: item.finishedAt,
+        endReason: item.error
+      });
+    }
+  }
+
+  async updateBadge() {
+    try {
+      // Update extension badge with active sessions count
       const activeSessions = await this.sessionManager.getActiveSessions();
       const badgeText = activeSessions.length > 0 ? activeSessions.length.toString() : '';
       
       await chrome.action.setBadgeText({ text: badgeText });
       await chrome.action.setBadgeBackgroundColor({ color: '#667eea' });
-    }, 10000);
+    } catch (error) {
+      console.error('Failed to update badge:', error);
+    }
   }
 }
 
 // Initialize the background service
-new AutomationBackground();
\ No newline at end of file
+self.automationBackground = new AutomationBackground();
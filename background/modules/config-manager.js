@@ -1,12 +1,36 @@
+import { ExpressionParser } from './expression-parser.js';
+import { ScenarioSchema } from './scenario-schema.js';
+import { TemplateExpander } from './template-expander.js';
+
 /**
  * Configuration Manager - Handle website configurations and scenarios
  */
 export class ConfigManager {
   constructor() {
+    this.scenarioSchema = new ScenarioSchema();
+    this.expressionParser = new ExpressionParser();
     this.configs = new Map();
     this.templates = new Map();
     this.lastLoadTime = 0;
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+    
+    // navigation_probability modifiers: "<effect> when <condition>", e.g. "+0.2 when time > 80%"
+    this.MODIFIER_PATTERN = /^\s*([+\-*=])\s*(\d+(?:\.\d+)?|\.\d+)(%?)\s*(?:\bwhen\b\s*(.*))?$/is;
+    
+    // Percent literal in a modifier condition ("80%", not "10 % 3" or "10%3"); strings are skipped
+    this.PERCENT_LITERAL_PATTERN = /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?|\.\d+)%(?!\s*[\w.(])/g;
+    
+    // Variables NavigationDecider computes each tick; ratios are 0-1
+    this.NAVIGATION_VARIABLES = {
+      time: 'elapsed share of the target session duration',
+      progress: 'average completion of required metrics',
+      expected: 'progress expected by now (same as time)',
+      time_on_page: 'seconds on the current page',
+      min: 'page stay_duration min in seconds',
+      max: 'page stay_duration max in seconds',
+      page_visits: 'visits to the current page type',
+      actions_on_page: 'actions run since entering the current page'
+    };
   }
 
   /**
@@ -72,7 +96,6 @@ export class ConfigManager {
       
       console.log(`✅ Website configuration saved: ${domain}`);
       return true;
-      
     } catch (error) {
       console.error('Failed to save website config:', error);
       throw error;
@@ -128,9 +151,11 @@ export class ConfigManager {
 
   /**
    * Process and enhance configuration
+   * Scenarios are normalized to the canonical camelCase model consumed by the content script
    */
   processConfig(config) {
     const processed = JSON.parse(JSON.stringify(config)); // Deep clone
+    const warnings = [];
     
     // Add default values
     processed.website = {
@@ -144,15 +169,40 @@ export class ConfigManager {
       processed.selectors = this.processSelectors(processed.selectors);
     }
     
+    // Site-level micro action defaults, layered under scenario defaults
+    const siteDefaults = processed.microActionDefaults || processed.micro_action_defaults;
+    if (siteDefaults) {
+      const normalized = this.scenarioSchema.normalize(siteDefaults, 'microActionDefaults', 'micro_action_defaults');
+      warnings.push(...normalized.warnings);
+      
+      delete processed.micro_action_defaults;
+      processed.microActionDefaults = normalized.value;
+    }
+    
+    // Flows callable with `call` steps
+    if (processed.flows) {
+      processed.flows = this.processFlows(processed.flows, warnings, processed.templates);
+    }
+    
     // Process scenarios
     if (processed.scenarios) {
-      processed.scenarios = this.processScenarios(processed.scenarios);
+      processed.scenarios = this.processScenarios(
+        processed.scenarios,
+        warnings,
+        processed.templates,
+        processed.microActionDefaults
+      );
+    }
+    
+    if (warnings.length > 0) {
+      console.warn(`⚠️ Configuration warnings for ${processed.website.domain}:`, warnings);
     }
     
     // Add metadata
     processed._metadata = {
       processedAt: Date.now(),
-      version: '2.1.0'
+      version: '2.1.0',
+      warnings
     };
     
     return processed;
@@ -198,7 +248,7 @@ export class ConfigManager {
     if (processed.url_pattern && typeof processed.url_pattern === 'string') {
       try {
         // Validate regex pattern
-        new RegExp(processed.url_pattern);
+        RegExp(processed.url_pattern);
       } catch (error) {
         console.warn('Invalid URL pattern:', processed.url_pattern);
         processed.url_pattern = '.*'; // Fallback to match all
@@ -211,30 +261,119 @@ export class ConfigManager {
   /**
    * Process scenarios with validation and defaults
    */
-  processScenarios(scenarios) {
+  processScenarios(scenarios, warnings = [], templates = {}, siteDefaults = {}) {
     const processed = {};
+    const templateExpander = this.createTemplateExpander(templates, warnings);
     
     for (const [scenarioId, scenario] of Object.entries(scenarios)) {
-      processed[scenarioId] = this.processScenario(scenario, scenarioId);
+      if (scenarioId.startsWith('_')) continue;
+      
+      const normalized = this.normalizeScenario(scenario, scenarioId);
+      warnings.push(...normalized.warnings);
+      
+      try {
+        processed[scenarioId] = this.processScenario(normalized.value, scenarioId, templateExpander, siteDefaults);
+      } catch (error) {
+        warnings.push(`scenarios.${scenarioId}: skipped, ${error.message}`);
+      }
     }
     
     return processed;
   }
 
   /**
-   * Process individual scenario
+   * Process config-level flows; invalid flows are skipped with a warning
    */
-  processScenario(scenario, scenarioId) {
+  processFlows(flows, warnings = [], templates = {}) {
+    const processed = {};
+    const templateExpander = this.createTemplateExpander(templates, warnings);
+    
+    for (const [name, flow] of Object.entries(flows)) {
+      if (name.startsWith('_')) continue;
+      
+      const result = this.processFlow(name, flow, templateExpander);
+      warnings.push(...result.warnings);
+      
+      if (result.errors.length > 0) {
+        warnings.push(`flows.${name}: skipped, ${result.errors.join(', ')}`);
+        continue;
+      }
+      
+      processed[name] = result.flow;
+    }
+    
+    return processed;
+  }
+
+  /**
+   * Normalize a flow, expand templates in its steps and validate it
+   */
+  processFlow(name, flow, templateExpander = new TemplateExpander()) {
+    if (!flow || typeof flow !== 'object') {
+      return { flow: null, errors: ['flow must be an object'], warnings: [] };
+    }
+    
+    const { value, warnings } = this.scenarioSchema.normalize(flow, 'flow', `flows.${name}`);
+    
+    let steps;
+    try {
+      steps = templateExpander.expandSequence(value.steps || [], [], `flows.${name}.steps`);
+    } catch (error) {
+      return { flow: null, errors: [error.message], warnings };
+    }
+    
+    const errors = [];
+    const processed = this.compileExpressions({ ...value, steps }, 'flow', errors, `flows.${name}`);
+    errors.push(...this.validateFlow(processed));
+    
+    return { flow: processed, errors, warnings };
+  }
+
+  /**
+   * Create expander for the config-level action templates
+   * Templates are normalized like actions, or like micro actions when they have a type
+   */
+  createTemplateExpander(templates = {}, warnings = []) {
+    const normalized = {};
+    
+    for (const [name, template] of Object.entries(templates || {})) {
+      if (name.startsWith('_') || !template || typeof template !== 'object') continue;
+      
+      const { params, ...definition } = template;
+      const nodeType = 'type' in definition ? 'microAction' : 'action';
+      const result = this.scenarioSchema.normalize(definition, nodeType, `templates.${name}`);
+      
+      warnings.push(...result.warnings);
+      normalized[name] = params ? { ...result.value, params } : result.value;
+    }
+    
+    return new TemplateExpander(normalized);
+  }
+
+  /**
+   * Normalize scenario keys (snake_case or camelCase) to the canonical model
+   */
+  normalizeScenario(scenario, scenarioId) {
+    return this.scenarioSchema.normalize(scenario, 'scenario', `scenarios.${scenarioId}`);
+  }
+
+  /**
+   * Process individual (normalized) scenario
+   */
+  processScenario(scenario, scenarioId, templateExpander = null, siteDefaults = {}) {
+    // Expand { use, with } template references first (throws on cycles)
+    const expanded = templateExpander ? templateExpander.expandScenario(scenario) : scenario;
+    
     const processed = {
       id: scenarioId,
       enabled: true,
-      ...scenario
+      ...expanded
     };
     
     // Ensure required properties
     if (!processed.goals) {
       processed.goals = {
-        session_duration: { min: 5, max: 15, unit: 'minutes' }
+        sessionDuration: { min: 5, max: 15, unit: 'minutes' }
       };
     }
     
@@ -244,19 +383,145 @@ export class ConfigManager {
     
     // Process pages
     for (const [pageName, pageConfig] of Object.entries(processed.pages)) {
+      if (pageName.startsWith('_')) continue;
       processed.pages[pageName] = this.processPageConfig(pageConfig);
     }
     
     // Add default decision rules if missing
-    if (!processed.decision_rules) {
-      processed.decision_rules = {
-        action_selection: {
-          method: 'weighted_random'
-        }
+    processed.decisionRules = {
+      ...processed.decisionRules,
+      actionSelection: {
+        method: 'weighted_random',
+        preferUnvisited: false,
+        avoidRepetition: false,
+        ...processed.decisionRules?.actionSelection
+      }
+    };
+    
+    // Scenario micro_action_defaults override site defaults per type
+    const microActionDefaults = {};
+    for (const type of new Set([
+      ...Object.keys(siteDefaults || {}),
+      ...Object.keys(processed.microActionDefaults || {})
+    ])) {
+      if (type.startsWith('_')) continue;
+      microActionDefaults[type] = {
+        ...siteDefaults?.[type],
+        ...processed.microActionDefaults?.[type]
       };
     }
+    processed.microActionDefaults = microActionDefaults;
     
-    return processed;
+    // Compile navigation probability modifiers for the content script
+    if (processed.decisionRules.navigationProbability) {
+      const { rules, errors } = this.compileNavigationProbability(processed.decisionRules.navigationProbability);
+      if (errors.length > 0) {
+        console.warn(`⚠️ Scenario ${scenarioId}: ignoring invalid navigation_probability rules:`, errors);
+      }
+      
+      processed.decisionRules.navigationProbability = {
+        ...processed.decisionRules.navigationProbability,
+        rules
+      };
+    }
+    
+    // Compile expressions (conditions, set steps, goals) for the content script
+    const expressionErrors = [];
+    const compiled = this.compileExpressions(processed, 'scenario', expressionErrors, `scenarios.${scenarioId}`);
+    if (expressionErrors.length > 0) {
+      throw new Error(`invalid expressions: ${expressionErrors.join('; ')}`);
+    }
+    
+    return compiled;
+  }
+
+  /**
+   * Compile a navigation_probability block
+   *
+   * Modifiers adjust `base` with an effect (+, -, * or = with a number or
+   * percentage), optionally under a condition written in the expression
+   * language over NAVIGATION_VARIABLES. Percentages in the condition are
+   * ratios, to compare with the 0-1 variables:
+   *
+   *   "+0.2 when time > 80%"
+   *   "*0.5 when page_visits >= 3 && actions_on_page < 2"
+   *   "=0 when time_on_page < min"
+   *
+   * Returns { base, rules, errors }; invalid modifiers are left out of rules.
+   */
+  compileNavigationProbability(navigationProbability = {}) {
+    const rules = [];
+    const errors = [];
+    const base = navigationProbability.base;
+    
+    if (base !== undefined && (typeof base !== 'number' || base < 0 || base > 1)) {
+      errors.push('base must be a number between 0 and 1');
+    }
+    
+    for (const [name, source] of Object.entries(navigationProbability.modifiers || {})) {
+      if (name.startsWith('_')) continue;
+      
+      try {
+        rules.push({ name, source, ...this.compileModifier(source) });
+      } catch (error) {
+        errors.push(`modifier "${name}": ${error.message}`);
+      }
+    }
+    
+    return { base, rules, errors };
+  }
+
+  /**
+   * Compile a single modifier into { effect, condition }
+   */
+  compileModifier(source) {
+    const match = typeof source === 'string' && source.match(this.MODIFIER_PATTERN);
+    if (!match) {
+      throw new Error('expected an effect (+, -, * or = with a number) and an optional "when" condition, like "+0.2 when time > 80%"');
+    }
+    
+    const [, operator, number, percent, conditionSource] = match;
+    const effect = { operator, value: percent ? parseFloat(number) / 100 : parseFloat(number) };
+    
+    if (conditionSource === undefined) {
+      return { effect, condition: null };
+    }
+    
+    const ast = this.expressionParser.parse(this.replacePercentLiterals(conditionSource));
+    const unknown = this.expressionParser.getVariables(ast).filter(variable => !(variable in this.NAVIGATION_VARIABLES));
+    if (unknown.length > 0) {
+      throw new Error(`unknown variable "${unknown[0]}" (known: ${Object.keys(this.NAVIGATION_VARIABLES).join(', ')})`);
+    }
+    
+    return { effect, condition: { source: conditionSource.trim(), ast } };
+  }
+
+  /**
+   * Rewrite percent literals of a modifier condition as ratios ("80%" → 0.8)
+   */
+  replacePercentLiterals(source) {
+    return source.replace(this.PERCENT_LITERAL_PATTERN, (literal, string, number) =>
+      string ?? String(parseFloat(number) / 100)
+    );
+  }
+
+  /**
+   * Compile expression fields of a normalized node to { source, ast }
+   * Already compiled expressions are kept, so processing stays idempotent.
+   */
+  compileExpressions(node, nodeType, errors = [], path = nodeType) {
+    return this.scenarioSchema.mapExpressions(node, nodeType, (expression, fieldPath) => {
+      if (expression?.ast) {
+        return expression;
+      }
+      
+      try {
+        return { source: expression, ast: this.expressionParser.parse(expression) };
+      } catch (error) {
+        errors.push(`${fieldPath}: ${error.message}`);
+        return expression;
+      }
+    }, path);
   }
 
   /**
@@ -266,27 +531,35 @@ export class ConfigManager {
     const processed = { ...pageConfig };
     
     // Ensure stay duration
-    if (!processed.stay_duration) {
-      processed.stay_duration = { min: 2, max: 5, unit: 'seconds' };
+    if (!processed.stayDuration) {
+      processed.stayDuration = { min: 2, max: 5, unit: 'seconds' };
     }
     
+    // Ensure page hooks
+    processed.entryActions = (processed.entryActions || []).map(microAction =>
+      this.processMicroAction(microAction)
+    );
+    processed.exitActions = (processed.exitActions || []).map(microAction =>
+      this.processMicroAction(microAction)
+    );
+    
     // Ensure actions structure
     if (!processed.actions) {
       processed.actions = {
-        non_navigation: [],
+        nonNavigation: [],
         navigation: []
       };
     }
     
     // Process actions
-    if (processed.actions.non_navigation) {
-      processed.actions.non_navigation = processed.actions.non_navigation.map(action => 
+    if (processed.actions.nonNavigation) {
+      processed.actions.nonNavigation = processed.actions.nonNavigation.map(action =>
         this.processAction(action)
       );
     }
     
     if (processed.actions.navigation) {
-      processed.actions.navigation = processed.actions.navigation.map(action => 
+      processed.actions.navigation = processed.actions.navigation.map(action =>
         this.processAction(action)
       );
     }
@@ -302,7 +575,7 @@ export class ConfigManager {
       probability: 0.5,
       impact: {},
       conditions: {},
-      micro_sequence: [],
+      microSequence: [],
       ...action
     };
     
@@ -312,8 +585,8 @@ export class ConfigManager {
     }
     
     // Process micro sequence
-    if (processed.micro_sequence) {
-      processed.micro_sequence = processed.micro_sequence.map(microAction => 
+    if (processed.microSequence) {
+      processed.microSequence = processed.microSequence.map(microAction =>
         this.processMicroAction(microAction)
       );
     }
@@ -323,26 +596,11 @@ export class ConfigManager {
 
   /**
    * Process micro action
+   * Missing options (duration, speed, pattern, ...) are not filled in here:
+   * the content script layers built-in, site and scenario micro_action_defaults
    */
   processMicroAction(microAction) {
-    const processed = { ...microAction };
-    
-    // Add default duration for wait actions
-    if (processed.type === 'wait' && !processed.duration) {
-      processed.duration = '1-2s';
-    }
-    
-    // Add default speed for movement actions
-    if (['move', 'scroll'].includes(processed.type) && !processed.speed) {
-      processed.speed = 'normal';
-    }
-    
-    // Add default pattern for move actions
-    if (processed.type === 'move' && !processed.pattern) {
-      processed.pattern = 'natural';
-    }
-    
-    return processed;
+    return { ...microAction };
   }
 
   /**
@@ -377,6 +635,19 @@ export class ConfigManager {
       }
     }
     
+    // Check flows
+    if (config.flows) {
+      const templateExpander = this.createTemplateExpander(config.templates);
+      
+      for (const [name, flow] of Object.entries(config.flows)) {
+        if (name.startsWith('_')) continue;
+        
+        this.processFlow(name, flow, templateExpander).errors.forEach(error => {
+          errors.push(`Flow ${name}: ${error}`);
+        });
+      }
+    }
+    
     // Check scenarios
     if (!config.scenarios) {
       errors.push('Missing scenarios');
@@ -386,9 +657,23 @@ export class ConfigManager {
         errors.push('No scenarios defined');
       }
       
-      // Validate each scenario
+      const templateExpander = this.createTemplateExpander(config.templates);
+      
+      // Validate each scenario against its canonical model, with templates expanded
       for (const [scenarioId, scenario] of Object.entries(config.scenarios)) {
-        const scenarioErrors = this.validateScenario(scenario, scenarioId);
+        if (scenarioId.startsWith('_')) continue;
+        
+        const { value } = this.normalizeScenario(scenario, scenarioId);
+        
+        let expanded;
+        try {
+          expanded = templateExpander.expandScenario(value);
+        } catch (error) {
+          errors.push(`Scenario ${scenarioId}: ${error.message}`);
+          continue;
+        }
+        
+        const scenarioErrors = this.validateScenario(expanded, scenarioId);
         errors.push(...scenarioErrors);
       }
     }
@@ -400,7 +685,7 @@ export class ConfigManager {
   }
 
   /**
-   * Validate individual scenario
+   * Validate individual (normalized) scenario
    */
   validateScenario(scenario, scenarioId) {
     const errors = [];
@@ -414,6 +699,7 @@ export class ConfigManager {
     } else {
       // Validate each page
       for (const [pageName, pageConfig] of Object.entries(scenario.pages)) {
+        if (pageName.startsWith('_')) continue;
         const pageErrors = this.validatePageConfig(pageConfig, scenarioId, pageName);
         errors.push(...pageErrors);
       }
@@ -424,6 +710,24 @@ export class ConfigManager {
       errors.push(...goalErrors);
     }
     
+    if (scenario.decisionRules) {
+      const ruleErrors = this.validateDecisionRules(scenario.decisionRules, scenarioId);
+      errors.push(...ruleErrors);
+    }
+    
+    const expressionErrors = [];
+    this.compileExpressions(scenario, 'scenario', expressionErrors, `scenarios.${scenarioId}`);
+    expressionErrors.forEach(error => {
+      errors.push(`Scenario ${scenarioId}: ${error}`);
+    });
+    
+    if (scenario.errorHandling) {
+      const handlingErrors = this.validateErrorHandling(scenario.errorHandling);
+      handlingErrors.forEach(error => {
+        errors.push(`Scenario ${scenarioId}: error_handling ${error}`);
+      });
+    }
+    
     return errors;
   }
 
@@ -434,7 +738,7 @@ export class ConfigManager {
     const errors = [];
     
     if (pageConfig.actions) {
-      ['non_navigation', 'navigation'].forEach(actionType => {
+      ['nonNavigation', 'navigation'].forEach(actionType => {
         if (pageConfig.actions[actionType]) {
           pageConfig.actions[actionType].forEach((action, index) => {
             const actionErrors = this.validateAction(action, scenarioId, pageName, actionType, index);
@@ -463,14 +767,147 @@ export class ConfigManager {
       }
     }
     
-    if (action.micro_sequence) {
-      action.micro_sequence.forEach((microAction, microIndex) => {
-        if (!microAction.type) {
-          errors.push(`Scenario ${scenarioId}, Page ${pageName}, ${actionType}[${index}], micro[${microIndex}]: Missing type`);
+    if (action.conditions) {
+      const conditionErrors = this.validateConditions(action.conditions);
+      conditionErrors.forEach(error => {
+        errors.push(`Scenario ${scenarioId}, Page ${pageName}, ${actionType}[${index}]: conditions ${error}`);
+      });
+    }
+    
+    if (action.microSequence) {
+      const sequenceErrors = this.validateMicroSequence(action.microSequence, 'micro');
+      sequenceErrors.forEach(error => {
+        errors.push(`Scenario ${scenarioId}, Page ${pageName}, ${actionType}[${index}], ${error}`);
+      });
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Validate (normalized) micro actions, recursing into control-flow steps
+   */
+  validateMicroSequence(sequence, path) {
+    const errors = [];
+    
+    sequence.forEach((microAction, index) => {
+      const stepPath = `${path}[${index}]`;
+      
+      if (!microAction.type) {
+        errors.push(`${stepPath}: Missing type`);
+      }
+      
+      if (microAction.retry) {
+        this.validateRetryPolicy(microAction.retry).forEach(error => {
+          errors.push(`${stepPath}: retry ${error}`);
+        });
+      }
+      
+      if (['if', 'until'].includes(microAction.type) && !microAction.conditions) {
+        errors.push(`${stepPath}: ${microAction.type} needs conditions`);
+      }
+      
+      if (microAction.conditions) {
+        this.validateConditions(microAction.conditions).forEach(error => {
+          errors.push(`${stepPath}: conditions ${error}`);
+        });
+      }
+      
+      if (['repeat', 'until', 'for_each'].includes(microAction.type) && !Array.isArray(microAction.steps)) {
+        errors.push(`${stepPath}: ${microAction.type} needs steps`);
+      }
+      
+      if (microAction.type === 'set' && (!microAction.variable || (microAction.value === undefined) === (microAction.expression === undefined))) {
+        errors.push(`${stepPath}: set needs a variable and either value or expression`);
+      }
+      
+      if (microAction.type === 'extract') {
+        errors.push(...this.validateExtract(microAction).map(error => `${stepPath}: ${error}`));
+      }
+      
+      if (['scrape_table', 'scrape_list'].includes(microAction.type)) {
+        errors.push(...this.validateScrape(microAction).map(error => `${stepPath}: ${error}`));
+      }
+      
+      if (microAction.type === 'call' && !microAction.flow) {
+        errors.push(`${stepPath}: call needs a flow name`);
+      }
+      
+      if (microAction.type === 'for_each' && !microAction.target) {
+        errors.push(`${stepPath}: for_each needs a target selector`);
+      }
+      
+      if (microAction.maxIterations !== undefined && !(Number.isInteger(microAction.maxIterations) && microAction.maxIterations > 0)) {
+        errors.push(`${stepPath}: max_iterations must be a positive integer`);
+      }
+      
+      ['then', 'else', 'steps'].forEach(key => {
+        if (Array.isArray(microAction[key])) {
+          errors.push(...this.validateMicroSequence(microAction[key], `${stepPath}.${key}`));
         }
       });
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Validate (normalized) action conditions, recursing into all/any/not
+   */
+  validateConditions(conditions, path = '') {
+    const errors = [];
+    
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return [`${path || 'conditions'}: expected an object`];
+    }
+    
+    const checkRegex = (pattern, flags, where) => {
+      try {
+        RegExp(pattern, flags);
+      } catch (error) {
+        errors.push(`${where}: invalid regex (${error.message})`);
+      }
+    };
+    
+    ['all', 'any'].forEach(key => {
+      if (conditions[key] === undefined) return;
+      
+      if (!Array.isArray(conditions[key])) {
+        errors.push(`${path}${key}: expected an array`);
+        return;
+      }
+      
+      conditions[key].forEach((child, index) => {
+        errors.push(...this.validateConditions(child, `${path}${key}[${index}].`));
+      });
+    });
+    
+    if (conditions.not !== undefined) {
+      errors.push(...this.validateConditions(conditions.not, `${path}not.`));
+    }
+    
+    if (conditions.urlMatches !== undefined) {
+      checkRegex(conditions.urlMatches, '', `${path}url_matches`);
     }
     
+    [['elementText', 'element_text'], ['elementAttribute', 'element_attribute'], ['variable', 'variable']]
+      .forEach(([key, label]) => {
+        if (conditions[key] === undefined) return;
+        
+        const matchers = Array.isArray(conditions[key]) ? conditions[key] : [conditions[key]];
+        matchers.forEach(matcher => {
+          if (key === 'variable' ? !matcher?.name : !matcher?.target) {
+            errors.push(`${path}${label}: missing ${key === 'variable' ? 'name' : 'target'}`);
+          }
+          if (key === 'elementAttribute' && !matcher?.attribute) {
+            errors.push(`${path}${label}: missing attribute`);
+          }
+          if (matcher?.matches !== undefined) {
+            checkRegex(matcher.matches, matcher.flags || '', `${path}${label}.matches`);
+          }
+        });
+      });
+    
     return errors;
   }
 
@@ -480,8 +917,8 @@ export class ConfigManager {
   validateGoals(goals, scenarioId) {
     const errors = [];
     
-    if (goals.session_duration) {
-      const duration = goals.session_duration;
+    if (goals.sessionDuration) {
+      const duration = goals.sessionDuration;
       if (!duration.min || !duration.max || !duration.unit) {
         errors.push(`Scenario ${scenarioId}: Invalid session_duration format`);
       }
@@ -494,6 +931,217 @@ export class ConfigManager {
     return errors;
   }
 
+  /**
+   * Validate extract step: target, output, read mode and transforms
+   */
+  validateExtract(step) {
+    const errors = [];
+    const readModes = ['text', 'html', 'info', 'attribute', 'property'];
+    
+    if (!step.target) {
+      errors.push('extract needs a target selector');
+    }
+    
+    if (!step.into && !step.dataset) {
+      errors.push('extract needs "into" (variable) or "dataset"');
+    }
+    
+    if (step.read !== undefined && !readModes.includes(step.read)) {
+      errors.push(`extract has unknown read "${step.read}" (${readModes.join(', ')})`);
+    }
+    
+    if (step.read === 'attribute' && !step.attribute) {
+      errors.push('extract with read "attribute" needs an attribute name');
+    }
+    
+    if (step.read === 'property' && !step.property) {
+      errors.push('extract with read "property" needs a property name');
+    }
+    
+    errors.push(...this.validateTransforms(step.transform));
+    
+    return errors;
+  }
+
+  /**
+   * Validate scrape_table / scrape_list step: target, dataset, columns, key, pagination
+   */
+  validateScrape(step) {
+    const errors = [];
+    const readModes = ['text', 'html', 'info', 'attribute', 'property'];
+    
+    if (!step.target) {
+      errors.push(`${step.type} needs a target selector`);
+    }
+    
+    if (!step.dataset) {
+      errors.push(`${step.type} needs a dataset`);
+    }
+    
+    const columns = step.columns;
+    if (columns !== undefined && (typeof columns !== 'object' || columns === null || Array.isArray(columns) || Object.keys(columns).length === 0)) {
+      errors.push(`${step.type} columns must map column names to selectors`);
+    } else if (columns) {
+      Object.entries(columns).forEach(([column, spec]) => {
+        const options = spec !== null && typeof spec === 'object' ? spec : { target: spec };
+        
+        if (options.target !== undefined && !['string', 'number'].includes(typeof options.target)) {
+          errors.push(`column "${column}" needs a selector or cell number`);
+        }
+        
+        if (options.read !== undefined && !readModes.includes(options.read)) {
+          errors.push(`column "${column}" has unknown read "${options.read}" (${readModes.join(', ')})`);
+        }
+        
+        errors.push(...this.validateTransforms(options.transform).map(error => `column "${column}" ${error}`));
+      });
+      
+      if (step.key && !(step.key in columns)) {
+        errors.push(`key "${step.key}" is not one of the columns`);
+      }
+    } else if (step.type === 'scrape_list') {
+      errors.push('scrape_list needs columns');
+    }
+    
+    if (step.maxPages !== undefined && !(Number.isInteger(step.maxPages) && step.maxPages > 0)) {
+      errors.push('max_pages must be a positive whole number');
+    }
+    
+    if (step.maxPages !== undefined && !step.nextPage) {
+      errors.push('max_pages needs a next_page selector');
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Validate extract transforms: trim, regex, number, price, date
+   */
+  validateTransforms(transform) {
+    const errors = [];
+    const names = ['trim', 'regex', 'number', 'price', 'date'];
+    const transforms = transform === undefined ? [] : Array.isArray(transform) ? transform : [transform];
+    
+    transforms.forEach((entry, index) => {
+      const name = typeof entry === 'string'
+        ? entry
+        : Object.keys(entry || {}).find(key => !key.startsWith('_'));
+      
+      if (!names.includes(name)) {
+        errors.push(`transform[${index}] "${name}" is unknown (${names.join(', ')})`);
+        return;
+      }
+      
+      if (name === 'regex') {
+        try {
+          RegExp(entry.regex, entry.flags || '');
+        } catch (error) {
+          errors.push(`transform[${index}] has an invalid regex: ${error.message}`);
+        }
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Validate (normalized) flow
+   */
+  validateFlow(flow) {
+    const errors = [];
+    
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+      errors.push('flow needs steps');
+    } else {
+      errors.push(...this.validateMicroSequence(flow.steps, 'steps'));
+    }
+    
+    ['params', 'returns'].forEach(key => {
+      if (flow[key] !== undefined && (typeof flow[key] !== 'object' || Array.isArray(flow[key]))) {
+        errors.push(`${key} must be an object`);
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Validate (normalized) error handling policies
+   */
+  validateErrorHandling(errorHandling) {
+    const errors = [];
+    
+    ['default', 'elementNotFound'].forEach(key => {
+      if (errorHandling[key]) {
+        this.validateRetryPolicy(errorHandling[key]).forEach(error => {
+          errors.push(`${key} ${error}`);
+        });
+      }
+    });
+    
+    const pageLoadTimeout = errorHandling.pageLoadTimeout;
+    if (pageLoadTimeout) {
+      if (pageLoadTimeout.action !== undefined && !['reload', 'skip', 'go_back', 'abort'].includes(pageLoadTimeout.action)) {
+        errors.push(`pageLoadTimeout has unknown action "${pageLoadTimeout.action}" (reload, skip, go_back, abort)`);
+      }
+      if (pageLoadTimeout.timeout !== undefined && !this.isPositiveDuration(pageLoadTimeout.timeout)) {
+        errors.push('pageLoadTimeout.timeout must be a positive duration ("30s", "500ms" or ms)');
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Whether value is a positive number of ms or a single duration like "30s"
+   */
+  isPositiveDuration(value) {
+    if (typeof value === 'number') {
+      return value > 0;
+    }
+    
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/);
+    return Boolean(match) && Number(match[1]) > 0;
+  }
+
+  /**
+   * Validate retry policy: retry_times, backoff, fallback
+   */
+  validateRetryPolicy(policy) {
+    const errors = [];
+    const fallbacks = ['skip_step', 'skip_action', 'reload', 'go_back', 'abort'];
+    
+    if (policy.retryTimes !== undefined && !(Number.isInteger(policy.retryTimes) && policy.retryTimes >= 0)) {
+      errors.push('retry_times must be a non-negative integer');
+    }
+    
+    if (policy.backoff !== undefined && !(typeof policy.backoff === 'number' && policy.backoff >= 1)) {
+      errors.push('backoff must be a number >= 1');
+    }
+    
+    if (policy.fallback !== undefined && !fallbacks.includes(policy.fallback)) {
+      errors.push(`has unknown fallback "${policy.fallback}" (${fallbacks.join(', ')})`);
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Validate decision rules configuration
+   */
+  validateDecisionRules(decisionRules, scenarioId) {
+    const errors = [];
+    
+    if (decisionRules.navigationProbability) {
+      const { errors: ruleErrors } = this.compileNavigationProbability(decisionRules.navigationProbability);
+      ruleErrors.forEach(error => {
+        errors.push(`Scenario ${scenarioId}: navigation_probability ${error}`);
+      });
+    }
+    
+    return errors;
+  }
+
   /**
    * Load configuration template
    */
@@ -656,4 +1304,4 @@ export class ConfigManager {
       isCacheValid: this.isCacheValid()
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,164 @@
+/**
+ * Cron Parser - Minimal 5-field cron expressions (minute hour day month weekday)
+ *
+ * Supports "*", lists (1,15), ranges (1-5), steps (*\/10, 0-30/5) and the
+ * @hourly, @daily, @weekly and @monthly shortcuts. Times are local.
+ */
+export class CronParser {
+  constructor() {
+    this.FIELDS = [
+      { name: 'minute', min: 0, max: 59 },
+      { name: 'hour', min: 0, max: 23 },
+      { name: 'day', min: 1, max: 31 },
+      { name: 'month', min: 1, max: 12 },
+      { name: 'weekday', min: 0, max: 7 }
+    ];
+
+    this.SHORTCUTS = {
+      '@hourly': '0 * * * *',
+      '@daily': '0 0 * * *',
+      '@weekly': '0 0 * * 0',
+      '@monthly': '0 0 1 * *'
+    };
+
+    // Upper bound for the search, covers leap-day-only expressions
+    this.MAX_SEARCH_DAYS = 366 * 5;
+  }
+
+  /**
+   * Parse expression into sets of allowed values, throws on invalid input
+   */
+  parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Invalid cron expression: empty');
+    }
+
+    const source = this.SHORTCUTS[expression.trim()] || expression.trim();
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== this.FIELDS.length) {
+      throw new Error(`Invalid cron expression: expected 5 fields, got ${parts.length}`);
+    }
+
+    const parsed = {};
+    this.FIELDS.forEach((field, index) => {
+      parsed[field.name] = this.parseField(parts[index], field);
+      parsed[`${field.name}Restricted`] = parts[index] !== '*';
+    });
+
+    // Sunday may be written as 0 or 7
+    if (parsed.weekday.has(7)) {
+      parsed.weekday.delete(7);
+      parsed.weekday.add(0);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse a single field into a set of values
+   */
+  parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : Number(stepPart);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid cron ${field.name} step: ${item}`);
+      }
+
+      let start;
+      let end;
+
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        [start, end] = rangePart.split('-').map(Number);
+      } else {
+        start = Number(rangePart);
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (!Number.isInteger(start) || !Number.isInteger(end) ||
+          start < field.min || end > field.max || start > end) {
+        throw new Error(`Invalid cron ${field.name} value: ${item}`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Check expression validity without throwing
+   */
+  isValid(expression) {
+    try {
+      this.parse(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get next run time (ms) strictly after `from`
+   */
+  getNextRun(expression, from = Date.now()) {
+    const cron = this.parse(expression);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from + this.MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!cron.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.matchesDay(cron, date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return date.getTime();
+    }
+
+    throw new Error(`Cron expression never matches: ${expression}`);
+  }
+
+  /**
+   * Day matching with standard cron semantics: when both day and weekday
+   * are restricted, either one matching is enough
+   */
+  matchesDay(cron, date) {
+    const dayMatch = cron.day.has(date.getDate());
+    const weekdayMatch = cron.weekday.has(date.getDay());
+
+    if (cron.dayRestricted && cron.weekdayRestricted) {
+      return dayMatch || weekdayMatch;
+    }
+
+    return dayMatch && weekdayMatch;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Dataset Exporter - Turn session datasets into CSV and JSON files
+ *
+ * Datasets are lists of flat rows collected by extract steps. CSV columns are
+ * the union of row keys in first-seen order; nested values are written as
+ * JSON. Text cells starting with = + - @ are prefixed with ' so spreadsheets
+ * do not run scraped text as formulas.
+ */
+export class DatasetExporter {
+  /**
+   * Build export file for a dataset of a session
+   */
+  createExport(session, datasetName, rows, format = 'csv') {
+    if (!rows) {
+      throw new Error(`Dataset not found: ${datasetName}`);
+    }
+
+    const baseName = `${this.toFileName(datasetName)}_${session.id}`;
+
+    if (format === 'csv') {
+      return {
+        filename: `${baseName}.csv`,
+        mimeType: 'text/csv',
+        content: this.toCsv(rows)
+      };
+    }
+
+    if (format === 'json') {
+      return {
+        filename: `${baseName}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify({
+          dataset: datasetName,
+          sessionId: session.id,
+          domain: session.domain,
+          scenario: session.scenarioName,
+          exportedAt: new Date().toISOString(),
+          rows
+        }, null, 2)
+      };
+    }
+
+    throw new Error(`Unknown dataset format: ${format}`);
+  }
+
+  /**
+   * CSV with a header row
+   */
+  toCsv(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    const lines = [
+      columns.map(column => this.escapeCsv(column)).join(','),
+      ...rows.map(row => columns.map(column => this.escapeCsv(row[column])).join(','))
+    ];
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Quote CSV cell when needed
+   */
+  escapeCsv(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text) && !/^[+-]?\d/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Safe file name part
+   */
+  toFileName(name) {
+    return String(name).replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'dataset';
+  }
+}
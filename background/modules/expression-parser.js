@@ -0,0 +1,246 @@
+/**
+ * Expression Parser - Parse scenario expressions into plain-data syntax trees
+ *
+ *   price < 50 && title ~ /sale/i
+ *   count + 1
+ *   lower(trim(status)) == "in stock" || metrics.add_to_cart >= 2
+ *
+ * Operators, loosest first: || (or), && (and), == != ~ !~, < <= > >=,
+ * + -, * / %, unary ! (not) and -. `~` tests a regex literal or string
+ * pattern. Identifiers name flow parameters or session variables; dots walk
+ * into objects (product.price). Trees are evaluated by the content script's
+ * ExpressionEvaluator, so nothing is ever passed to eval.
+ */
+export class ExpressionParser {
+  constructor() {
+    // Name -> [min, max] argument count; implemented by ExpressionEvaluator
+    this.FUNCTIONS = {
+      len: [1, 1],
+      lower: [1, 1],
+      upper: [1, 1],
+      trim: [1, 1],
+      contains: [2, 2],
+      starts_with: [2, 2],
+      ends_with: [2, 2],
+      number: [1, 1],
+      round: [1, 2],
+      abs: [1, 1],
+      min: [1, Infinity],
+      max: [1, Infinity]
+    };
+
+    this.KEYWORDS = {
+      true: { type: 'literal', value: true },
+      false: { type: 'literal', value: false },
+      null: { type: 'literal', value: null }
+    };
+
+    this.WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+    // Binary operators by precedence level, loosest first
+    this.LEVELS = [
+      ['||'],
+      ['&&'],
+      ['==', '!=', '~', '!~'],
+      ['<', '<=', '>', '>='],
+      ['+', '-'],
+      ['*', '/', '%']
+    ];
+
+    this.TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z_]\w*(?:\.\w+)*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(&&|\|\||==|!=|<=|>=|!~|[<>~+\-*/%!(),]))/y;
+    this.REGEX_PATTERN = /\/((?:[^/\\\n]|\\.)+)\/([gimsuy]*)/y;
+  }
+
+  /**
+   * Parse expression source into a syntax tree
+   */
+  parse(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('expected an expression string like "price < 50"');
+    }
+
+    const tokens = this.tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (text) => {
+      const token = next();
+      if (token?.text !== text) {
+        throw new Error(`expected "${text}"${token ? `, got "${token.text}"` : ` at end of "${source}"`}`);
+      }
+    };
+
+    const parseBinary = (level) => {
+      if (level === this.LEVELS.length) {
+        return parseUnary();
+      }
+
+      let left = parseBinary(level + 1);
+      while (peek()?.type === 'operator' && this.LEVELS[level].includes(peek().text)) {
+        const operator = next().text;
+        const right = parseBinary(level + 1);
+        left = { type: level < 2 ? 'logical' : 'binary', operator, left, right };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      if (peek()?.type === 'operator' && ['!', '-'].includes(peek().text)) {
+        const operator = next().text;
+        return { type: 'unary', operator, argument: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new Error(`unexpected end of "${source}"`);
+      }
+
+      switch (token.type) {
+        case 'number':
+        case 'string':
+          return { type: 'literal', value: token.value };
+
+        case 'regex':
+          return { type: 'regex', pattern: token.pattern, flags: token.flags };
+
+        case 'word':
+          if (token.text in this.KEYWORDS) {
+            return { ...this.KEYWORDS[token.text] };
+          }
+          if (peek()?.text === '(') {
+            return parseCall(token.text);
+          }
+          return { type: 'variable', path: token.text.split('.') };
+
+        default:
+          if (token.text === '(') {
+            const expression = parseBinary(0);
+            expect(')');
+            return expression;
+          }
+          throw new Error(`unexpected "${token.text}"`);
+      }
+    };
+
+    const parseCall = (name) => {
+      const arity = this.FUNCTIONS[name];
+      if (!arity) {
+        throw new Error(`unknown function "${name}" (known: ${Object.keys(this.FUNCTIONS).join(', ')})`);
+      }
+
+      expect('(');
+      const args = [];
+      if (peek()?.text !== ')') {
+        args.push(parseBinary(0));
+        while (peek()?.text === ',') {
+          next();
+          args.push(parseBinary(0));
+        }
+      }
+      expect(')');
+
+      const [min, max] = arity;
+      if (args.length < min || args.length > max) {
+        const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+        throw new Error(`${name}() takes ${expected} argument(s), got ${args.length}`);
+      }
+
+      return { type: 'call', name, args };
+    };
+
+    const tree = parseBinary(0);
+
+    if (peek()) {
+      throw new Error(`unexpected "${peek().text}"`);
+    }
+
+    return tree;
+  }
+
+  /**
+   * Root names of the variables a syntax tree reads, without duplicates
+   */
+  getVariables(node, names = new Set()) {
+    if (node.type === 'variable') {
+      names.add(node.path[0]);
+    }
+
+    [node.left, node.right, node.argument, ...(node.args || [])]
+      .filter(Boolean)
+      .forEach(child => this.getVariables(child, names));
+
+    return [...names];
+  }
+
+  /**
+   * Split expression source into tokens
+   * "/" starts a regex literal where an operand is expected, otherwise it divides.
+   */
+  tokenize(source) {
+    const tokens = [];
+    const pattern = new RegExp(this.TOKEN_PATTERN.source, this.TOKEN_PATTERN.flags);
+    const regexPattern = new RegExp(this.REGEX_PATTERN.source, this.REGEX_PATTERN.flags);
+    const text = source.trim();
+
+    const expectsOperand = () => {
+      const last = tokens[tokens.length - 1];
+      return !last || (last.type === 'operator' && last.text !== ')');
+    };
+
+    while (pattern.lastIndex < text.length) {
+      const start = pattern.lastIndex;
+      const index = text.slice(start).search(/\S/) + start;
+
+      if (text[index] === '/' && expectsOperand()) {
+        regexPattern.lastIndex = index;
+        const match = regexPattern.exec(text);
+        if (!match) {
+          throw new Error(`unterminated regex at position ${index + 1}`);
+        }
+
+        const [, regexSource, flags] = match;
+        try {
+          RegExp(regexSource, flags);
+        } catch (error) {
+          throw new Error(`invalid regex /${regexSource}/: ${error.message}`);
+        }
+
+        tokens.push({ type: 'regex', text: match[0], pattern: regexSource, flags });
+        pattern.lastIndex = regexPattern.lastIndex;
+        continue;
+      }
+
+      const match = pattern.exec(text);
+      if (!match) {
+        throw new Error(`unexpected character "${text[index]}" at position ${index + 1}`);
+      }
+
+      const [, number, word, string, symbol] = match;
+
+      if (number !== undefined) {
+        tokens.push({ type: 'number', text: number, value: parseFloat(number) });
+      } else if (word !== undefined) {
+        const operator = this.WORD_OPERATORS[word.toLowerCase()];
+        tokens.push(operator ? { type: 'operator', text: operator } : { type: 'word', text: word });
+      } else if (string !== undefined) {
+        tokens.push({ type: 'string', text: string, value: this.unquote(string) });
+      } else {
+        tokens.push({ type: 'operator', text: symbol });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * String literal value without quotes, with \" \' \\ \n \t escapes resolved
+   */
+  unquote(literal) {
+    const escapes = { n: '\n', t: '\t' };
+    return literal.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+  }
+}
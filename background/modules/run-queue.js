@@ -0,0 +1,328 @@
+import { SessionManager } from './session-manager.js';
+import { StorageManager } from './storage-manager.js';
+
+/**
+ * Run Queue - Dispatch scenario runs across tabs with a concurrency limit
+ *
+ * Items are persisted in StorageManager so the queue survives service worker
+ * restarts. A run holds a slot from dispatch until its session reaches a
+ * terminal state; `settings.maxConcurrentRuns` caps the number of slots.
+ *
+ * Item lifecycle: queued → running → completed | failed | timed_out | stopped,
+ * or queued/running → cancelled
+ */
+export class RunQueue {
+  constructor(storageManager = new StorageManager(), sessionManager = new SessionManager(storageManager), callbacks = {}) {
+    this.storageManager = storageManager;
+    this.sessionManager = sessionManager;
+
+    // runScenario(request) starts a run, stopRun(item) stops a running one,
+    // onChange(items) and onFinished(item) report queue updates
+    this.callbacks = callbacks;
+
+    this.DEFAULT_CONCURRENCY = 2;
+    this.MAX_FINISHED_ITEMS = 50;
+    this.START_TIMEOUT = 60 * 1000; // Runs without a session after this are stale
+
+    // Serialize read-modify-write cycles on the queue record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * List queue items: running first, then queued in dispatch order, then finished
+   */
+  async listItems() {
+    const items = await this.storageManager.getRunQueue();
+    const running = items.filter(item => item.status === 'running');
+    const finished = items
+      .filter(item => !['queued', 'running'].includes(item.status))
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+
+    return [...running, ...this.getQueuedItems(items), ...finished];
+  }
+
+  /**
+   * Add a run to the queue and dispatch if a slot is free
+   */
+  async enqueue({ domain, scenarioId, url = null, priority = 0, trigger = null }) {
+    if (!domain || !scenarioId) {
+      throw new Error('Queued run requires domain and scenarioId');
+    }
+
+    const item = {
+      id: this.generateItemId(),
+      domain,
+      scenarioId,
+      url,
+      priority: Number(priority) || 0,
+      trigger: trigger || { type: 'queue' },
+      status: 'queued',
+      enqueuedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      sessionId: null,
+      tabId: null,
+      error: null
+    };
+
+    await this.mutate(items => {
+      items.push(item);
+    });
+
+    console.log(`📥 Run queued: ${item.id} (${domain} / ${scenarioId})`);
+
+    // Starting a run waits for the tab to load; callers only need the queued item
+    this.dispatch().catch(error => console.error('Failed to dispatch queued runs:', error));
+    return item;
+  }
+
+  /**
+   * Cancel a queued or running item
+   */
+  async cancel(itemId) {
+    const item = await this.mutate(items => {
+      const item = this.requireItem(items, itemId);
+
+      if (!['queued', 'running'].includes(item.status)) {
+        throw new Error(`Run already finished: ${itemId}`);
+      }
+
+      const wasRunning = item.status === 'running';
+      this.markFinished(item, 'cancelled', 'cancelled');
+      return { ...item, wasRunning };
+    });
+
+    if (item.wasRunning && item.sessionId && this.callbacks.stopRun) {
+      try {
+        await this.callbacks.stopRun(item);
+      } catch (error) {
+        console.error(`Failed to stop cancelled run ${itemId}:`, error);
+      }
+    }
+
+    console.log(`🚫 Run cancelled: ${itemId}`);
+
+    this.callbacks.onFinished?.(item);
+    await this.dispatch();
+    return item;
+  }
+
+  /**
+   * Change priority of a queued item (higher runs first)
+   */
+  async reprioritize(itemId, priority) {
+    return await this.mutate(items => {
+      const item = this.requireItem(items, itemId);
+
+      if (item.status !== 'queued') {
+        throw new Error(`Only queued runs can be reprioritized: ${itemId}`);
+      }
+
+      item.priority = Number(priority) || 0;
+      return item;
+    });
+  }
+
+  /**
+   * Remove finished items from the queue
+   */
+  async clearFinished() {
+    return await this.mutate(items => {
+      const active = items.filter(item => ['queued', 'running'].includes(item.status));
+      const removed = items.length - active.length;
+      items.splice(0, items.length, ...active);
+      return removed;
+    });
+  }
+
+  /**
+   * Start queued runs while slots are free
+   */
+  async dispatch() {
+    const settings = await this.storageManager.getSettings();
+    const limit = Math.max(1, Number(settings.maxConcurrentRuns) || this.DEFAULT_CONCURRENCY);
+
+    const toStart = await this.mutate(items => {
+      const running = items.filter(item => item.status === 'running').length;
+      const next = this.getQueuedItems(items).slice(0, Math.max(0, limit - running));
+
+      // Claim slots before starting so parallel dispatches cannot overbook
+      for (const item of next) {
+        item.status = 'running';
+        item.startedAt = Date.now();
+      }
+
+      return next.map(item => ({ ...item }));
+    });
+
+    await Promise.all(toStart.map(item => this.startRun(item)));
+  }
+
+  /**
+   * Start a claimed item through the scenario runner
+   */
+  async startRun(item) {
+    console.log(`▶️ Dispatching run ${item.id} (${item.domain} / ${item.scenarioId})`);
+
+    try {
+      if (!this.callbacks.runScenario) {
+        throw new Error('No scenario runner registered');
+      }
+
+      const result = await this.callbacks.runScenario({
+        domain: item.domain,
+        scenarioId: item.scenarioId,
+        url: item.url,
+        trigger: { ...item.trigger, queueItemId: item.id }
+      });
+
+      if (!result?.success) {
+        throw new Error(result?.error || 'Failed to start scenario');
+      }
+
+      const current = await this.mutate(items => {
+        const current = items.find(entry => entry.id === item.id);
+        if (!current) return null;
+
+        current.sessionId = result.data?.sessionId || null;
+        current.tabId = result.data?.tabId ?? null;
+        return { ...current };
+      });
+
+      // Cancelled while the tab was still loading
+      if (current?.status === 'cancelled' && this.callbacks.stopRun) {
+        await this.callbacks.stopRun(current);
+      }
+    } catch (error) {
+      console.error(`Queued run failed to start: ${item.id}`, error);
+      await this.finishItem(item.id, 'failed', error.message);
+    }
+  }
+
+  /**
+   * Free the slot of a run whose session reached a terminal state
+   */
+  async recordSessionOutcome(session) {
+    const itemId = session.trigger?.queueItemId;
+    if (!itemId) return;
+
+    await this.finishItem(
+      itemId,
+      session.status,
+      session.status === 'completed' ? null : session.endReason,
+      session.id
+    );
+  }
+
+  /**
+   * Mark running item finished and dispatch the next one
+   */
+  async finishItem(itemId, status, error = null, sessionId = null) {
+    const item = await this.mutate(items => {
+      const item = items.find(entry => entry.id === itemId);
+
+      // Cancelled or already finished items keep their outcome
+      if (!item || item.status !== 'running') return null;
+
+      if (sessionId) item.sessionId = sessionId;
+      this.markFinished(item, status, error);
+      return { ...item };
+    });
+
+    if (item) {
+      console.log(`🏁 Run ${itemId} finished: ${status}`);
+      this.callbacks.onFinished?.(item);
+      await this.dispatch();
+    }
+
+    return item;
+  }
+
+  /**
+   * Resolve running items left over from a previous service worker lifetime
+   */
+  async reconcile() {
+    const items = await this.storageManager.getRunQueue();
+    const now = Date.now();
+
+    for (const item of items.filter(entry => entry.status === 'running')) {
+      if (item.sessionId) {
+        const session = await this.sessionManager.getSession(item.sessionId);
+        if (!this.sessionManager.isActive(session)) {
+          await this.finishItem(item.id, session?.status || 'failed', session?.endReason || 'session_missing');
+        }
+      } else if (now - item.startedAt > this.START_TIMEOUT) {
+        await this.finishItem(item.id, 'failed', 'interrupted');
+      }
+    }
+
+    await this.dispatch();
+  }
+
+  /**
+   * Queued items in dispatch order: priority desc, then FIFO
+   */
+  getQueuedItems(items) {
+    return items
+      .filter(item => item.status === 'queued')
+      .sort((a, b) => (b.priority - a.priority) || (a.enqueuedAt - b.enqueuedAt));
+  }
+
+  /**
+   * Set terminal fields on an item
+   */
+  markFinished(item, status, error) {
+    item.status = status;
+    item.error = error;
+    item.finishedAt = Date.now();
+  }
+
+  /**
+   * Get item or throw if missing
+   */
+  requireItem(items, itemId) {
+    const item = items.find(entry => entry.id === itemId);
+    if (!item) {
+      throw new Error(`Queued run not found: ${itemId}`);
+    }
+    return item;
+  }
+
+  /**
+   * Apply a change to the stored queue and trim old finished items
+   */
+  async mutate(change) {
+    const { result, items } = await this.withLock(async () => {
+      const items = await this.storageManager.getRunQueue();
+      const result = await change(items);
+
+      const finished = items
+        .filter(item => !['queued', 'running'].includes(item.status))
+        .sort((a, b) => b.finishedAt - a.finishedAt);
+      const dropped = new Set(finished.slice(this.MAX_FINISHED_ITEMS).map(item => item.id));
+      const kept = items.filter(item => !dropped.has(item.id));
+
+      await this.storageManager.saveRunQueue(kept);
+      return { result, items: kept };
+    });
+
+    this.callbacks.onChange?.(items);
+    return result;
+  }
+
+  /**
+   * Run storage mutation after all previously queued ones
+   */
+  withLock(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Generate unique item id
+   */
+  generateItemId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
@@ -0,0 +1,435 @@
+/**
+ * Scenario Schema - Canonical in-memory layout for scenario configurations
+ *
+ * JSON configs are written in snake_case (micro_sequence, stay_duration, ...)
+ * while the runtime engine reads camelCase. The schema lists every known key
+ * in its canonical camelCase spelling; the snake_case spelling is accepted as
+ * an alias and folded into the canonical key during normalization.
+ */
+export class ScenarioSchema {
+  constructor() {
+    // Field descriptors:
+    //   null              - plain value, copied as-is
+    //   'opaque'          - free-form object (user-defined keys, e.g. metric names)
+    //   'expression'      - expression source, compiled to { source, ast } by ConfigManager
+    //   '<nodeType>'      - nested node normalized with that node type
+    //   { mapOf: type }   - object whose values are nodes of that type
+    //   { listOf: type }  - array whose items are nodes of that type
+    //   { hooksOf: type } - array or named object of nodes, normalized to an array
+    this.NODES = {
+      scenario: {
+        id: null,
+        name: null,
+        description: null,
+        enabled: null,
+        goals: 'goals',
+        behaviorProfile: 'behaviorProfile',
+        pages: { mapOf: 'page' },
+        decisionRules: 'decisionRules',
+        errorHandling: 'errorHandling',
+        microActionDefaults: 'microActionDefaults'
+      },
+
+      goals: {
+        sessionDuration: 'duration',
+        requiredMetrics: 'opaque',
+        optionalMetrics: 'opaque',
+        expression: 'expression'
+      },
+
+      duration: {
+        min: null,
+        max: null,
+        unit: null
+      },
+
+      behaviorProfile: {
+        userType: null,
+        readingSpeed: null,
+        decisionSpeed: null,
+        engagementLevel: null,
+        priceSensitivity: null
+      },
+
+      page: {
+        stayDuration: 'duration',
+        entryActions: { hooksOf: 'microAction' },
+        exitActions: { hooksOf: 'microAction' },
+        actions: 'pageActions'
+      },
+
+      pageActions: {
+        nonNavigation: { listOf: 'action' },
+        navigation: { listOf: 'action' }
+      },
+
+      action: {
+        use: null, // template reference, see TemplateExpander
+        with: 'opaque',
+        name: null,
+        description: null,
+        probability: null,
+        targetPage: null,
+        conditions: 'conditions',
+        impact: 'opaque',
+        microSequence: { listOf: 'microAction' }
+      },
+
+      conditions: {
+        minTimeOnPage: null,
+        maxTimeOnPage: null,
+        elementExists: null,
+        elementNotExists: null,
+        goalProgress: 'opaque',
+        previousAction: null,
+        previousActionNot: null,
+        previousActions: null,
+        actionCount: 'opaque',
+        visitedPages: null,
+        notVisitedPages: null,
+        urlMatches: null,
+        elementText: 'opaque',
+        elementAttribute: 'opaque',
+        variable: 'opaque',
+        expression: 'expression',
+        all: { listOf: 'conditions' },
+        any: { listOf: 'conditions' },
+        not: 'conditions'
+      },
+
+      microAction: {
+        use: null,
+        with: 'opaque',
+        name: null,
+        type: null,
+        target: null,
+        duration: null,
+        distance: null,
+        to: null,
+        speed: null,
+        pattern: null,
+        text: null,
+        clearFirst: null,
+        button: null,
+        count: null,
+        exists: null,
+        filename: null,
+        fullPage: null,
+        baseline: null,
+        threshold: null,
+        tolerance: null,
+        ignoreRegions: 'opaque',
+        overlays: null,
+        dismiss: null,
+        retry: 'retryPolicy',
+        // Control flow: if / repeat / until / for_each
+        conditions: 'conditions',
+        then: { listOf: 'microAction' },
+        else: { listOf: 'microAction' },
+        steps: { listOf: 'microAction' },
+        times: null,
+        maxIterations: null,
+        limit: null,
+        visibleOnly: null,
+        flow: null, // call
+        variable: null, // set
+        value: null,
+        expression: 'expression',
+        // extract
+        read: null,
+        attribute: null,
+        property: null,
+        multiple: null,
+        transform: 'opaque',
+        into: null,
+        dataset: null,
+        field: null,
+        // scrape_table / scrape_list
+        columns: 'opaque',
+        key: null,
+        nextPage: null,
+        maxPages: null,
+        pageTimeout: null,
+        // Per-step overrides of micro_action_defaults
+        variation: null,
+        min: null,
+        max: null,
+        overshoot: null,
+        microMovements: null,
+        amplitude: null,
+        holdDuration: null,
+        offset: null,
+        doubleClickProbability: null,
+        method: null,
+        viewportMargin: null,
+        pauseProbability: null,
+        typoProbability: null,
+        correctionProbability: null,
+        naturalPauses: null,
+        message: null
+      },
+
+      // Named flow invoked by `call` steps (config `flows` or shared library)
+      flow: {
+        description: null,
+        params: 'opaque',
+        steps: { listOf: 'microAction' },
+        returns: 'opaque',
+        updatedAt: null
+      },
+
+      // Site or scenario level defaults per micro action type
+      microActionDefaults: {
+        wait: 'microActionOptions',
+        move: 'microActionOptions',
+        hover: 'microActionOptions',
+        click: 'microActionOptions',
+        scroll: 'microActionOptions',
+        type: 'microActionOptions'
+      },
+
+      microActionOptions: {
+        duration: null,
+        variation: null,
+        min: null,
+        max: null,
+        speed: null,
+        pattern: null,
+        overshoot: null,
+        microMovements: null,
+        amplitude: null,
+        button: null,
+        count: null,
+        holdDuration: null,
+        offset: null,
+        doubleClickProbability: null,
+        method: null,
+        viewportMargin: null,
+        pauseProbability: null,
+        clearFirst: null,
+        typoProbability: null,
+        correctionProbability: null,
+        naturalPauses: null
+      },
+
+      decisionRules: {
+        navigationProbability: 'navigationProbability',
+        actionSelection: 'actionSelection'
+      },
+
+      navigationProbability: {
+        base: null,
+        modifiers: 'opaque',
+        rules: 'opaque' // compiled modifiers, set by ConfigManager
+      },
+
+      actionSelection: {
+        method: null,
+        description: null,
+        preferUnvisited: null,
+        avoidRepetition: null
+      },
+
+      errorHandling: {
+        default: 'retryPolicy',
+        elementNotFound: 'retryPolicy',
+        pageLoadTimeout: 'pageLoadTimeout'
+      },
+
+      retryPolicy: {
+        retryTimes: null,
+        retryDelay: null,
+        backoff: null,
+        maxDelay: null,
+        fallback: null
+      },
+
+      pageLoadTimeout: {
+        timeout: null,
+        action: null
+      }
+    };
+  }
+
+  /**
+   * Normalize a node to its canonical spelling
+   * Returns the normalized copy and a list of human readable warnings
+   */
+  normalize(node, nodeType, path = nodeType) {
+    const warnings = [];
+    const value = this.normalizeNode(node, nodeType, path, warnings);
+    return { value, warnings };
+  }
+
+  /**
+   * Normalize a single node recursively
+   */
+  normalizeNode(node, nodeType, path, warnings) {
+    const fields = this.NODES[nodeType];
+    if (!fields || !node || typeof node !== 'object' || Array.isArray(node)) {
+      return node;
+    }
+
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(node)) {
+      // Keys starting with "_" are comments or internal metadata
+      if (key.startsWith('_')) {
+        normalized[key] = value;
+        continue;
+      }
+
+      const canonicalKey = this.toCanonicalKey(key, fields);
+
+      if (!canonicalKey) {
+        warnings.push(`${path}: unknown key "${key}"`);
+        normalized[key] = value;
+        continue;
+      }
+
+      if (canonicalKey in normalized) {
+        warnings.push(`${path}: both "${key}" and "${canonicalKey}" are set, using "${canonicalKey}"`);
+        if (key !== canonicalKey) {
+          continue;
+        }
+      }
+
+      normalized[canonicalKey] = this.normalizeField(
+        value,
+        fields[canonicalKey],
+        `${path}.${canonicalKey}`,
+        warnings
+      );
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Copy of a normalized node with every 'expression' field replaced by transform(value, path)
+   */
+  mapExpressions(node, nodeType, transform, path = nodeType) {
+    const fields = this.NODES[nodeType];
+    if (!fields || !node || typeof node !== 'object' || Array.isArray(node)) {
+      return node;
+    }
+
+    const mapped = { ...node };
+
+    for (const [key, value] of Object.entries(node)) {
+      const descriptor = fields[key];
+      if (key.startsWith('_') || descriptor === undefined || value === null || value === undefined) continue;
+
+      mapped[key] = this.mapFieldExpressions(value, descriptor, transform, `${path}.${key}`);
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Map expressions inside a field value according to its descriptor
+   */
+  mapFieldExpressions(value, descriptor, transform, path) {
+    if (descriptor === 'expression') {
+      return transform(value, path);
+    }
+
+    if (descriptor === null || descriptor === 'opaque') {
+      return value;
+    }
+
+    if (typeof descriptor === 'string') {
+      return this.mapExpressions(value, descriptor, transform, path);
+    }
+
+    const childType = descriptor.mapOf || descriptor.listOf || descriptor.hooksOf;
+
+    if (Array.isArray(value)) {
+      return value.map((child, index) => this.mapExpressions(child, childType, transform, `${path}[${index}]`));
+    }
+
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, child]) => [
+        name,
+        name.startsWith('_') ? child : this.mapExpressions(child, childType, transform, `${path}.${name}`)
+      ]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Normalize a field value according to its descriptor
+   */
+  normalizeField(value, descriptor, path, warnings) {
+    if (descriptor === null || descriptor === 'opaque' || descriptor === 'expression' || value === null || value === undefined) {
+      return value;
+    }
+
+    if (typeof descriptor === 'string') {
+      return this.normalizeNode(value, descriptor, path, warnings);
+    }
+
+    if (descriptor.mapOf) {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        warnings.push(`${path}: expected an object`);
+        return value;
+      }
+
+      const normalized = {};
+      for (const [name, child] of Object.entries(value)) {
+        normalized[name] = name.startsWith('_')
+          ? child
+          : this.normalizeNode(child, descriptor.mapOf, `${path}.${name}`, warnings);
+      }
+      return normalized;
+    }
+
+    if (descriptor.listOf) {
+      if (!Array.isArray(value)) {
+        warnings.push(`${path}: expected an array`);
+        return value;
+      }
+
+      return value.map((child, index) =>
+        this.normalizeNode(child, descriptor.listOf, `${path}[${index}]`, warnings)
+      );
+    }
+
+    if (descriptor.hooksOf) {
+      // Hooks may be written as an array or as a named object
+      const entries = Array.isArray(value)
+        ? value.map((child, index) => [index, child])
+        : Object.entries(value).filter(([name]) => !name.startsWith('_'));
+
+      return entries.map(([name, child]) => {
+        const hook = this.normalizeNode(child, descriptor.hooksOf, `${path}.${name}`, warnings);
+        if (typeof name === 'string' && hook && !hook.name) {
+          hook.name = name;
+        }
+        return hook;
+      });
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve a config key to its canonical spelling, or null if unknown
+   */
+  toCanonicalKey(key, fields) {
+    if (key in fields) {
+      return key;
+    }
+
+    const camelKey = this.toCamelCase(key);
+    return camelKey in fields ? camelKey : null;
+  }
+
+  /**
+   * Convert snake_case to camelCase
+   */
+  toCamelCase(key) {
+    return key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+  }
+}
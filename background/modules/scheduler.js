@@ -0,0 +1,398 @@
+import { CronParser } from './cron-parser.js';
+import { StorageManager } from './storage-manager.js';
+
+/**
+ * Scenario Scheduler - Run scenarios at fixed times or on cron rules
+ *
+ * Each enabled schedule owns one chrome.alarms alarm named
+ * `wa_schedule_<id>`. Schedules and their run history live in StorageManager;
+ * alarms are re-created from storage when the service worker starts.
+ *
+ * An alarm that wakes the worker reaches the scheduler twice (restoreAlarms
+ * and onAlarm), so every trigger first claims its slot (`claimedSlot`) and a
+ * slot that is already claimed is skipped.
+ */
+export class ScenarioScheduler {
+  constructor(storageManager = new StorageManager(), runScenario = null) {
+    this.storageManager = storageManager;
+    this.cronParser = new CronParser();
+
+    // Callback that starts or enqueues a run: ({ domain, scenarioId, url, trigger }) => { success, data, error }
+    this.runScenario = runScenario;
+
+    this.ALARM_PREFIX = 'wa_schedule_';
+    this.MISSED_GRACE = 5 * 60 * 1000; // Late alarms within 5 minutes still run
+    this.MAX_RUN_HISTORY = 50;
+
+    // Serialize read-modify-write cycles on the schedules record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * List schedules ordered by next run
+   */
+  async listSchedules() {
+    const schedules = await this.storageManager.getSchedules();
+    return Object.values(schedules).sort((a, b) =>
+      (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity)
+    );
+  }
+
+  /**
+   * Get schedule by id
+   */
+  async getSchedule(scheduleId) {
+    return await this.storageManager.getSchedule(scheduleId);
+  }
+
+  /**
+   * Create or update schedule
+   */
+  async saveSchedule(data) {
+    const schedule = await this.withLock(async () => {
+      const existing = data.id ? await this.storageManager.getSchedule(data.id) : null;
+
+      const schedule = {
+        id: existing?.id || this.generateScheduleId(),
+        enabled: true,
+        runs: [],
+        createdAt: Date.now(),
+        ...existing,
+        ...data
+      };
+
+      const errors = this.validateSchedule(schedule);
+      if (errors.length > 0) {
+        throw new Error(`Invalid schedule: ${errors.join(', ')}`);
+      }
+
+      schedule.nextRunAt = schedule.enabled ? this.computeNextRun(schedule.rule) : null;
+
+      await this.storageManager.saveSchedule(schedule.id, schedule);
+      return schedule;
+    });
+
+    await this.syncAlarm(schedule);
+
+    console.log(`🗓️ Schedule saved: ${schedule.id}`);
+    return schedule;
+  }
+
+  /**
+   * Delete schedule and its alarm
+   */
+  async deleteSchedule(scheduleId) {
+    await chrome.alarms.clear(this.getAlarmName(scheduleId));
+    await this.withLock(() => this.storageManager.deleteSchedule(scheduleId));
+
+    console.log(`🗑️ Schedule deleted: ${scheduleId}`);
+    return true;
+  }
+
+  /**
+   * Validate schedule fields
+   */
+  validateSchedule(schedule) {
+    const errors = [];
+
+    if (!schedule.domain) errors.push('Missing domain');
+    if (!schedule.scenarioId) errors.push('Missing scenarioId');
+
+    const rule = schedule.rule;
+    if (!rule) {
+      errors.push('Missing rule');
+    } else if (rule.type === 'once') {
+      const at = new Date(rule.at).getTime();
+      if (Number.isNaN(at)) {
+        errors.push('Invalid run time');
+      } else if (schedule.enabled && at <= Date.now()) {
+        errors.push('Run time is in the past');
+      }
+    } else if (rule.type === 'cron') {
+      try {
+        this.cronParser.parse(rule.expression);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else {
+      errors.push(`Unknown rule type: ${rule.type}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compute next run time after `from`, or null when the rule is exhausted
+   */
+  computeNextRun(rule, from = Date.now()) {
+    if (rule.type === 'once') {
+      const at = new Date(rule.at).getTime();
+      return at > from ? at : null;
+    }
+
+    if (rule.type === 'cron') {
+      return this.cronParser.getNextRun(rule.expression, from);
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or clear the alarm for a schedule
+   */
+  async syncAlarm(schedule) {
+    const alarmName = this.getAlarmName(schedule.id);
+
+    if (!schedule.enabled || !schedule.nextRunAt) {
+      await chrome.alarms.clear(alarmName);
+      return;
+    }
+
+    await chrome.alarms.create(alarmName, { when: schedule.nextRunAt });
+  }
+
+  /**
+   * Re-create alarms on startup and record runs missed while the browser was closed
+   */
+  async restoreAlarms() {
+    const now = Date.now();
+    const schedules = await this.listSchedules();
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled) continue;
+
+      try {
+        if (schedule.nextRunAt && schedule.nextRunAt < now - this.MISSED_GRACE) {
+          await this.recordMissedRun(schedule.id, schedule.nextRunAt);
+        } else if (schedule.nextRunAt && schedule.nextRunAt <= now) {
+          await this.runSchedule(schedule.id, schedule.nextRunAt);
+        } else {
+          const existing = await chrome.alarms.get(this.getAlarmName(schedule.id));
+          if (!existing) {
+            await this.syncAlarm(schedule);
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to restore schedule ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Move imported schedules to their next run from now and create their alarms
+   */
+  async syncImportedSchedules(scheduleIds) {
+    for (const scheduleId of scheduleIds) {
+      try {
+        const schedule = await this.withLock(async () => {
+          const schedule = await this.storageManager.getSchedule(scheduleId);
+          if (!schedule) return null;
+
+          // Slots that passed before the import were not this browser's to run
+          schedule.nextRunAt = schedule.enabled ? this.computeNextRun(schedule.rule) : null;
+          if (!schedule.nextRunAt) {
+            schedule.enabled = false;
+          }
+
+          await this.storageManager.saveSchedule(scheduleId, schedule);
+          return schedule;
+        });
+
+        if (schedule) {
+          await this.syncAlarm(schedule);
+        }
+      } catch (error) {
+        console.error(`Failed to sync imported schedule ${scheduleId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check whether an alarm belongs to the scheduler
+   */
+  ownsAlarm(alarmName) {
+    return alarmName.startsWith(this.ALARM_PREFIX);
+  }
+
+  /**
+   * Handle schedule alarm
+   */
+  async handleAlarm(alarm) {
+    const scheduleId = alarm.name.substring(this.ALARM_PREFIX.length);
+    const lateBy = Date.now() - alarm.scheduledTime;
+
+    if (lateBy > this.MISSED_GRACE) {
+      await this.recordMissedRun(scheduleId, alarm.scheduledTime);
+      return;
+    }
+
+    await this.runSchedule(scheduleId, alarm.scheduledTime);
+  }
+
+  /**
+   * Start a scheduled run now
+   */
+  async runSchedule(scheduleId, scheduledFor = Date.now()) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) {
+      console.warn(`Schedule not found: ${scheduleId}`);
+      await chrome.alarms.clear(this.getAlarmName(scheduleId));
+      return null;
+    }
+
+    if (!await this.claimSlot(scheduleId, scheduledFor)) {
+      return null;
+    }
+
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      scheduledFor,
+      startedAt: Date.now(),
+      finishedAt: null,
+      outcome: 'started',
+      sessionId: null,
+      error: null
+    };
+
+    console.log(`🗓️ Running schedule ${scheduleId} (${schedule.domain} / ${schedule.scenarioId})`);
+
+    try {
+      if (!this.runScenario) {
+        throw new Error('No scenario runner registered');
+      }
+
+      const result = await this.runScenario({
+        domain: schedule.domain,
+        scenarioId: schedule.scenarioId,
+        url: schedule.url,
+        trigger: { type: 'schedule', scheduleId, runId: run.id }
+      });
+
+      if (!result?.success) {
+        throw new Error(result?.error || 'Failed to start scenario');
+      }
+
+      run.sessionId = result.data?.sessionId || null;
+    } catch (error) {
+      console.error(`Scheduled run failed: ${scheduleId}`, error);
+      run.outcome = 'failed';
+      run.error = error.message;
+      run.finishedAt = Date.now();
+    }
+
+    return await this.finishTrigger(scheduleId, run);
+  }
+
+  /**
+   * Record a run that did not happen in time
+   */
+  async recordMissedRun(scheduleId, scheduledFor) {
+    if (!await this.claimSlot(scheduleId, scheduledFor)) {
+      return null;
+    }
+
+    console.warn(`⚠️ Missed scheduled run: ${scheduleId}`);
+
+    return await this.finishTrigger(scheduleId, {
+      id: `run_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      scheduledFor,
+      startedAt: null,
+      finishedAt: Date.now(),
+      outcome: 'missed',
+      sessionId: null,
+      error: null
+    });
+  }
+
+  /**
+   * Claim a scheduled slot before triggering it; false when it was already claimed
+   */
+  async claimSlot(scheduleId, scheduledFor) {
+    return await this.withLock(async () => {
+      const schedule = await this.storageManager.getSchedule(scheduleId);
+      if (!schedule || (schedule.claimedSlot ?? -Infinity) >= scheduledFor) {
+        console.log(`🗓️ Slot ${new Date(scheduledFor).toISOString()} of ${scheduleId} already handled`);
+        return false;
+      }
+
+      schedule.claimedSlot = scheduledFor;
+      const saved = await this.storageManager.saveSchedule(scheduleId, schedule);
+      if (!saved) {
+        throw new Error(`Failed to save schedule ${scheduleId}`);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Append run to history and move schedule to its next run
+   */
+  async finishTrigger(scheduleId, run) {
+    const schedule = await this.withLock(async () => {
+      const schedule = await this.storageManager.getSchedule(scheduleId);
+      if (!schedule) return null;
+
+      schedule.runs = [...(schedule.runs || []), run].slice(-this.MAX_RUN_HISTORY);
+      schedule.lastRunAt = run.scheduledFor;
+      schedule.nextRunAt = this.computeNextRun(schedule.rule, Math.max(Date.now(), run.scheduledFor));
+
+      // One-off schedules are done after their single trigger
+      if (!schedule.nextRunAt) {
+        schedule.enabled = false;
+      }
+
+      await this.storageManager.saveSchedule(scheduleId, schedule);
+      return schedule;
+    });
+
+    if (schedule) {
+      await this.syncAlarm(schedule);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Store final session outcome on the run that started it
+   */
+  async recordSessionOutcome(session) {
+    const scheduleId = session.trigger?.scheduleId;
+    if (!scheduleId) return;
+
+    await this.withLock(async () => {
+      const schedule = await this.storageManager.getSchedule(scheduleId);
+      const run = schedule?.runs?.find(item => item.id === session.trigger.runId);
+      if (!run) return;
+
+      run.outcome = session.status;
+      run.sessionId = session.id;
+      run.finishedAt = session.endTime || Date.now();
+      run.error = session.status === 'completed' ? null : session.endReason;
+
+      await this.storageManager.saveSchedule(scheduleId, schedule);
+    });
+  }
+
+  /**
+   * Alarm name for schedule
+   */
+  getAlarmName(scheduleId) {
+    return `${this.ALARM_PREFIX}${scheduleId}`;
+  }
+
+  /**
+   * Run storage mutation after all previously queued ones
+   */
+  withLock(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Generate unique schedule id
+   */
+  generateScheduleId() {
+    return `schedule_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
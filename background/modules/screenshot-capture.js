@@ -0,0 +1,221 @@
+/**
+ * Screenshot Capture - Capture tab screenshots with chrome.tabs.captureVisibleTab
+ *
+ * captureVisibleTab only sees the active tab of a window and is limited to two
+ * calls per second, so captures are serialized, throttled, and a background
+ * automation tab is activated for the capture and then switched back.
+ *
+ * Full-page and element captures scroll the page through the content script
+ * (SCREENSHOT_PREPARE / SCREENSHOT_SCROLL / SCREENSHOT_RESTORE) and stitch the
+ * viewport slices on an OffscreenCanvas in device pixels.
+ */
+export class ScreenshotCapture {
+  constructor() {
+    this.MIN_CAPTURE_INTERVAL = 550; // ms, Chrome allows 2 captures per second
+    this.ACTIVATION_DELAY = 150; // ms for the activated tab to paint
+    this.MAX_CANVAS_SIZE = 16384; // device pixels per side
+
+    this.lastCaptureAt = 0;
+    this.captureQueue = Promise.resolve();
+  }
+
+  /**
+   * Capture a tab as PNG data URL
+   *
+   * options.fullPage captures the whole scrollable page, options.region
+   * ({ x, y, width, height } in document CSS pixels) crops to that box.
+   */
+  capture(tabId, options = {}) {
+    const task = options.fullPage || options.region
+      ? () => this.captureStitched(tabId, options.region || null)
+      : () => this.captureViewport(tabId);
+
+    const result = this.captureQueue.then(task);
+    this.captureQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Capture visible viewport
+   */
+  async captureViewport(tabId) {
+    return await this.withVisibleTab(tabId, async (tab) => ({
+      dataUrl: await this.captureVisible(tab.windowId),
+      url: tab.url,
+      title: tab.title
+    }));
+  }
+
+  /**
+   * Capture full page or a document region by scrolling and stitching
+   */
+  async captureStitched(tabId, region) {
+    return await this.withVisibleTab(tabId, async (tab) => {
+      const page = await this.sendToTab(tabId, { type: 'SCREENSHOT_PREPARE' });
+      const scale = page.devicePixelRatio || 1;
+
+      try {
+        const area = this.getCaptureArea(page, region, scale);
+        const canvas = new OffscreenCanvas(
+          Math.max(1, Math.round(area.width * scale)),
+          Math.max(1, Math.round(area.height * scale))
+        );
+        const context = canvas.getContext('2d');
+
+        let covered = area.y;
+        let firstFrame = true;
+
+        while (covered < area.y + area.height) {
+          // Fixed headers would repeat in every slice, so hide them after the first one
+          const { scrollY } = await this.sendToTab(tabId, {
+            type: 'SCREENSHOT_SCROLL',
+            data: { y: covered, hideFixed: !firstFrame }
+          });
+          firstFrame = false;
+
+          const sliceBottom = Math.min(scrollY + page.viewportHeight, area.y + area.height);
+          if (sliceBottom <= covered) {
+            break; // Page cannot scroll any further
+          }
+
+          const bitmap = await this.toBitmap(await this.captureVisible(tab.windowId));
+          const sourceY = (covered - scrollY) * scale;
+          const sliceHeight = (sliceBottom - covered) * scale;
+
+          context.drawImage(
+            bitmap,
+            area.x * scale, sourceY, area.width * scale, sliceHeight,
+            0, (covered - area.y) * scale, area.width * scale, sliceHeight
+          );
+          bitmap.close();
+
+          covered = sliceBottom;
+        }
+
+        return {
+          dataUrl: await this.canvasToDataUrl(canvas),
+          url: tab.url,
+          title: tab.title,
+          width: canvas.width,
+          height: canvas.height
+        };
+      } finally {
+        await this.sendToTab(tabId, { type: 'SCREENSHOT_RESTORE' }).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Area to capture in document CSS pixels, clamped to the page and canvas limits
+   */
+  getCaptureArea(page, region, scale) {
+    const area = region
+      ? { ...region }
+      : { x: 0, y: 0, width: page.viewportWidth, height: page.scrollHeight };
+
+    // Pages are only scrolled vertically, so keep the area inside the viewport width
+    area.x = Math.max(0, area.x);
+    area.y = Math.max(0, area.y);
+    area.width = Math.min(area.width, page.viewportWidth - area.x);
+    area.height = Math.min(area.height, page.scrollHeight - area.y);
+
+    const maxHeight = Math.floor(this.MAX_CANVAS_SIZE / scale);
+    if (area.height > maxHeight) {
+      console.warn(`⚠️ Screenshot truncated to ${maxHeight}px of ${area.height}px`);
+      area.height = maxHeight;
+    }
+
+    if (area.width <= 0 || area.height <= 0) {
+      throw new Error('Capture area is empty or outside the page');
+    }
+
+    return area;
+  }
+
+  /**
+   * Make tab visible for the duration of a capture
+   */
+  async withVisibleTab(tabId, task) {
+    const tab = await chrome.tabs.get(tabId);
+    let previousTabId = null;
+
+    if (!tab.active) {
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+      previousTabId = activeTab?.id ?? null;
+
+      await chrome.tabs.update(tabId, { active: true });
+      await this.wait(this.ACTIVATION_DELAY);
+    }
+
+    try {
+      return await task(tab);
+    } finally {
+      if (previousTabId !== null) {
+        await chrome.tabs.update(previousTabId, { active: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Capture visible area of window respecting the rate limit
+   */
+  async captureVisible(windowId) {
+    await this.waitForRateLimit();
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+    this.lastCaptureAt = Date.now();
+    return dataUrl;
+  }
+
+  /**
+   * Wait until the next capture is allowed
+   */
+  async waitForRateLimit() {
+    const elapsed = Date.now() - this.lastCaptureAt;
+    if (elapsed < this.MIN_CAPTURE_INTERVAL) {
+      await this.wait(this.MIN_CAPTURE_INTERVAL - elapsed);
+    }
+  }
+
+  /**
+   * Send message to content script and unwrap errors
+   */
+  async sendToTab(tabId, message) {
+    const response = await chrome.tabs.sendMessage(tabId, message);
+    if (response && response.success === false) {
+      throw new Error(response.error || `${message.type} failed`);
+    }
+    return response;
+  }
+
+  /**
+   * Decode data URL into ImageBitmap
+   */
+  async toBitmap(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    return await createImageBitmap(blob);
+  }
+
+  /**
+   * Encode canvas as PNG data URL
+   */
+  async canvasToDataUrl(canvas) {
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+
+    return `data:image/png;base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Simple wait utility
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Screenshot Store - Persist captured screenshots in IndexedDB
+ *
+ * chrome.storage quotas are too small for image data, so screenshots live in
+ * their own database. Records hold the PNG data URL plus session/step/filename
+ * metadata and are indexed by session for the per-session gallery. Listings
+ * leave out the image data; the gallery loads each image by id when shown.
+ *
+ * Visual check baselines are kept in a second object store, keyed by
+ * domain and baseline name.
+ */
+export class ScreenshotStore {
+  constructor() {
+    this.DB_NAME = 'wa_screenshots';
+    this.DB_VERSION = 2;
+    this.STORE_NAME = 'screenshots';
+    this.BASELINE_STORE_NAME = 'baselines';
+
+    // Screenshots taken outside a session are filed under this id
+    this.UNASSIGNED_SESSION_ID = 'unassigned';
+    this.UNASSIGNED_MAX_AGE = 24 * 60 * 60 * 1000; // Same retention as sessions
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open database, creating the object store on first use
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+            store.createIndex('sessionId', 'sessionId', { unique: false });
+            store.createIndex('createdAt', 'createdAt', { unique: false });
+          }
+
+          if (event.oldVersion < 2) {
+            const baselines = db.createObjectStore(this.BASELINE_STORE_NAME, { keyPath: 'key' });
+            baselines.createIndex('domain', 'domain', { unique: false });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Save screenshot record
+   */
+  async save(screenshot) {
+    const record = {
+      id: this.generateScreenshotId(),
+      createdAt: Date.now(),
+      ...screenshot
+    };
+
+    await this.run('readwrite', store => store.put(record));
+
+    console.log(`📸 Screenshot stored: ${record.filename}`);
+    return record;
+  }
+
+  /**
+   * Get screenshot by id
+   */
+  async get(screenshotId) {
+    return (await this.run('readonly', store => store.get(screenshotId))) || null;
+  }
+
+  /**
+   * List screenshots of a session without image data, oldest first
+   */
+  async listBySession(sessionId) {
+    const records = await this.run('readonly', store =>
+      store.index('sessionId').getAll(IDBKeyRange.only(sessionId))
+    );
+
+    return records
+      .map(({ dataUrl, ...metadata }) => metadata)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Sessions that have screenshots, newest first, without image data
+   */
+  async listSessions() {
+    const sessions = new Map();
+
+    await this.iterate(record => {
+      const entry = sessions.get(record.sessionId) || {
+        sessionId: record.sessionId,
+        count: 0,
+        latest: 0
+      };
+
+      entry.count++;
+      entry.latest = Math.max(entry.latest, record.createdAt);
+      sessions.set(record.sessionId, entry);
+    });
+
+    return [...sessions.values()].sort((a, b) => b.latest - a.latest);
+  }
+
+  /**
+   * Merge changes into stored screenshot
+   */
+  async update(screenshotId, changes) {
+    const screenshot = await this.get(screenshotId);
+    if (!screenshot) {
+      throw new Error(`Screenshot not found: ${screenshotId}`);
+    }
+
+    const updated = { ...screenshot, ...changes, id: screenshotId };
+    await this.run('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Delete screenshot by id
+   */
+  async delete(screenshotId) {
+    await this.run('readwrite', store => store.delete(screenshotId));
+    return true;
+  }
+
+  /**
+   * Delete screenshots of sessions that no longer exist and unassigned
+   * screenshots older than UNASSIGNED_MAX_AGE
+   */
+  async cleanup(validSessionIds, now = Date.now()) {
+    const keep = new Set(validSessionIds);
+    const stale = [];
+
+    await this.iterate(record => {
+      const expired = record.sessionId === this.UNASSIGNED_SESSION_ID
+        ? now - record.createdAt > this.UNASSIGNED_MAX_AGE
+        : !keep.has(record.sessionId);
+
+      if (expired) {
+        stale.push(record.id);
+      }
+    });
+
+    for (const screenshotId of stale) {
+      await this.delete(screenshotId);
+    }
+
+    if (stale.length > 0) {
+      console.log(`🧹 Cleaned up ${stale.length} screenshots`);
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Get visual check baseline
+   */
+  async getBaseline(domain, name) {
+    const key = this.getBaselineKey(domain, name);
+    return (await this.run('readonly', store => store.get(key), this.BASELINE_STORE_NAME)) || null;
+  }
+
+  /**
+   * Save image as baseline, replacing the previous one
+   */
+  async saveBaseline(domain, name, image) {
+    const existing = await this.getBaseline(domain, name);
+    const baseline = {
+      key: this.getBaselineKey(domain, name),
+      domain,
+      name,
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      ...image
+    };
+
+    await this.run('readwrite', store => store.put(baseline), this.BASELINE_STORE_NAME);
+
+    console.log(`🖼️ Baseline saved: ${domain} / ${name}`);
+    return baseline;
+  }
+
+  /**
+   * List baselines without image data, optionally for one domain
+   */
+  async listBaselines(domain = null) {
+    const baselines = await this.run(
+      'readonly',
+      store => domain ? store.index('domain').getAll(IDBKeyRange.only(domain)) : store.getAll(),
+      this.BASELINE_STORE_NAME
+    );
+
+    return baselines
+      .map(({ dataUrl, ...metadata }) => metadata)
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Delete baseline
+   */
+  async deleteBaseline(domain, name) {
+    const key = this.getBaselineKey(domain, name);
+    await this.run('readwrite', store => store.delete(key), this.BASELINE_STORE_NAME);
+    return true;
+  }
+
+  /**
+   * Baseline record key
+   */
+  getBaselineKey(domain, name) {
+    return `${domain}::${name}`;
+  }
+
+  /**
+   * Run a single request in a transaction and resolve with its result
+   */
+  async run(mode, createRequest, storeName = this.STORE_NAME) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Visit every record with a cursor
+   */
+  async iterate(visit) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE_NAME, 'readonly');
+      const request = transaction.objectStore(this.STORE_NAME).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          visit(cursor.value);
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Generate unique screenshot id
+   */
+  generateScreenshotId() {
+    return `shot_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
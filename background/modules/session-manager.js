@@ -0,0 +1,427 @@
+import { StorageManager } from './storage-manager.js';
+
+/**
+ * Session Manager - Automation session lifecycle backed by persistent storage
+ *
+ * Sessions are always read from and written to StorageManager, so the MV3
+ * service worker can be torn down and restarted mid-run without losing state.
+ *
+ * Lifecycle: created → running ⇄ paused → completed | failed | timed_out | stopped
+ */
+export class SessionManager {
+  constructor(storageManager = new StorageManager()) {
+    this.storageManager = storageManager;
+
+    this.STATES = {
+      CREATED: 'created',
+      RUNNING: 'running',
+      PAUSED: 'paused',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      TIMED_OUT: 'timed_out',
+      STOPPED: 'stopped'
+    };
+
+    // Allowed transitions per state; terminal states have none
+    this.TRANSITIONS = {
+      created: ['running', 'failed', 'stopped'],
+      running: ['paused', 'completed', 'failed', 'timed_out', 'stopped'],
+      paused: ['running', 'failed', 'timed_out', 'stopped'],
+      completed: [],
+      failed: [],
+      timed_out: [],
+      stopped: []
+    };
+
+    this.MAX_LOG_ENTRIES = 500;
+
+    // Log entries of verify steps; their results are kept in full outside the capped log
+    this.VERIFICATION_LOG_TYPES = ['verify_passed', 'verify_failed', 'visual_check_passed', 'visual_check_failed'];
+    this.MAX_DATASET_ROWS = 5000;
+
+    this.stateListeners = new Set();
+
+    // Serialize read-modify-write cycles on the shared sessions record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create a new session in the "created" state
+   */
+  async createSession({ tabId, scenarioId, websiteConfig, trigger = null, startTime = Date.now() }) {
+    const now = Date.now();
+    const session = {
+      id: this.generateSessionId(),
+      tabId,
+      scenarioId,
+      domain: websiteConfig?.website?.domain || null,
+      scenarioName: websiteConfig?.scenarios?.[scenarioId]?.name || scenarioId,
+      // Runtime model snapshot, used to re-hydrate the content script after page loads
+      scenario: websiteConfig?.scenarios?.[scenarioId] || null,
+      selectors: websiteConfig?.selectors || null,
+      flows: websiteConfig?.flows || null,
+      // What started the run: manual (popup) or schedule
+      trigger: trigger || { type: 'manual' },
+      status: this.STATES.CREATED,
+      createdAt: now,
+      startTime,
+      endTime: null,
+      endReason: null,
+      progress: {},
+      logs: [],
+      // Results of verify and visual_check steps, for suite reports
+      verifications: [],
+      // Row counts of datasets collected by extract steps; StorageManager keeps the rows
+      datasetRows: {},
+      history: [{ from: null, to: this.STATES.CREATED, at: now }],
+      stats: {
+        actions: 0,
+        errors: 0
+      }
+    };
+
+    await this.withLock(() => this.saveSession(session));
+
+    console.log(`🆕 Session created: ${session.id}`);
+    this.notifyStateChange(session, null);
+    return session;
+  }
+
+  /**
+   * Get session by id
+   */
+  async getSession(sessionId) {
+    return await this.storageManager.getSession(sessionId);
+  }
+
+  /**
+   * Get the most recent non-terminal session for a tab
+   */
+  async getActiveSession(tabId) {
+    const sessions = await this.getActiveSessions();
+    const tabSessions = sessions.filter(session => session.tabId === tabId);
+
+    if (tabSessions.length === 0) {
+      return null;
+    }
+
+    return tabSessions.sort((a, b) => b.createdAt - a.createdAt)[0];
+  }
+
+  /**
+   * Get all non-terminal sessions
+   */
+  async getActiveSessions() {
+    const sessions = await this.storageManager.getSessions();
+    return Object.values(sessions).filter(session => this.isActive(session));
+  }
+
+  /**
+   * Move session from created to running
+   */
+  async startSession(sessionId) {
+    return await this.transition(sessionId, this.STATES.RUNNING, { reason: 'started' });
+  }
+
+  /**
+   * Pause running session
+   */
+  async pauseSession(sessionId) {
+    return await this.transition(sessionId, this.STATES.PAUSED, { reason: 'paused' });
+  }
+
+  /**
+   * Resume paused session
+   */
+  async resumeSession(sessionId) {
+    return await this.transition(sessionId, this.STATES.RUNNING, { reason: 'resumed' });
+  }
+
+  /**
+   * End session with a terminal state (stopped by default)
+   */
+  async endSession(sessionId, status = this.STATES.STOPPED, reason = 'manual_stop') {
+    if (this.TRANSITIONS[status] === undefined || this.TRANSITIONS[status].length > 0) {
+      throw new Error(`Not a terminal session state: ${status}`);
+    }
+
+    return await this.transition(sessionId, status, { reason });
+  }
+
+  /**
+   * Apply a state transition, rejecting illegal ones
+   */
+  async transition(sessionId, toState, { reason = null } = {}) {
+    const session = await this.withLock(async () => {
+      const session = await this.requireSession(sessionId);
+      const fromState = session.status;
+
+      if (!this.canTransition(fromState, toState)) {
+        throw new Error(`Illegal session transition: ${fromState} → ${toState} (${sessionId})`);
+      }
+
+      const now = Date.now();
+      session.status = toState;
+      session.history.push({ from: fromState, to: toState, at: now, reason });
+
+      if (this.isTerminal(toState)) {
+        session.endTime = now;
+        session.endReason = reason;
+      }
+
+      await this.saveSession(session);
+
+      console.log(`🔀 Session ${sessionId}: ${fromState} → ${toState}`);
+      return session;
+    });
+
+    const { from } = session.history[session.history.length - 1];
+    this.notifyStateChange(session, from);
+    return session;
+  }
+
+  /**
+   * Subscribe to session state changes, returns unsubscribe function
+   */
+  onStateChange(listener) {
+    this.stateListeners.add(listener);
+    return () => this.stateListeners.delete(listener);
+  }
+
+  /**
+   * Notify state change listeners
+   */
+  notifyStateChange(session, fromState) {
+    for (const listener of this.stateListeners) {
+      try {
+        // Listeners may be async (outcome recording); never let them reject unhandled
+        Promise.resolve(listener(session, fromState))
+          .catch(error => console.error('Session state listener failed:', error));
+      } catch (error) {
+        console.error('Session state listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Check whether a transition is allowed
+   */
+  canTransition(fromState, toState) {
+    return (this.TRANSITIONS[fromState] || []).includes(toState);
+  }
+
+  /**
+   * Check whether a state is terminal
+   */
+  isTerminal(state) {
+    return Array.isArray(this.TRANSITIONS[state]) && this.TRANSITIONS[state].length === 0;
+  }
+
+  /**
+   * Check whether a session is still active (not terminal)
+   */
+  isActive(session) {
+    return Boolean(session) && !this.isTerminal(session.status);
+  }
+
+  /**
+   * Store latest progress snapshot
+   */
+  async updateProgress(sessionId, progress) {
+    return await this.withLock(async () => {
+      const session = await this.requireSession(sessionId);
+
+      session.progress = {
+        ...session.progress,
+        ...progress,
+        updatedAt: Date.now()
+      };
+
+      await this.saveSession(session);
+      return session;
+    });
+  }
+
+  /**
+   * Append entry to session log
+   */
+  async logAction(sessionId, entry) {
+    return await this.withLock(async () => {
+      const session = await this.requireSession(sessionId);
+
+      const logEntry = {
+        timestamp: Date.now(),
+        ...entry
+      };
+      session.logs.push(logEntry);
+
+      // Keep only the most recent entries
+      if (session.logs.length > this.MAX_LOG_ENTRIES) {
+        session.logs = session.logs.slice(-this.MAX_LOG_ENTRIES);
+      }
+
+      if (entry.actionType === 'error') {
+        session.stats.errors++;
+      } else if (entry.actionType === 'action_completed') {
+        session.stats.actions++;
+      } else if (this.VERIFICATION_LOG_TYPES.includes(entry.actionType)) {
+        session.verifications = session.verifications || [];
+        session.verifications.push(this.toVerification(logEntry));
+      }
+
+      await this.saveSession(session);
+      return session;
+    });
+  }
+
+  /**
+   * Verification result from a verify or visual_check log entry
+   */
+  toVerification(entry) {
+    return {
+      name: entry.step || (entry.baseline ? `visual ${entry.baseline}` : null),
+      action: entry.action,
+      page: entry.page,
+      target: entry.target,
+      exists: entry.exists,
+      passed: entry.actionType.endsWith('_passed'),
+      message: entry.message || null,
+      timestamp: entry.timestamp
+    };
+  }
+
+  /**
+   * Append rows to a named dataset of the session
+   * With `key`, rows whose key value is already in the dataset are skipped as
+   * duplicates; rows without a key value are always kept. Returns
+   * { added, duplicates, dropped, total }; rows beyond MAX_DATASET_ROWS are dropped.
+   */
+  async appendDataset(sessionId, name, rows, key = null) {
+    return await this.withLock(async () => {
+      const session = await this.requireSession(sessionId);
+      const datasets = await this.storageManager.getDatasets(sessionId);
+
+      const dataset = datasets[name] || [];
+      const keyOf = (row) => (row[key] === null || row[key] === undefined || row[key] === '' ? null : String(row[key]));
+      const seen = new Set(key ? dataset.map(keyOf).filter(value => value !== null) : []);
+
+      const unique = key
+        ? rows.filter(row => {
+          const value = keyOf(row);
+          if (value === null) return true;
+          if (seen.has(value)) return false;
+          seen.add(value);
+          return true;
+        })
+        : rows;
+
+      const added = unique.slice(0, Math.max(0, this.MAX_DATASET_ROWS - dataset.length));
+      datasets[name] = [...dataset, ...added];
+
+      if (added.length < unique.length) {
+        console.warn(`⚠️ Dataset "${name}" is full (${this.MAX_DATASET_ROWS} rows), dropped ${unique.length - added.length}`);
+      }
+
+      if (!await this.storageManager.saveDatasets(sessionId, datasets)) {
+        throw new Error(`Failed to save dataset "${name}" of session ${sessionId}`);
+      }
+
+      session.datasetRows = { ...session.datasetRows, [name]: datasets[name].length };
+      await this.saveSession(session);
+
+      return {
+        added: added.length,
+        duplicates: rows.length - unique.length,
+        dropped: unique.length - added.length,
+        total: datasets[name].length
+      };
+    });
+  }
+
+  /**
+   * Rows of a session dataset, or null when the session has no such dataset
+   */
+  async getDataset(sessionId, name) {
+    const datasets = await this.storageManager.getDatasets(sessionId);
+    return datasets[name] || null;
+  }
+
+  /**
+   * Sessions that collected datasets, newest first, with row counts per dataset
+   */
+  async listDatasetSessions() {
+    const sessions = Object.values(await this.storageManager.getSessions());
+
+    return sessions
+      .filter(session => Object.keys(session.datasetRows || {}).length > 0)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(session => ({
+        sessionId: session.id,
+        domain: session.domain,
+        scenarioName: session.scenarioName,
+        status: session.status,
+        createdAt: session.createdAt,
+        datasets: { ...session.datasetRows }
+      }));
+  }
+
+  /**
+   * Time out active sessions without updates and drop old sessions
+   */
+  async cleanupOldSessions() {
+    const settings = await this.storageManager.getSettings();
+    const timeout = (settings.sessionTimeout || 45) * 60 * 1000;
+    const now = Date.now();
+
+    const activeSessions = await this.getActiveSessions();
+    for (const session of activeSessions) {
+      if (now - (session.lastUpdated || session.createdAt) > timeout) {
+        try {
+          await this.endSession(session.id, this.STATES.TIMED_OUT, 'inactive');
+        } catch (error) {
+          console.error('Failed to time out session:', error);
+        }
+      }
+    }
+
+    // Rewrites the whole sessions record, so it must not interleave with other writes
+    return await this.withLock(() => this.storageManager.cleanupOldSessions());
+  }
+
+  /**
+   * Get session or throw if missing
+   */
+  async requireSession(sessionId) {
+    const session = await this.storageManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    return session;
+  }
+
+  /**
+   * Persist session; StorageManager reports failures (e.g. quota) as false
+   */
+  async saveSession(session) {
+    const saved = await this.storageManager.saveSession(session.id, session);
+    if (!saved) {
+      throw new Error(`Failed to save session ${session.id}`);
+    }
+  }
+
+  /**
+   * Run storage mutation after all previously queued ones
+   */
+  withLock(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Generate unique session id
+   */
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
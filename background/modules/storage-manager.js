@@ -8,7 +8,14 @@ export class StorageManager {
       WEBSITES: 'wa_websites',
       SESSIONS: 'wa_sessions',
       CURRENT_WEBSITE: 'wa_current_website',
-      USER_DATA: 'wa_user_data'
+      USER_DATA: 'wa_user_data',
+      SCHEDULES: 'wa_schedules',
+      RUN_QUEUE: 'wa_run_queue',
+      SUITES: 'wa_suites',
+      SUITE_RUNS: 'wa_suite_runs',
+      FLOWS: 'wa_flows',
+      // One key per session: wa_datasets_<sessionId>
+      DATASETS_PREFIX: 'wa_datasets_'
     };
 
     this.DEFAULT_SETTINGS = {
@@ -18,6 +25,7 @@ export class StorageManager {
       notificationMode: true,
       sessionTimeout: 45, // minutes
       retryLimit: 3,
+      maxConcurrentRuns: 2,
       autoStart: false,
       theme: 'system'
     };
@@ -270,6 +278,7 @@ export class StorageManager {
       await chrome.storage.local.set({
         [this.STORAGE_KEYS.SESSIONS]: sessions
       });
+      await this.deleteDatasets([sessionId]);
       
       return true;
     } catch (error) {
@@ -279,7 +288,7 @@ export class StorageManager {
   }
 
   /**
-   * Clean up old sessions (older than 24 hours)  
+   * Clean up old sessions (older than 24 hours)
    */
   async cleanupOldSessions() {
     try {
@@ -287,19 +296,21 @@ export class StorageManager {
       const now = Date.now();
       const maxAge = 24 * 60 * 60 * 1000; // 24 hours
       
-      let cleanedCount = 0;
+      const cleaned = [];
       
       for (const [sessionId, session] of Object.entries(sessions)) {
         if (now - session.lastUpdated > maxAge) {
           delete sessions[sessionId];
-          cleanedCount++;
+          cleaned.push(sessionId);
         }
       }
       
+      const cleanedCount = cleaned.length;
       if (cleanedCount > 0) {
         await chrome.storage.local.set({
           [this.STORAGE_KEYS.SESSIONS]: sessions
         });
+        await this.deleteDatasets(cleaned);
         
         console.log(`🧹 Cleaned up ${cleanedCount} old sessions`);
       }
@@ -311,15 +322,328 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Get datasets of a session by name
+   * Rows are kept apart from the sessions record, which is rewritten on every update
+   */
+  async getDatasets(sessionId) {
+    try {
+      const key = this.getDatasetsKey(sessionId);
+      const result = await chrome.storage.local.get(key);
+      return result[key] || {};
+    } catch (error) {
+      console.error('Failed to get datasets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save datasets of a session
+   */
+  async saveDatasets(sessionId, datasets) {
+    try {
+      await chrome.storage.local.set({
+        [this.getDatasetsKey(sessionId)]: datasets
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save datasets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete datasets of sessions
+   */
+  async deleteDatasets(sessionIds) {
+    try {
+      await chrome.storage.local.remove(sessionIds.map(sessionId => this.getDatasetsKey(sessionId)));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete datasets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Storage key holding the datasets of a session
+   */
+  getDatasetsKey(sessionId) {
+    return `${this.STORAGE_KEYS.DATASETS_PREFIX}${sessionId}`;
+  }
+
+  /**
+   * Get all scenario schedules
+   */
+  async getSchedules() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEYS.SCHEDULES);
+      return result[this.STORAGE_KEYS.SCHEDULES] || {};
+    } catch (error) {
+      console.error('Failed to get schedules:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get schedule by id
+   */
+  async getSchedule(scheduleId) {
+    try {
+      const schedules = await this.getSchedules();
+      return schedules[scheduleId] || null;
+    } catch (error) {
+      console.error('Failed to get schedule:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save schedule
+   */
+  async saveSchedule(scheduleId, schedule) {
+    try {
+      const schedules = await this.getSchedules();
+      schedules[scheduleId] = {
+        ...schedule,
+        updatedAt: Date.now()
+      };
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.SCHEDULES]: schedules
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save schedule:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete schedule
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const schedules = await this.getSchedules();
+      delete schedules[scheduleId];
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.SCHEDULES]: schedules
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to delete schedule:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get run queue items
+   */
+  async getRunQueue() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEYS.RUN_QUEUE);
+      return result[this.STORAGE_KEYS.RUN_QUEUE] || [];
+    } catch (error) {
+      console.error('Failed to get run queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save run queue items
+   */
+  async saveRunQueue(items) {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.RUN_QUEUE]: items
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save run queue:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all test suites
+   */
+  async getSuites() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEYS.SUITES);
+      return result[this.STORAGE_KEYS.SUITES] || {};
+    } catch (error) {
+      console.error('Failed to get suites:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get test suite by id
+   */
+  async getSuite(suiteId) {
+    try {
+      const suites = await this.getSuites();
+      return suites[suiteId] || null;
+    } catch (error) {
+      console.error('Failed to get suite:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save test suite
+   */
+  async saveSuite(suiteId, suite) {
+    try {
+      const suites = await this.getSuites();
+      suites[suiteId] = {
+        ...suite,
+        updatedAt: Date.now()
+      };
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.SUITES]: suites
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save suite:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete test suite
+   */
+  async deleteSuite(suiteId) {
+    try {
+      const suites = await this.getSuites();
+      delete suites[suiteId];
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.SUITES]: suites
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to delete suite:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all suite runs
+   */
+  async getSuiteRuns() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEYS.SUITE_RUNS);
+      return result[this.STORAGE_KEYS.SUITE_RUNS] || {};
+    } catch (error) {
+      console.error('Failed to get suite runs:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get suite run by id
+   */
+  async getSuiteRun(suiteRunId) {
+    try {
+      const suiteRuns = await this.getSuiteRuns();
+      return suiteRuns[suiteRunId] || null;
+    } catch (error) {
+      console.error('Failed to get suite run:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save all suite runs
+   */
+  async saveSuiteRuns(suiteRuns) {
+    try {
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.SUITE_RUNS]: suiteRuns
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save suite runs:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get shared flow library (flows callable from any website config)
+   */
+  async getFlows() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEYS.FLOWS);
+      return result[this.STORAGE_KEYS.FLOWS] || {};
+    } catch (error) {
+      console.error('Failed to get flows:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save shared flow
+   */
+  async saveFlow(name, flow) {
+    try {
+      const flows = await this.getFlows();
+      flows[name] = {
+        ...flow,
+        updatedAt: Date.now()
+      };
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.FLOWS]: flows
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save flow:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete shared flow
+   */
+  async deleteFlow(name) {
+    try {
+      const flows = await this.getFlows();
+      delete flows[name];
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEYS.FLOWS]: flows
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to delete flow:', error);
+      return false;
+    }
+  }
+
   /**
    * Export all data for backup
    */
   async exportAllData() {
     try {
-      const [settings, websites, sessions] = await Promise.all([
+      const [settings, websites, sessions, schedules, suites, flows] = await Promise.all([
         this.getSettings(),
         this.getWebsiteConfigs(),
-        this.getSessions()
+        this.getSessions(),
+        this.getSchedules(),
+        this.getSuites(),
+        this.getFlows()
       ]);
       
       const exportData = {
@@ -328,6 +652,9 @@ export class StorageManager {
         data: {
           settings,
           websites,
+          schedules,
+          suites,
+          flows,
           sessions: Object.fromEntries(
             Object.entries(sessions).filter(([id, session]) => {
               // Only export sessions from last 7 days
@@ -355,7 +682,7 @@ export class StorageManager {
         throw new Error('Invalid import data format');
       }
       
-      const { settings, websites, sessions } = importData.data;
+      const { settings, websites, sessions, schedules, suites, flows } = importData.data;
       
       // Import settings (merge with current)
       if (settings) {
@@ -369,6 +696,33 @@ export class StorageManager {
         });
       }
       
+      // Import schedules (merge with current)
+      if (schedules) {
+        const currentSchedules = await this.getSchedules();
+        
+        await chrome.storage.local.set({
+          [this.STORAGE_KEYS.SCHEDULES]: { ...currentSchedules, ...schedules }
+        });
+      }
+      
+      // Import test suites (merge with current)
+      if (suites) {
+        const currentSuites = await this.getSuites();
+        
+        await chrome.storage.local.set({
+          [this.STORAGE_KEYS.SUITES]: { ...currentSuites, ...suites }
+        });
+      }
+      
+      // Import shared flows (merge with current)
+      if (flows) {
+        const currentFlows = await this.getFlows();
+        
+        await chrome.storage.local.set({
+          [this.STORAGE_KEYS.FLOWS]: { ...currentFlows, ...flows }
+        });
+      }
+      
       // Import sessions (merge with current)
       if (sessions) {
         const currentSessions = await this.getSessions();
@@ -464,7 +818,7 @@ export class StorageManager {
     
     // Example migration logic
     try {
-      const oldData = await chrome.storage.local.get(null);
+      await chrome.storage.local.get(null);
       
       // Transform old data structure to new format
       // This is where you'd implement the actual migration logic
@@ -475,4 +829,4 @@ export class StorageManager {
       throw error;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,191 @@
+/**
+ * Suite Reporter - Turn suite runs into JSON and JUnit XML reports
+ *
+ * JUnit mapping: one <testsuite> per scenario, with a "session" <testcase>
+ * for the run outcome and one <testcase> per verify step.
+ */
+export class SuiteReporter {
+  /**
+   * Count results by outcome
+   */
+  getSummary(suiteRun) {
+    const results = suiteRun.results || [];
+    const verifications = results.flatMap(result => result.verifications || []);
+
+    return {
+      total: results.length,
+      passed: results.filter(result => result.outcome === 'passed').length,
+      failed: results.filter(result => result.outcome === 'failed').length,
+      skipped: results.filter(result => result.outcome === 'skipped').length,
+      verifications: {
+        total: verifications.length,
+        passed: verifications.filter(verification => verification.passed).length,
+        failed: verifications.filter(verification => !verification.passed).length
+      }
+    };
+  }
+
+  /**
+   * Build report in requested format
+   */
+  createReport(suiteRun, format = 'json') {
+    const baseName = `${this.toFileName(suiteRun.suiteName)}_${suiteRun.id}`;
+
+    if (format === 'junit') {
+      return {
+        filename: `${baseName}.xml`,
+        mimeType: 'application/xml',
+        content: this.toJUnitXml(suiteRun)
+      };
+    }
+
+    if (format === 'json') {
+      return {
+        filename: `${baseName}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(this.toJSON(suiteRun), null, 2)
+      };
+    }
+
+    throw new Error(`Unknown report format: ${format}`);
+  }
+
+  /**
+   * JSON report
+   */
+  toJSON(suiteRun) {
+    return {
+      suite: {
+        id: suiteRun.suiteId,
+        name: suiteRun.suiteName
+      },
+      run: {
+        id: suiteRun.id,
+        status: suiteRun.status,
+        startedAt: new Date(suiteRun.startedAt).toISOString(),
+        finishedAt: suiteRun.finishedAt ? new Date(suiteRun.finishedAt).toISOString() : null,
+        duration: this.getDuration(suiteRun)
+      },
+      summary: this.getSummary(suiteRun),
+      results: suiteRun.results.map(result => ({
+        name: result.name,
+        domain: result.domain,
+        scenarioId: result.scenarioId,
+        outcome: result.outcome,
+        status: result.status,
+        sessionId: result.sessionId,
+        duration: this.getDuration(result),
+        failureMessage: result.failureMessage,
+        verifications: result.verifications,
+        errors: result.errors
+      }))
+    };
+  }
+
+  /**
+   * JUnit XML report
+   */
+  toJUnitXml(suiteRun) {
+    const summary = this.getSummary(suiteRun);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this.escapeXml(suiteRun.suiteName)}" tests="${summary.total + summary.verifications.total}" ` +
+        `failures="${summary.failed + summary.verifications.failed}" errors="0" time="${this.toSeconds(this.getDuration(suiteRun))}">`
+    ];
+
+    for (const result of suiteRun.results) {
+      lines.push(...this.toJUnitSuite(result));
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+
+  /**
+   * JUnit <testsuite> for one scenario result
+   */
+  toJUnitSuite(result) {
+    const className = this.escapeXml(`${result.domain}.${result.scenarioId}`);
+    const verifications = result.verifications || [];
+    const failures = (result.outcome === 'failed' ? 1 : 0) +
+      verifications.filter(verification => !verification.passed).length;
+
+    const lines = [
+      `  <testsuite name="${this.escapeXml(result.name)}" tests="${verifications.length + 1}" failures="${failures}" ` +
+        `errors="0" skipped="${result.outcome === 'skipped' ? 1 : 0}" time="${this.toSeconds(this.getDuration(result))}"` +
+        (result.startedAt ? ` timestamp="${new Date(result.startedAt).toISOString()}"` : '') + '>',
+      '    <properties>',
+      `      <property name="domain" value="${this.escapeXml(result.domain)}"/>`,
+      `      <property name="scenarioId" value="${this.escapeXml(result.scenarioId)}"/>`,
+      `      <property name="sessionId" value="${this.escapeXml(result.sessionId || '')}"/>`,
+      `      <property name="status" value="${this.escapeXml(result.status)}"/>`,
+      '    </properties>',
+      `    <testcase classname="${className}" name="session" time="${this.toSeconds(this.getDuration(result))}">`
+    ];
+
+    if (result.outcome === 'skipped') {
+      lines.push(`      <skipped message="${this.escapeXml(result.failureMessage || 'skipped')}"/>`);
+    } else if (result.outcome === 'failed') {
+      lines.push(`      <failure type="${this.escapeXml(result.status)}" message="${this.escapeXml(result.failureMessage)}"/>`);
+    }
+
+    if (result.errors?.length > 0) {
+      const errorText = result.errors.map(error => `[${error.errorType}] ${error.message}`).join('\n');
+      lines.push(`      <system-err>${this.escapeXml(errorText)}</system-err>`);
+    }
+
+    lines.push('    </testcase>');
+
+    verifications.forEach((verification, index) => {
+      const name = `verify ${index + 1}: ${verification.name || verification.target}`;
+      if (verification.passed) {
+        lines.push(`    <testcase classname="${className}" name="${this.escapeXml(name)}" time="0"/>`);
+      } else {
+        lines.push(
+          `    <testcase classname="${className}" name="${this.escapeXml(name)}" time="0">`,
+          `      <failure type="verify" message="${this.escapeXml(verification.message)}"/>`,
+          '    </testcase>'
+        );
+      }
+    });
+
+    lines.push('  </testsuite>');
+    return lines;
+  }
+
+  /**
+   * Duration in ms between startedAt and finishedAt
+   */
+  getDuration(record) {
+    if (!record.startedAt || !record.finishedAt) {
+      return 0;
+    }
+    return record.finishedAt - record.startedAt;
+  }
+
+  /**
+   * Milliseconds to JUnit seconds
+   */
+  toSeconds(ms) {
+    return (ms / 1000).toFixed(3);
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   */
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Safe file name from suite name
+   */
+  toFileName(name) {
+    return String(name || 'suite').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+}
@@ -0,0 +1,355 @@
+import { SessionManager } from './session-manager.js';
+import { StorageManager } from './storage-manager.js';
+import { SuiteReporter } from './suite-reporter.js';
+
+/**
+ * Suite Runner - Run an ordered list of scenarios unattended as a test suite
+ *
+ * Scenarios run one after another through the run queue. When a run finishes,
+ * its session verifications are evaluated: the scenario passes when the session
+ * completed and every `verify` and `visual_check` step passed.
+ *
+ * Suite definition:
+ *   { id, name, scenarios: [{ domain, scenarioId, url?, name? }],
+ *     settings: { stopOnFailure, priority } }
+ */
+export class SuiteRunner {
+  constructor(storageManager = new StorageManager(), sessionManager = new SessionManager(storageManager), callbacks = {}) {
+    this.storageManager = storageManager;
+    this.sessionManager = sessionManager;
+    this.reporter = new SuiteReporter();
+
+    // enqueueRun(request) and cancelRun(itemId) talk to the run queue
+    this.callbacks = callbacks;
+
+    this.DEFAULT_SETTINGS = {
+      stopOnFailure: false,
+      priority: 0
+    };
+
+    this.MAX_SUITE_RUNS = 20;
+
+    // Serialize read-modify-write cycles on the suite runs record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * List suite definitions
+   */
+  async listSuites() {
+    const suites = await this.storageManager.getSuites();
+    return Object.values(suites).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create or update suite definition
+   */
+  async saveSuite(data) {
+    const existing = data.id ? await this.storageManager.getSuite(data.id) : null;
+
+    const suite = {
+      id: existing?.id || this.generateId('suite'),
+      createdAt: Date.now(),
+      ...existing,
+      ...data,
+      settings: {
+        ...this.DEFAULT_SETTINGS,
+        ...existing?.settings,
+        ...data.settings
+      }
+    };
+
+    const errors = this.validateSuite(suite);
+    if (errors.length > 0) {
+      throw new Error(`Invalid suite: ${errors.join(', ')}`);
+    }
+
+    await this.storageManager.saveSuite(suite.id, suite);
+
+    console.log(`🧪 Suite saved: ${suite.id}`);
+    return suite;
+  }
+
+  /**
+   * Delete suite definition
+   */
+  async deleteSuite(suiteId) {
+    await this.storageManager.deleteSuite(suiteId);
+    return true;
+  }
+
+  /**
+   * Validate suite definition
+   */
+  validateSuite(suite) {
+    const errors = [];
+
+    if (!suite.name) errors.push('Missing name');
+
+    if (!Array.isArray(suite.scenarios) || suite.scenarios.length === 0) {
+      errors.push('Suite needs at least one scenario');
+    } else {
+      suite.scenarios.forEach((entry, index) => {
+        if (!entry.domain) errors.push(`scenarios[${index}]: missing domain`);
+        if (!entry.scenarioId) errors.push(`scenarios[${index}]: missing scenarioId`);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * List suite runs, newest first
+   */
+  async listSuiteRuns() {
+    const suiteRuns = await this.storageManager.getSuiteRuns();
+    return Object.values(suiteRuns).sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Start a suite run
+   */
+  async startSuite(suiteId) {
+    const suite = await this.storageManager.getSuite(suiteId);
+    if (!suite) {
+      throw new Error(`Suite not found: ${suiteId}`);
+    }
+
+    const suiteRun = {
+      id: this.generateId('suiterun'),
+      suiteId,
+      suiteName: suite.name,
+      settings: { ...this.DEFAULT_SETTINGS, ...suite.settings },
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      summary: null,
+      results: suite.scenarios.map((entry, index) => ({
+        index,
+        name: entry.name || `${entry.domain} / ${entry.scenarioId}`,
+        domain: entry.domain,
+        scenarioId: entry.scenarioId,
+        url: entry.url || null,
+        outcome: 'pending',
+        status: null,
+        queueItemId: null,
+        sessionId: null,
+        startedAt: null,
+        finishedAt: null,
+        failureMessage: null,
+        verifications: [],
+        errors: []
+      }))
+    };
+
+    await this.updateSuiteRun(suiteRun.id, () => suiteRun);
+
+    console.log(`🧪 Suite run started: ${suiteRun.id} (${suite.name})`);
+
+    await this.runEntry(suiteRun.id, 0);
+    return suiteRun;
+  }
+
+  /**
+   * Enqueue scenario at index, or finish the suite run when none are left
+   */
+  async runEntry(suiteRunId, index) {
+    const suiteRun = await this.storageManager.getSuiteRun(suiteRunId);
+    if (!suiteRun || suiteRun.status !== 'running') return;
+
+    const entry = suiteRun.results[index];
+    if (!entry) {
+      await this.finishSuiteRun(suiteRunId, 'completed');
+      return;
+    }
+
+    await this.updateSuiteRun(suiteRunId, run => {
+      Object.assign(run.results[index], { outcome: 'running', startedAt: Date.now() });
+      return run;
+    });
+
+    const response = await this.callbacks.enqueueRun({
+      domain: entry.domain,
+      scenarioId: entry.scenarioId,
+      url: entry.url,
+      priority: suiteRun.settings.priority,
+      trigger: { type: 'suite', suiteRunId, index }
+    });
+
+    if (!response?.success) {
+      await this.recordResult(suiteRunId, index, {
+        outcome: 'failed',
+        status: 'failed',
+        failureMessage: response?.error || 'Failed to enqueue scenario',
+        finishedAt: Date.now()
+      });
+      return;
+    }
+
+    // The run may already have finished and been recorded while it was dispatched
+    await this.updateSuiteRun(suiteRunId, run => {
+      run.results[index].queueItemId = response.data.id;
+      return run;
+    });
+  }
+
+  /**
+   * Evaluate a finished queue item that belongs to a suite run
+   */
+  async handleRunFinished(item) {
+    if (item.trigger?.type !== 'suite') return;
+
+    const { suiteRunId, index } = item.trigger;
+    const session = item.sessionId ? await this.sessionManager.getSession(item.sessionId) : null;
+
+    await this.recordResult(suiteRunId, index, this.evaluateRun(item, session));
+  }
+
+  /**
+   * Build pass/fail result from queue item, session verifications and logs
+   */
+  evaluateRun(item, session) {
+    const logs = session?.logs || [];
+    // Verification results are complete; the log only keeps recent entries
+    const verifications = session?.verifications || [];
+
+    const errors = logs
+      .filter(entry => entry.actionType === 'error')
+      .map(entry => ({
+        errorType: entry.errorType,
+        message: entry.error?.message,
+        timestamp: entry.timestamp
+      }));
+
+    const failedVerifications = verifications.filter(verification => !verification.passed).length;
+
+    let failureMessage = null;
+    if (item.status !== 'completed') {
+      failureMessage = `Run ${item.status}${item.error ? `: ${item.error}` : ''}`;
+    } else if (failedVerifications > 0) {
+      failureMessage = `${failedVerifications} of ${verifications.length} verifications failed`;
+    }
+
+    return {
+      outcome: failureMessage ? 'failed' : 'passed',
+      status: item.status,
+      sessionId: item.sessionId,
+      startedAt: session?.startTime || item.startedAt,
+      finishedAt: item.finishedAt,
+      failureMessage,
+      verifications,
+      errors
+    };
+  }
+
+  /**
+   * Store scenario result and continue with the next scenario
+   */
+  async recordResult(suiteRunId, index, result) {
+    const suiteRun = await this.updateSuiteRun(suiteRunId, run => {
+      if (run.status !== 'running') return run;
+      Object.assign(run.results[index], result);
+      return run;
+    });
+
+    if (!suiteRun || suiteRun.status !== 'running') return;
+
+    console.log(`🧪 Suite ${suiteRunId} [${index + 1}/${suiteRun.results.length}]: ${result.outcome}`);
+
+    if (result.outcome === 'failed' && suiteRun.settings.stopOnFailure) {
+      await this.finishSuiteRun(suiteRunId, 'completed', 'Stopped after failure');
+      return;
+    }
+
+    await this.runEntry(suiteRunId, index + 1);
+  }
+
+  /**
+   * Cancel running suite run and its current scenario
+   */
+  async cancelSuiteRun(suiteRunId) {
+    const suiteRun = await this.storageManager.getSuiteRun(suiteRunId);
+    if (!suiteRun || suiteRun.status !== 'running') {
+      throw new Error(`Suite run not running: ${suiteRunId}`);
+    }
+
+    const finished = await this.finishSuiteRun(suiteRunId, 'cancelled', 'Suite run cancelled');
+
+    const current = suiteRun.results.find(result => result.outcome === 'running');
+    if (current?.queueItemId) {
+      await this.callbacks.cancelRun?.(current.queueItemId);
+    }
+
+    return finished;
+  }
+
+  /**
+   * Mark remaining scenarios skipped and store summary
+   */
+  async finishSuiteRun(suiteRunId, status, skipReason = 'Not run') {
+    const suiteRun = await this.updateSuiteRun(suiteRunId, run => {
+      for (const result of run.results) {
+        if (result.outcome === 'pending' || result.outcome === 'running') {
+          result.outcome = 'skipped';
+          result.failureMessage = skipReason;
+        }
+      }
+
+      run.status = status;
+      run.finishedAt = Date.now();
+      run.summary = this.reporter.getSummary(run);
+      return run;
+    });
+
+    console.log(`🧪 Suite run ${suiteRunId} ${status}:`, suiteRun.summary);
+    return suiteRun;
+  }
+
+  /**
+   * Build downloadable report for a suite run
+   */
+  async createReport(suiteRunId, format) {
+    const suiteRun = await this.storageManager.getSuiteRun(suiteRunId);
+    if (!suiteRun) {
+      throw new Error(`Suite run not found: ${suiteRunId}`);
+    }
+
+    return this.reporter.createReport(suiteRun, format);
+  }
+
+  /**
+   * Apply change to a suite run and keep only recent runs
+   */
+  async updateSuiteRun(suiteRunId, change) {
+    return await this.withLock(async () => {
+      const suiteRuns = await this.storageManager.getSuiteRuns();
+      const suiteRun = change(suiteRuns[suiteRunId] || null);
+      if (!suiteRun) return null;
+
+      suiteRuns[suiteRunId] = suiteRun;
+
+      const kept = Object.values(suiteRuns)
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, this.MAX_SUITE_RUNS);
+
+      await this.storageManager.saveSuiteRuns(Object.fromEntries(kept.map(run => [run.id, run])));
+      return suiteRun;
+    });
+  }
+
+  /**
+   * Run storage mutation after all previously queued ones
+   */
+  withLock(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Generate unique id with prefix
+   */
+  generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
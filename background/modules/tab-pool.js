@@ -0,0 +1,73 @@
+import { SessionManager } from './session-manager.js';
+import { StorageManager } from './storage-manager.js';
+
+/**
+ * Tab Pool - Pick the tab a scenario run automates
+ *
+ * An idle tab already on the target origin is reused, otherwise a background
+ * tab is opened. A tab only counts as busy once its session exists, which is
+ * after the content script answered; until then the tab is reserved in memory
+ * so parallel runs on the same origin cannot pick it too. The caller releases
+ * the reservation once the session is created or the start failed.
+ */
+export class TabPool {
+  constructor(sessionManager = new SessionManager(new StorageManager()), waitForTab = async () => true) {
+    this.sessionManager = sessionManager;
+
+    // waitForTab(tabId) resolves when the content script answers, throws on timeout
+    this.waitForTab = waitForTab;
+
+    this.reservedTabs = new Set();
+  }
+
+  /**
+   * Reserve an idle tab on the url's origin, or open one, and wait for it to load
+   */
+  async acquire(url) {
+    const targetUrl = new URL(url);
+    const tabs = await chrome.tabs.query({});
+    let tabId = null;
+
+    for (const tab of tabs) {
+      if (!tab.url || !tab.url.startsWith(targetUrl.origin)) continue;
+
+      const session = await this.sessionManager.getActiveSession(tab.id);
+
+      // Checked and reserved without awaiting in between
+      if (!session && !this.reservedTabs.has(tab.id)) {
+        this.reservedTabs.add(tab.id);
+        tabId = tab.id;
+
+        if (tab.url !== targetUrl.href) {
+          await chrome.tabs.update(tab.id, { url: targetUrl.href }).catch(error => {
+            this.release(tab.id);
+            throw error;
+          });
+        }
+        break;
+      }
+    }
+
+    if (tabId === null) {
+      const tab = await chrome.tabs.create({ url: targetUrl.href, active: false });
+      this.reservedTabs.add(tab.id);
+      tabId = tab.id;
+    }
+
+    try {
+      await this.waitForTab(tabId);
+    } catch (error) {
+      this.release(tabId);
+      throw error;
+    }
+
+    return tabId;
+  }
+
+  /**
+   * Drop the reservation of a tab
+   */
+  release(tabId) {
+    this.reservedTabs.delete(tabId);
+  }
+}
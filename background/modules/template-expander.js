@@ -0,0 +1,214 @@
+/**
+ * Template Expander - Expand reusable action templates in scenarios
+ *
+ * Config-level `templates` hold either a sequence (`micro_sequence`, optionally
+ * with action fields like `impact`) or a single micro action (`type`). Actions
+ * and micro sequence items reference them with
+ *
+ *   { "use": "standard_scroll", "with": { "distance": "500px" } }
+ *
+ * Template strings refer to parameters as {name}, the placeholder syntax of
+ * flows and ValueInterpolator; a string that is exactly "{name}" takes the
+ * parameter value as-is (numbers stay numbers). Parameters are declared in the
+ * template's `params` with their default, null for required ones, and only
+ * declared names are replaced: other placeholders such as {timestamp} are left
+ * for runtime interpolation. Parameters take no filters, and the "${name}"
+ * form is rejected. Other keys next to `use` override the template's fields.
+ * Templates may use other templates; cycles are errors.
+ */
+export class TemplateExpander {
+  /**
+   * @param {Object} templates - normalized templates by name
+   */
+  constructor(templates = {}) {
+    this.templates = templates;
+    // Same grammar as ValueInterpolator: "{{" and "}}" are literal braces
+    this.PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([a-zA-Z_][^{}]*)\}/g;
+    this.WHOLE_PLACEHOLDER_PATTERN = /^\{([a-zA-Z_]\w*)\}$/;
+    this.DOLLAR_PARAM_PATTERN = /\$\{([a-zA-Z_]\w*)\}/;
+  }
+
+  /**
+   * Expand all template references in a (normalized) scenario
+   */
+  expandScenario(scenario) {
+    const expanded = { ...scenario, pages: { ...scenario.pages } };
+
+    for (const [pageName, page] of Object.entries(scenario.pages || {})) {
+      if (pageName.startsWith('_') || !page) continue;
+
+      const path = `pages.${pageName}`;
+      const expandedPage = { ...page };
+
+      ['entryActions', 'exitActions'].forEach(hook => {
+        if (Array.isArray(page[hook])) {
+          expandedPage[hook] = this.expandSequence(page[hook], [], `${path}.${hook}`);
+        }
+      });
+
+      if (page.actions) {
+        expandedPage.actions = { ...page.actions };
+        ['nonNavigation', 'navigation'].forEach(actionType => {
+          if (Array.isArray(page.actions[actionType])) {
+            expandedPage.actions[actionType] = page.actions[actionType].map((action, index) =>
+              this.expandAction(action, [], `${path}.${actionType}[${index}]`)
+            );
+          }
+        });
+      }
+
+      expanded.pages[pageName] = expandedPage;
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Expand an action that may use a template, then its micro sequence
+   */
+  expandAction(action, stack, path) {
+    let expanded = action;
+
+    if (action.use) {
+      const { name, body, overrides } = this.resolveReference(action, stack, path);
+      expanded = { ...body, ...overrides };
+      stack = [...stack, name];
+    }
+
+    if (Array.isArray(expanded.microSequence)) {
+      expanded = {
+        ...expanded,
+        microSequence: this.expandSequence(expanded.microSequence, stack, `${path}.microSequence`)
+      };
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Expand micro sequence items; sequence templates are spliced in place
+   */
+  expandSequence(sequence, stack, path) {
+    return sequence.flatMap((microAction, index) => {
+      const itemPath = `${path}[${index}]`;
+
+      if (!microAction?.use) {
+        return [this.expandNestedSteps(microAction, stack, itemPath)];
+      }
+
+      const { name, body, overrides } = this.resolveReference(microAction, stack, itemPath);
+      const nextStack = [...stack, name];
+
+      if (Array.isArray(body.microSequence)) {
+        if (Object.keys(overrides).length > 0) {
+          throw new Error(`${itemPath}: sequence template "${name}" only accepts "with" parameters`);
+        }
+        return this.expandSequence(body.microSequence, nextStack, `${itemPath}(${name})`);
+      }
+
+      return this.expandSequence([{ ...body, ...overrides }], nextStack, `${itemPath}(${name})`);
+    });
+  }
+
+  /**
+   * Expand then / else / steps of control-flow micro actions
+   */
+  expandNestedSteps(microAction, stack, path) {
+    const expanded = { ...microAction };
+
+    ['then', 'else', 'steps'].forEach(key => {
+      if (Array.isArray(microAction?.[key])) {
+        expanded[key] = this.expandSequence(microAction[key], stack, `${path}.${key}`);
+      }
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Look up template, check for cycles and apply parameters
+   */
+  resolveReference(reference, stack, path) {
+    const { use: name, with: values = {}, ...overrides } = reference;
+    const template = this.templates[name];
+
+    if (!template) {
+      throw new Error(`${path}: unknown template "${name}"`);
+    }
+
+    if (stack.includes(name)) {
+      throw new Error(`${path}: template cycle ${[...stack, name].join(' → ')}`);
+    }
+
+    const { params = {}, ...definition } = template;
+    const body = this.substitute(definition, this.getParams(params, values, `${path}(${name})`), `${path}(${name})`);
+
+    return { name, body, overrides };
+  }
+
+  /**
+   * Merge "with" values over declared defaults
+   */
+  getParams(params, values, path) {
+    for (const key of Object.keys(values)) {
+      if (!(key in params)) {
+        throw new Error(`${path}: unknown parameter "${key}"`);
+      }
+    }
+
+    const merged = { ...params, ...values };
+
+    for (const [key, value] of Object.entries(merged)) {
+      if (value === null || value === undefined) {
+        throw new Error(`${path}: missing parameter "${key}"`);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Replace {param} references in strings throughout a value
+   */
+  substitute(value, params, path) {
+    if (typeof value === 'string') {
+      const dollar = value.match(this.DOLLAR_PARAM_PATTERN);
+      if (dollar) {
+        throw new Error(`${path}: use "{${dollar[1]}}" instead of "${dollar[0]}" for template parameters`);
+      }
+
+      const whole = value.match(this.WHOLE_PLACEHOLDER_PATTERN);
+      if (whole && whole[1] in params) {
+        return params[whole[1]];
+      }
+
+      return value.replace(this.PLACEHOLDER_PATTERN, (match, expression) => {
+        if (!expression) return match;
+
+        if (expression in params) {
+          return String(params[expression]);
+        }
+
+        const [head] = expression.split(/[|:]/);
+        if (head.trim() in params) {
+          throw new Error(`${path}: template parameter "${head.trim()}" takes no filters or arguments`);
+        }
+
+        // Left for ValueInterpolator at runtime
+        return match;
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.substitute(item, params, path));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+        [key, this.substitute(child, params, path)]
+      ));
+    }
+
+    return value;
+  }
+}
@@ -0,0 +1,162 @@
+import { ScreenshotCapture } from './screenshot-capture.js';
+
+/**
+ * Visual Comparator - Pixel diff between a screenshot and its baseline
+ *
+ * A pixel differs when any RGBA channel deviates by more than `tolerance`.
+ * The check passes while the share of differing pixels (outside ignore
+ * regions) stays at or below `threshold` and both images have the same size.
+ * Images of different sizes are compared over the union of both; pixels only
+ * one of them covers count as differing.
+ *
+ * Every failed check gets a diff image: the baseline dimmed, differing pixels
+ * in red, pixels outside one of the images in magenta, ignored regions in blue.
+ */
+export class VisualComparator {
+  constructor(screenshotCapture = new ScreenshotCapture()) {
+    // Reused for image decoding/encoding helpers
+    this.screenshotCapture = screenshotCapture;
+
+    this.DEFAULT_THRESHOLD = 0.001; // 0.1% of compared pixels
+    this.DEFAULT_TOLERANCE = 16; // per channel, 0-255
+  }
+
+  /**
+   * Compare two PNG data URLs
+   *
+   * ignoreRegions are { x, y, width, height } in image (device) pixels.
+   */
+  async compare(actualDataUrl, baselineDataUrl, { threshold, tolerance, ignoreRegions = [] } = {}) {
+    const maxRatio = this.parseThreshold(threshold);
+    const maxDelta = Number.isFinite(Number(tolerance)) ? Number(tolerance) : this.DEFAULT_TOLERANCE;
+
+    const [actual, baseline] = await Promise.all([
+      this.loadImageData(actualDataUrl),
+      this.loadImageData(baselineDataUrl)
+    ]);
+
+    // Compare over the union of both images; pixels only one image covers count as changed
+    const width = Math.max(actual.width, baseline.width);
+    const height = Math.max(actual.height, baseline.height);
+    const dimensionMismatch = actual.width !== baseline.width || actual.height !== baseline.height;
+
+    const ignoreMask = this.createIgnoreMask(width, height, ignoreRegions);
+    const diff = new ImageData(width, height);
+
+    let diffPixels = 0;
+    let ignoredPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const offset = pixel * 4;
+
+        if (ignoreMask[pixel]) {
+          ignoredPixels++;
+          diff.data.set([60, 90, 200, 120], offset);
+          continue;
+        }
+
+        if (x >= actual.width || y >= actual.height || x >= baseline.width || y >= baseline.height) {
+          diffPixels++;
+          diff.data.set([255, 0, 255, 255], offset);
+          continue;
+        }
+
+        const actualOffset = (y * actual.width + x) * 4;
+        const baselineOffset = (y * baseline.width + x) * 4;
+
+        const differs =
+          Math.abs(actual.data[actualOffset] - baseline.data[baselineOffset]) > maxDelta ||
+          Math.abs(actual.data[actualOffset + 1] - baseline.data[baselineOffset + 1]) > maxDelta ||
+          Math.abs(actual.data[actualOffset + 2] - baseline.data[baselineOffset + 2]) > maxDelta ||
+          Math.abs(actual.data[actualOffset + 3] - baseline.data[baselineOffset + 3]) > maxDelta;
+
+        if (differs) {
+          diffPixels++;
+          diff.data.set([255, 0, 0, 255], offset);
+        } else {
+          const gray = (baseline.data[baselineOffset] + baseline.data[baselineOffset + 1] + baseline.data[baselineOffset + 2]) / 3;
+          diff.data.set([gray, gray, gray, 60], offset);
+        }
+      }
+    }
+
+    const comparedPixels = width * height - ignoredPixels;
+    const diffRatio = comparedPixels > 0 ? diffPixels / comparedPixels : 0;
+    const passed = !dimensionMismatch && diffRatio <= maxRatio;
+
+    let message = `${(diffRatio * 100).toFixed(3)}% of pixels differ (threshold ${(maxRatio * 100).toFixed(3)}%)`;
+    if (dimensionMismatch) {
+      message = `Size ${actual.width}x${actual.height} does not match baseline ${baseline.width}x${baseline.height}; ${message}`;
+    }
+
+    return {
+      passed,
+      dimensionMismatch,
+      diffPixels,
+      comparedPixels,
+      diffRatio,
+      threshold: maxRatio,
+      diffDataUrl: passed ? null : await this.encodeImageData(diff),
+      message
+    };
+  }
+
+  /**
+   * Threshold as ratio; accepts 0.01 or "1%"
+   */
+  parseThreshold(threshold) {
+    if (typeof threshold === 'string' && threshold.trim().endsWith('%')) {
+      return parseFloat(threshold) / 100;
+    }
+
+    const ratio = Number(threshold);
+    return Number.isFinite(ratio) && threshold !== null && threshold !== undefined
+      ? ratio
+      : this.DEFAULT_THRESHOLD;
+  }
+
+  /**
+   * Boolean mask of pixels inside ignore regions
+   */
+  createIgnoreMask(width, height, regions) {
+    const mask = new Uint8Array(width * height);
+
+    for (const region of regions) {
+      const left = Math.max(0, Math.floor(region.x));
+      const top = Math.max(0, Math.floor(region.y));
+      const right = Math.min(width, Math.ceil(region.x + region.width));
+      const bottom = Math.min(height, Math.ceil(region.y + region.height));
+
+      for (let y = top; y < bottom; y++) {
+        mask.fill(1, y * width + left, y * width + Math.max(left, right));
+      }
+    }
+
+    return mask;
+  }
+
+  /**
+   * Decode data URL into ImageData
+   */
+  async loadImageData(dataUrl) {
+    const bitmap = await this.screenshotCapture.toBitmap(dataUrl);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Encode ImageData as PNG data URL
+   */
+  async encodeImageData(imageData) {
+    const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return await this.screenshotCapture.canvasToDataUrl(canvas);
+  }
+}
@@ -13,7 +13,7 @@ export class WebsiteDetector {
    */
   async detectWebsite(url) {
     try {
-      if (!url || !this.isValidUrl(url)) {
+      if (!url || !await this.isValidUrl(url)) {
         return null;
       }
 
@@ -56,7 +56,7 @@ export class WebsiteDetector {
   /**
    * Check if URL is valid for automation
    */
-  isValidUrl(url) {
+  async isValidUrl(url) {
     try {
       const parsedUrl = new URL(url);
       
@@ -66,14 +66,14 @@ export class WebsiteDetector {
       }
       
       // Exclude Chrome internal pages
-      if (parsedUrl.hostname.includes('chrome://') || 
+      if (parsedUrl.hostname.includes('chrome://') ||
           parsedUrl.hostname.includes('chrome-extension://') ||
           parsedUrl.hostname.includes('chrome-search://')) {
         return false;
       }
       
       // Exclude localhost in production (configurable)
-      if (parsedUrl.hostname === 'localhost' || 
+      if (parsedUrl.hostname === 'localhost' ||
           parsedUrl.hostname === '127.0.0.1') {
         const settings = await this.getSettings();
         return settings?.allowLocalhost || false;
@@ -142,7 +142,7 @@ export class WebsiteDetector {
    * Find configuration by URL pattern matching
    */
   findPatternMatch(url, configs) {
-    for (const [configDomain, config] of Object.entries(configs)) {
+    for (const config of Object.values(configs)) {
       if (config.urlPatterns) {
         for (const pattern of config.urlPatterns) {
           try {
@@ -268,20 +268,20 @@ export class WebsiteDetector {
    */
   getWebsiteTypeIcon(type) {
     const iconMap = {
-      'ecommerce': '🛒',
-      'social': '💬', 
-      'news': '📰',
-      'video': '🎥',
-      'search': '🔍',
-      'education': '🎓',
-      'finance': '💰',
-      'travel': '✈️',
-      'food': '🍕',
-      'health': '🏥',
-      'technology': '💻',
-      'entertainment': '🎭',
-      'sports': '⚽',
-      'other': '🌐'
+      ecommerce: '🛒',
+      social: '💬',
+      news: '📰',
+      video: '🎥',
+      search: '🔍',
+      education: '🎓',
+      finance: '💰',
+      travel: '✈️',
+      food: '🍕',
+      health: '🏥',
+      technology: '💻',
+      entertainment: '🎭',
+      sports: '⚽',
+      other: '🌐'
     };
     
     return iconMap[type] || iconMap.other;
@@ -292,20 +292,20 @@ export class WebsiteDetector {
    */
   getWebsiteTypeColor(type) {
     const colorMap = {
-      'ecommerce': '#10b981',
-      'social': '#3b82f6',
-      'news': '#f59e0b',
-      'video': '#ef4444',
-      'search': '#8b5cf6',
-      'education': '#06b6d4',
-      'finance': '#84cc16',
-      'travel': '#f97316',
-      'food': '#ec4899',
-      'health': '#14b8a6',
-      'technology': '#6366f1',
-      'entertainment': '#d946ef',
-      'sports': '#22c55e',
-      'other': '#6b7280'
+      ecommerce: '#10b981',
+      social: '#3b82f6',
+      news: '#f59e0b',
+      video: '#ef4444',
+      search: '#8b5cf6',
+      education: '#06b6d4',
+      finance: '#84cc16',
+      travel: '#f97316',
+      food: '#ec4899',
+      health: '#14b8a6',
+      technology: '#6366f1',
+      entertainment: '#d946ef',
+      sports: '#22c55e',
+      other: '#6b7280'
     };
     
     return colorMap[type] || colorMap.other;
@@ -407,7 +407,7 @@ export class WebsiteDetector {
         color: '#ff9900'
       },
       {
-        name: 'eBay', 
+        name: 'eBay',
         domain: 'ebay.com',
         type: 'ecommerce',
         icon: '🛒',
@@ -415,7 +415,7 @@ export class WebsiteDetector {
       },
       {
         name: 'Facebook',
-        domain: 'facebook.com', 
+        domain: 'facebook.com',
         type: 'social',
         icon: '💬',
         color: '#1877f2'
@@ -423,7 +423,7 @@ export class WebsiteDetector {
       {
         name: 'YouTube',
         domain: 'youtube.com',
-        type: 'video', 
+        type: 'video',
         icon: '🎥',
         color: '#ff0000'
       },
@@ -437,7 +437,7 @@ export class WebsiteDetector {
       {
         name: 'Twitter',
         domain: 'twitter.com',
-        type: 'social', 
+        type: 'social',
         icon: '🐦',
         color: '#1da1f2'
       },
@@ -457,4 +457,4 @@ export class WebsiteDetector {
       }
     ];
   }
-}
\ No newline at end of file
+}
@@ -1,21 +1,60 @@
 // Main Content Script for Web Automation Extension
 import { PageDetector } from './modules/page-detector.js';
 import { ElementFinder } from './modules/element-finder.js';
+import { ErrorPolicy } from './modules/error-policy.js';
+import { ExpressionEvaluator } from './modules/expression-evaluator.js';
 import { ActionExecutor } from './modules/action-executor.js';
 import { ProgressTracker } from './modules/progress-tracker.js';
-
-class AutomationContentScript {
+import { PageCapture } from './modules/page-capture.js';
+import { ActionSelector } from './modules/action-selector.js';
+import { ConditionEvaluator } from './modules/condition-evaluator.js';
+import { DataExtractor } from './modules/data-extractor.js';
+import { NavigationDecider } from './modules/navigation-decider.js';
+import { PopupCloser } from './modules/popup-closer.js';
+import { ValueInterpolator } from './modules/value-interpolator.js';
+
+export class AutomationContentScript {
   constructor() {
     this.pageDetector = new PageDetector();
     this.elementFinder = new ElementFinder();
     this.actionExecutor = new ActionExecutor();
     this.progressTracker = new ProgressTracker();
+    this.pageCapture = new PageCapture();
+    this.actionSelector = new ActionSelector();
+    this.popupCloser = new PopupCloser(this.actionExecutor);
+    this.valueInterpolator = new ValueInterpolator();
+    this.errorPolicy = new ErrorPolicy(duration => this.actionExecutor.parseDuration(duration));
+    this.expressionEvaluator = new ExpressionEvaluator();
+    this.navigationDecider = new NavigationDecider(this.expressionEvaluator);
+    this.dataExtractor = new DataExtractor(this.elementFinder);
+    this.conditionEvaluator = new ConditionEvaluator({
+      findElement: (selector) => this.findElement(selector),
+      tracker: this.progressTracker,
+      testExpression: (expression) => this.expressionEvaluator.test(expression, this.getExpressionScope())
+    });
     
     this.currentSession = null;
     this.isRunning = false;
     this.isPaused = false;
     this.currentScenario = null;
     this.currentPage = null;
+    this.currentActionName = null;
+    this.currentAction = null;
+    // Nesting of running micro sequences and the steps left in the outermost one
+    this.sequenceDepth = 0;
+    this.remainingSteps = [];
+    this.settings = {};
+    
+    this.NESTED_STEP_KEYS = ['then', 'else', 'steps'];
+    this.DEFAULT_MAX_ITERATIONS = 10;
+    this.DEFAULT_MAX_PAGES = 10;
+    this.DEFAULT_PAGE_TIMEOUT = 10000;
+    
+    // Flows invoked by `call` steps; frames: { flow, params, callId }
+    this.flows = {};
+    this.callStack = [];
+    this.flowCallCount = 0;
+    this.MAX_CALL_DEPTH = 8;
     this.selectors = null;
     
     this.actionQueue = [];
@@ -41,6 +80,27 @@ class AutomationContentScript {
     
     // Create debug overlay if enabled
     await this.setupDebugMode();
+    
+    // Continue a session that started before this page load
+    await this.announceReady();
+  }
+
+  /**
+   * Tell background this document is ready; it answers with the session to restore, if any
+   */
+  async announceReady() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONTENT_SCRIPT_READY',
+        data: { url: window.location.href }
+      });
+      
+      if (response?.success && response.data) {
+        await this.restoreSession(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to announce content script:', error);
+    }
   }
 
   /**
@@ -63,6 +123,9 @@ class AutomationContentScript {
         case 'RESUME_AUTOMATION':
           return await this.resumeAutomation();
           
+        case 'RESTORE_SESSION':
+          return await this.restoreSession(message.data);
+          
         case 'GET_PAGE_INFO':
           return await this.getPageInfo();
           
@@ -81,6 +144,15 @@ class AutomationContentScript {
         case 'TAKE_SCREENSHOT':
           return await this.takeScreenshot();
           
+        case 'SCREENSHOT_PREPARE':
+          return this.pageCapture.prepare();
+          
+        case 'SCREENSHOT_SCROLL':
+          return await this.pageCapture.scrollTo(message.data.y, message.data.hideFixed);
+          
+        case 'SCREENSHOT_RESTORE':
+          return this.pageCapture.restore();
+          
         default:
           console.warn('Unknown message type:', message.type);
           return { success: false, error: 'Unknown message type' };
@@ -101,6 +173,8 @@ class AutomationContentScript {
       this.currentSession = data.sessionId;
       this.currentScenario = data.scenario;
       this.selectors = data.selectors;
+      this.flows = data.flows || {};
+      this.settings = data.settings || {};
       this.isRunning = true;
       this.isPaused = false;
       
@@ -109,9 +183,10 @@ class AutomationContentScript {
       
       // Detect current page
       await this.detectCurrentPage();
+      await this.reportProgress();
       
-      // Start execution
-      await this.executeScenario();
+      // Start execution without holding the response: the first action may unload the page
+      this.executeScenario();
       
       return { success: true };
     } catch (error) {
@@ -121,6 +196,77 @@ class AutomationContentScript {
     }
   }
 
+  /**
+   * Restore a session after a full page load re-created the content script
+   */
+  async restoreSession(data) {
+    try {
+      if (this.isRunning && this.currentSession === data.sessionId) {
+        return { success: true, data: { alreadyRunning: true } };
+      }
+      
+      console.log('♻️ Restoring automation session:', data.sessionId);
+      
+      this.currentSession = data.sessionId;
+      this.currentScenario = data.scenario;
+      this.selectors = data.selectors;
+      this.flows = data.flows || {};
+      this.settings = data.settings || {};
+      this.isRunning = true;
+      this.isPaused = data.status === 'paused';
+      
+      // Restore metrics, timing and page history
+      await this.progressTracker.initialize(this.currentScenario.goals, data.progress?.tracker || null);
+      
+      await this.detectCurrentPage();
+      
+      // The navigation action that unloaded the previous page has now completed,
+      // unless a scrape step was paging through it (executeScenario resumes it)
+      const pendingAction = this.progressTracker.hasScrapeCursor() ? null : this.progressTracker.takePendingAction();
+      if (pendingAction) {
+        await this.completePendingNavigation(pendingAction);
+      }
+      
+      await this.reportProgress();
+      
+      await this.logAction('session_restored', {
+        page: this.currentPage?.type,
+        pagesVisited: this.progressTracker.getPageHistory().length,
+        paused: this.isPaused
+      });
+      
+      if (!this.isPaused) {
+        this.executeScenario();
+      }
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to restore automation:', error);
+      await this.logError('restore_session_failed', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Finish navigation action whose micro sequence triggered a page load
+   */
+  async completePendingNavigation(pendingAction) {
+    if (pendingAction.impact) {
+      await this.progressTracker.updateMetrics(pendingAction.impact);
+    }
+    
+    if (pendingAction.targetPage && pendingAction.targetPage !== this.currentPage?.type) {
+      console.warn(`⚠️ Expected page ${pendingAction.targetPage}, landed on ${this.currentPage?.type}`);
+    }
+    
+    await this.logAction('action_completed', {
+      action: pendingAction.name,
+      page: this.currentPage?.type,
+      duration: Date.now() - pendingAction.startedAt,
+      afterNavigation: true
+    });
+  }
+
   /**
    * Stop automation
    */
@@ -214,8 +360,13 @@ class AutomationContentScript {
     }
     
     try {
+      // A scrape step was paging when the previous document unloaded
+      if (this.progressTracker.hasScrapeCursor()) {
+        await this.resumeScrape(this.progressTracker.takeScrapeCursor());
+      }
+      
       // Check if session goals are met
-      if (await this.progressTracker.areGoalsMet()) {
+      if (await this.progressTracker.areGoalsMet(this.isGoalExpressionMet())) {
         console.log('🎉 Session goals completed');
         await this.completeSession();
         return;
@@ -238,7 +389,6 @@ class AutomationContentScript {
       
       // Execute page actions
       await this.executePageActions(pageConfig);
-      
     } catch (error) {
       console.error('Error in scenario execution:', error);
       await this.handleExecutionError(error);
@@ -250,9 +400,10 @@ class AutomationContentScript {
    */
   async executePageActions(pageConfig) {
     try {
-      // Execute entry actions if defined
-      if (pageConfig.entryActions) {
-        await this.executeActionSequence(pageConfig.entryActions);
+      // Entry hooks run once per page visit, not every tick
+      if (pageConfig.entryActions?.length > 0 && !this.progressTracker.hasRunEntryActions()) {
+        this.progressTracker.markEntryActionsRun();
+        await this.runPageHooks('entry', pageConfig.entryActions);
       }
       
       // Get available actions
@@ -273,7 +424,6 @@ class AutomationContentScript {
       
       // Schedule next execution
       this.scheduleNextExecution(pageConfig);
-      
     } catch (error) {
       console.error('Error executing page actions:', error);
       throw error;
@@ -281,22 +431,40 @@ class AutomationContentScript {
   }
 
   /**
-   * Execute a specific action
+   * Execute an action picked by selectAction, which already checked its conditions
    */
   async executeSelectedAction(action) {
     try {
       console.log(`🎯 Executing action: ${action.name}`);
       
       // Log action start
+      this.actionStartTime = Date.now();
+      this.currentActionName = action.name;
+      this.currentAction = action;
+      
       await this.logAction('action_started', {
         action: action.name,
         page: this.currentPage?.type
       });
       
-      // Check action conditions
-      if (action.conditions && !await this.checkActionConditions(action.conditions)) {
-        console.log('Action conditions not met, skipping');
-        return;
+      // History drives prefer_unvisited / avoid_repetition
+      this.progressTracker.recordAction(action.name, this.currentPage?.type);
+      
+      // A navigation action may unload this page mid-sequence, so persist it first
+      const isNavigation = action.targetPage && action.targetPage !== this.currentPage?.type;
+      if (isNavigation) {
+        // Exit hooks run before the navigation fires
+        const exitActions = this.getPageConfiguration()?.exitActions;
+        if (exitActions?.length > 0) {
+          await this.runPageHooks('exit', exitActions);
+        }
+        
+        this.progressTracker.setPendingAction({
+          name: action.name,
+          targetPage: action.targetPage,
+          impact: action.impact || {}
+        });
+        await this.reportProgress();
       }
       
       // Execute micro sequence
@@ -304,23 +472,27 @@ class AutomationContentScript {
         await this.executeActionSequence(action.microSequence);
       }
       
+      // Still on the same document: the action completed here
+      this.progressTracker.takePendingAction();
+      
       // Update progress metrics
       if (action.impact) {
         await this.progressTracker.updateMetrics(action.impact);
       }
       
       // Handle navigation actions
-      if (action.targetPage && action.targetPage !== this.currentPage?.type) {
+      if (isNavigation) {
         await this.handlePageTransition(action.targetPage);
       }
       
+      await this.reportProgress();
+      
       // Log action completion
       await this.logAction('action_completed', {
         action: action.name,
         page: this.currentPage?.type,
         duration: Date.now() - this.actionStartTime
       });
-      
     } catch (error) {
       console.error('Error executing action:', error);
       await this.logError('action_execution_failed', error, { action: action.name });
@@ -332,60 +504,222 @@ class AutomationContentScript {
    * Execute a sequence of micro actions
    */
   async executeActionSequence(sequence) {
-    for (const microAction of sequence) {
-      if (!this.isRunning || this.isPaused) {
-        break;
+    this.sequenceDepth++;
+    
+    try {
+      for (const [index, microAction] of sequence.entries()) {
+        if (!this.isRunning || this.isPaused) {
+          break;
+        }
+        
+        // A scrape step that pages onto a new document continues with these
+        if (this.sequenceDepth === 1) {
+          this.remainingSteps = sequence.slice(index + 1);
+        }
+        
+        await this.executeStepWithRetry(microAction);
+        
+        // A later step may load a new page; persist variables before that happens
+        if (this.progressTracker.takeDirty()) {
+          await this.reportProgress();
+        }
       }
-      
+    } finally {
+      this.sequenceDepth--;
+    }
+  }
+
+  /**
+   * Execute a micro action under its retry policy, then apply the fallback
+   */
+  async executeStepWithRetry(microAction) {
+    let policy = null;
+    
+    for (let attempt = 1; ; attempt++) {
       try {
         await this.executeMicroAction(microAction);
+        
+        if (attempt > 1) {
+          await this.logAction('step_retry_succeeded', {
+            step: microAction.name || microAction.type,
+            action: this.currentActionName,
+            attempt
+          });
+        }
+        return;
       } catch (error) {
+        // Fatal errors and fallbacks raised by nested steps pass straight through
+        if (error.fallback || this.shouldAbortOnError(error)) {
+          throw error;
+        }
+        
         console.error('Error executing micro action:', error);
         
-        // Check if we should continue or abort
-        if (this.shouldAbortOnError(error)) {
-          throw error;
+        policy ??= this.errorPolicy.resolve(
+          microAction,
+          error,
+          this.currentScenario?.errorHandling,
+          this.settings
+        );
+        
+        const willRetry = attempt <= policy.retryTimes && this.isRunning;
+        const retryIn = willRetry ? Math.round(this.errorPolicy.getDelay(policy, attempt)) : null;
+        
+        // Reports count a verification once: retried attempts are logged as *_retry
+        if (error.verification) {
+          const { type, ...verification } = error.verification;
+          await this.logAction(`${type}_${willRetry ? 'retry' : 'failed'}`, { ...verification, attempt });
+        }
+        
+        await this.logAction('step_attempt_failed', {
+          step: microAction.name || microAction.type,
+          action: this.currentActionName,
+          page: this.currentPage?.type,
+          attempt,
+          maxAttempts: policy.retryTimes + 1,
+          error: error.message,
+          retryIn
+        });
+        
+        if (!willRetry) {
+          await this.logError('micro_action_failed', error, { action: microAction, attempts: attempt });
+          await this.applyErrorFallback(policy.fallback, microAction, error);
+          return;
         }
         
-        // Log error but continue
-        await this.logError('micro_action_failed', error, { action: microAction });
+        console.log(`🔁 Retrying ${microAction.type} in ${retryIn}ms (attempt ${attempt + 1}/${policy.retryTimes + 1})`);
+        await this.wait(retryIn);
       }
     }
   }
 
+  /**
+   * Apply fallback of an exhausted retry policy
+   * Fallbacks other than skip_step unwind the current action via handleErrorFallback
+   */
+  async applyErrorFallback(fallback, microAction, error) {
+    await this.logAction('error_fallback', {
+      fallback,
+      step: microAction.name || microAction.type,
+      action: this.currentActionName,
+      error: error.message
+    });
+    
+    if (fallback === 'skip_step') {
+      return;
+    }
+    
+    throw this.createFallbackError(fallback, error.message);
+  }
+
+  /**
+   * Error that carries a fallback up to handleExecutionError
+   */
+  createFallbackError(fallback, message) {
+    const error = new Error(`${fallback}: ${message}`);
+    error.fallback = fallback;
+    return error;
+  }
+
+  /**
+   * Carry out skip_action, go_back, reload or abort
+   */
+  async handleErrorFallback(error) {
+    console.warn(`↩️ Error fallback: ${error.fallback}`);
+    
+    // The failed action did not complete, so it must not count after a reload
+    this.progressTracker.takePendingAction();
+    
+    switch (error.fallback) {
+      case 'go_back':
+        window.history.back();
+        await this.wait(2000);
+        await this.detectCurrentPage();
+        this.scheduleNextExecution(this.getPageConfiguration() || {});
+        break;
+        
+      case 'reload':
+        // The reloaded page restores the session from the reported progress
+        await this.reportProgress();
+        window.location.reload();
+        break;
+        
+      case 'abort':
+        await this.abortSession(error.message);
+        break;
+        
+      case 'skip_action':
+      default:
+        this.scheduleNextExecution(this.getPageConfiguration() || {});
+    }
+  }
+
+  /**
+   * Run page entry or exit hooks
+   */
+  async runPageHooks(hook, microActions) {
+    console.log(`🪝 Running ${hook} hooks for ${this.currentPage?.type}`);
+    
+    await this.logAction('page_hooks', {
+      hook,
+      page: this.currentPage?.type,
+      steps: microActions.map(microAction => microAction.name || microAction.type)
+    });
+    
+    await this.executeActionSequence(microActions);
+  }
+
   /**
    * Execute a single micro action
    */
-  async executeMicroAction(microAction) {
+  async executeMicroAction(step) {
+    // Resolve {placeholders} in every field before running the step
+    // Nested steps of control-flow actions are interpolated when they run
+    const microAction = this.valueInterpolator.interpolateStep(step, {
+      sessionId: this.currentSession,
+      tracker: this.progressTracker,
+      goals: this.currentScenario?.goals,
+      params: this.callStack[this.callStack.length - 1]?.params
+    }, this.NESTED_STEP_KEYS);
     const { type } = microAction;
     
+    // Layered defaults: built-in, site and scenario micro_action_defaults, step
+    const options = this.actionExecutor.resolveOptions(
+      type,
+      this.currentScenario?.microActionDefaults,
+      microAction
+    );
+    
     console.log(`🔧 Executing micro action: ${type}`);
     
     switch (type) {
       case 'wait':
-        await this.actionExecutor.wait(microAction.duration);
+        await this.actionExecutor.wait(options.duration, options);
         break;
         
       case 'move':
         await this.actionExecutor.moveToElement(
           await this.findElement(microAction.target),
-          microAction.pattern,
-          microAction.speed
+          options.pattern,
+          options.speed,
+          options
         );
         break;
         
       case 'hover':
         await this.actionExecutor.hoverElement(
           await this.findElement(microAction.target),
-          microAction.duration
+          options.duration,
+          options
         );
         break;
         
       case 'click':
         await this.actionExecutor.clickElement(
           await this.findElement(microAction.target),
-          microAction.button,
-          microAction.count
+          options.button,
+          options.count,
+          options
         );
         break;
         
@@ -393,7 +727,8 @@ class AutomationContentScript {
         await this.actionExecutor.scroll(
           microAction.distance,
           microAction.to ? await this.findElement(microAction.to) : null,
-          microAction.speed
+          options.speed,
+          options
         );
         break;
         
@@ -401,17 +736,71 @@ class AutomationContentScript {
         await this.actionExecutor.typeText(
           await this.findElement(microAction.target),
           microAction.text,
-          microAction.speed,
-          microAction.clearFirst
+          options.speed,
+          options.clearFirst,
+          options
         );
         break;
         
       case 'verify':
-        await this.verifyElement(microAction.target, microAction.exists);
+        await this.runVerification(microAction);
         break;
         
       case 'screenshot':
-        await this.takeScreenshot(microAction.filename);
+        await this.takeScreenshot(microAction.filename, {
+          step: microAction.name,
+          reason: 'step',
+          fullPage: microAction.fullPage,
+          target: microAction.target
+        });
+        break;
+        
+      case 'visual_check':
+        await this.runVisualCheck(microAction);
+        break;
+        
+      case 'close_popups': {
+        const closed = await this.popupCloser.close({
+          overlays: microAction.overlays || this.selectors?.popups?.overlays,
+          dismiss: microAction.dismiss || this.selectors?.popups?.dismiss
+        });
+        if (closed > 0) {
+          await this.logAction('popups_closed', { count: closed, page: this.currentPage?.type });
+        }
+        break;
+      }
+        
+      case 'if':
+        await this.runIf(microAction);
+        break;
+        
+      case 'repeat':
+        await this.runRepeat(microAction);
+        break;
+        
+      case 'until':
+        await this.runUntil(microAction);
+        break;
+        
+      case 'for_each':
+        await this.runForEach(microAction);
+        break;
+        
+      case 'call':
+        await this.runFlow(microAction);
+        break;
+        
+      case 'set':
+        this.setVariable(microAction);
+        break;
+        
+      case 'extract':
+        await this.runExtract(microAction);
+        break;
+        
+      case 'scrape_table':
+      case 'scrape_list':
+        await this.runScrape(microAction);
         break;
         
       case 'log':
@@ -423,6 +812,442 @@ class AutomationContentScript {
     }
   }
 
+  /**
+   * if: run `then` when conditions hold, otherwise `else`
+   */
+  async runIf(microAction) {
+    const met = await this.checkActionConditions(microAction.conditions, null);
+    const branch = met ? microAction.then : microAction.else;
+    
+    console.log(`🔀 ${microAction.name || 'if'}: ${met ? 'then' : 'else'}`);
+    
+    if (branch?.length > 0) {
+      await this.executeActionSequence(branch);
+    }
+  }
+
+  /**
+   * repeat: run steps `times` times (number or "2-4" range)
+   */
+  async runRepeat(microAction) {
+    const times = Math.round(this.actionExecutor.parseRange(microAction.times ?? 1));
+    
+    let iterations = 0;
+    while (iterations < times && this.isRunning && !this.isPaused) {
+      await this.executeActionSequence(microAction.steps || []);
+      iterations++;
+    }
+    
+    console.log(`🔁 ${microAction.name || 'repeat'}: ${iterations}/${times} iterations`);
+  }
+
+  /**
+   * until: run steps until conditions hold, at most max_iterations times
+   */
+  async runUntil(microAction) {
+    const maxIterations = microAction.maxIterations ?? this.DEFAULT_MAX_ITERATIONS;
+    
+    let iterations = 0;
+    while (this.isRunning && !this.isPaused) {
+      if (await this.checkActionConditions(microAction.conditions, null)) {
+        console.log(`🔁 ${microAction.name || 'until'}: condition met after ${iterations} iterations`);
+        return;
+      }
+      
+      if (iterations >= maxIterations) {
+        console.warn(`⚠️ ${microAction.name || 'until'}: condition not met after ${maxIterations} iterations`);
+        await this.logAction('loop_limit_reached', {
+          step: microAction.name || 'until',
+          action: this.currentActionName,
+          maxIterations
+        });
+        return;
+      }
+      
+      await this.executeActionSequence(microAction.steps || []);
+      iterations++;
+    }
+  }
+
+  /**
+   * for_each: run steps for every element matching target, bound to "current"
+   */
+  async runForEach(microAction) {
+    const elements = await this.elementFinder.findElements(microAction.target, this.selectors, {
+      visibleOnly: microAction.visibleOnly,
+      limit: microAction.limit
+    });
+    
+    console.log(`🔁 ${microAction.name || 'for_each'}: ${elements.length} elements for ${microAction.target}`);
+    
+    let iterations = 0;
+    for (const element of elements) {
+      if (!this.isRunning || this.isPaused) break;
+      
+      // Earlier iterations may have re-rendered the list
+      if (!element.isConnected) {
+        console.warn('Skipping element removed from the page:', element);
+        continue;
+      }
+      
+      this.elementFinder.pushScope(element);
+      try {
+        await this.executeActionSequence(microAction.steps || []);
+      } finally {
+        this.elementFinder.popScope();
+      }
+      iterations++;
+    }
+    
+    if (iterations < elements.length) {
+      await this.logAction('loop_incomplete', {
+        step: microAction.name || 'for_each',
+        action: this.currentActionName,
+        target: microAction.target,
+        iterations,
+        elements: elements.length
+      });
+    }
+  }
+
+  /**
+   * call: run a named flow with parameters, then copy its returns into session variables
+   */
+  async runFlow(microAction) {
+    const name = microAction.flow;
+    const flow = this.flows[name];
+    if (!flow) {
+      throw new Error(`Unknown flow: ${name}`);
+    }
+    
+    const chain = [...this.callStack.map(frame => frame.flow), name].join(' → ');
+    if (this.callStack.length >= this.MAX_CALL_DEPTH) {
+      // Runaway recursion is a config error; retrying the step cannot fix it
+      throw this.createFallbackError('skip_action', `flow call depth ${this.MAX_CALL_DEPTH} exceeded: ${chain}`);
+    }
+    
+    const params = this.resolveFlowParams(name, flow, microAction.with);
+    const frame = { flow: name, params, callId: `${name}#${++this.flowCallCount}` };
+    const startTime = Date.now();
+    
+    console.log(`📞 Calling flow ${chain}`);
+    
+    this.callStack.push(frame);
+    let returns;
+    try {
+      await this.logAction('flow_started', { flow: name, params, depth: this.callStack.length });
+      
+      await this.executeActionSequence(flow.steps || []);
+      
+      // Returns are interpolated in the flow's scope, e.g. { "order_id": "{last_order}" }
+      returns = this.valueInterpolator.interpolateValue(flow.returns || {}, {
+        sessionId: this.currentSession,
+        tracker: this.progressTracker,
+        goals: this.currentScenario?.goals,
+        params
+      }, `flows.${name}.returns`);
+    } catch (error) {
+      await this.logAction('flow_failed', { flow: name, error: error.message, duration: Date.now() - startTime });
+      throw error;
+    } finally {
+      this.callStack.pop();
+    }
+    
+    for (const [variable, value] of Object.entries(returns)) {
+      this.progressTracker.setVariable(variable, value);
+    }
+    
+    await this.logAction('flow_completed', {
+      flow: name,
+      callId: frame.callId,
+      returns,
+      duration: Date.now() - startTime
+    });
+  }
+
+  /**
+   * Flow parameters: `params` defaults overridden by the call's `with`; null defaults are required
+   */
+  resolveFlowParams(name, flow, values = {}) {
+    const params = { ...flow.params, ...values };
+    
+    const missing = Object.keys(params).filter(param => params[param] === null || params[param] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Flow ${name} missing parameters: ${missing.join(', ')}`);
+    }
+    
+    return params;
+  }
+
+  /**
+   * Flow scope for log entries written inside a called flow
+   */
+  getLogScope() {
+    const frame = this.callStack[this.callStack.length - 1];
+    if (!frame) {
+      return {};
+    }
+    
+    return {
+      flowScope: this.callStack.map(entry => entry.flow).join(' > '),
+      flowCallId: frame.callId
+    };
+  }
+
+  /**
+   * set: store interpolated `value` or evaluated `expression` in a session variable
+   */
+  setVariable(microAction) {
+    const value = microAction.expression
+      ? this.expressionEvaluator.evaluate(microAction.expression, this.getExpressionScope())
+      : microAction.value;
+    
+    this.progressTracker.setVariable(microAction.variable, value);
+    console.log(`📝 ${microAction.variable} = ${JSON.stringify(value)}`);
+  }
+
+  /**
+   * extract: read one or all matching elements into a variable and/or a dataset
+   */
+  async runExtract(microAction) {
+    const elements = microAction.multiple
+      ? await this.elementFinder.findElements(microAction.target, this.selectors, {
+        visibleOnly: microAction.visibleOnly,
+        limit: microAction.limit
+      })
+      : [await this.findElement(microAction.target)];
+    
+    const values = elements.map(element => this.dataExtractor.extract(element, microAction));
+    
+    if (microAction.into) {
+      this.progressTracker.setVariable(microAction.into, microAction.multiple ? values : values[0]);
+    }
+    
+    if (microAction.dataset && values.length > 0) {
+      const field = microAction.field || microAction.into || 'value';
+      await this.appendDataset(microAction.dataset, values.map(value => ({ [field]: value })));
+    }
+    
+    console.log(`📥 Extracted ${values.length} value(s) from ${microAction.target}`);
+    
+    await this.logAction('data_extracted', {
+      step: microAction.name || 'extract',
+      action: this.currentActionName,
+      target: microAction.target,
+      count: values.length,
+      into: microAction.into,
+      dataset: microAction.dataset
+    });
+  }
+
+  /**
+   * scrape_table / scrape_list: map rows to records page by page, following next_page
+   * Each page is stored as soon as it is read, and the page count and totals
+   * are saved as a scrape cursor before following next_page: when the link
+   * loads a new document, executeScenario resumes the loop there (`cursor`).
+   * A resumed loop saves the action context of its cursor again on every hop.
+   */
+  async runScrape(microAction, cursor = null) {
+    const stepName = microAction.name || microAction.type;
+    const maxPages = microAction.nextPage ? (microAction.maxPages ?? this.DEFAULT_MAX_PAGES) : 1;
+    const totals = cursor ? { ...cursor.totals } : { pages: 0, rows: 0, added: 0, duplicates: 0, dropped: 0 };
+    let stopReason = microAction.nextPage ? 'page_cap' : 'single_page';
+    
+    // How the enclosing action continues after the scrape
+    const context = cursor
+      ? { action: cursor.action, remainingSteps: cursor.remainingSteps, nested: cursor.nested }
+      : {
+          action: this.currentAction && {
+            name: this.currentAction.name,
+            targetPage: this.currentAction.targetPage || null,
+            impact: this.currentAction.impact || {},
+            startedAt: this.actionStartTime
+          },
+          remainingSteps: this.remainingSteps,
+          nested: this.sequenceDepth > 1
+        };
+    
+    while (this.isRunning && !this.isPaused) {
+      const records = await this.scrapePage(microAction);
+      totals.pages++;
+      totals.rows += records.length;
+      
+      if (records.length > 0) {
+        const result = await this.appendDataset(microAction.dataset, records, microAction.key);
+        totals.added += result.added;
+        totals.duplicates += result.duplicates;
+        totals.dropped += result.dropped;
+      }
+      
+      console.log(`📄 ${stepName}: page ${totals.pages}, ${records.length} rows`);
+      
+      if (totals.pages >= maxPages) break;
+      
+      // The next link may load a new document; persist where to continue
+      this.progressTracker.setScrapeCursor({ step: microAction, totals, ...context });
+      await this.reportProgress();
+      
+      const moved = await this.goToNextPage(microAction);
+      this.progressTracker.setScrapeCursor(null);
+      
+      if (!moved) {
+        stopReason = 'no_next_page';
+        break;
+      }
+    }
+    
+    await this.logAction('data_scraped', {
+      step: stepName,
+      action: this.currentActionName,
+      target: microAction.target,
+      dataset: microAction.dataset,
+      stopReason,
+      ...totals
+    });
+  }
+
+  /**
+   * Continue a scrape step whose next page loaded a new document, then the
+   * rest of its action
+   */
+  async resumeScrape(cursor) {
+    const { step, action, remainingSteps, nested } = cursor;
+    const stepName = step.name || step.type;
+    
+    // Later scrape steps of the action save the same context when they page
+    this.currentActionName = action?.name || null;
+    this.currentAction = action;
+    this.actionStartTime = action?.startedAt || Date.now();
+    
+    console.log(`📄 ${stepName}: resuming on page ${cursor.totals.pages + 1}`);
+    await this.logAction('scrape_resumed', {
+      step: stepName,
+      action: action?.name || null,
+      page: cursor.totals.pages + 1,
+      nested
+    });
+    
+    // Loops around a nested scrape step cannot be re-entered; the action continues after them
+    if (nested) {
+      console.warn(`⚠️ ${stepName} resumed outside its enclosing control-flow step`);
+    }
+    
+    await this.runScrape(step, cursor);
+    await this.executeActionSequence(remainingSteps || []);
+    
+    // A navigation action also left a pending action; it stays stored until here
+    // so that it survives further page loads
+    const pendingAction = this.progressTracker.takePendingAction();
+    if (action) {
+      await this.completePendingNavigation({ ...action, ...pendingAction });
+    }
+  }
+
+  /**
+   * Records of the current page for a scrape step
+   */
+  async scrapePage(microAction) {
+    if (microAction.type === 'scrape_table') {
+      const element = await this.findElement(microAction.target);
+      const table = element.tagName === 'TABLE' ? element : element.querySelector('table');
+      if (!table) {
+        throw new Error(`No table found in ${microAction.target}`);
+      }
+      return this.dataExtractor.extractTable(table, microAction.columns, microAction.limit);
+    }
+    
+    const items = await this.elementFinder.findElements(microAction.target, this.selectors, {
+      visibleOnly: microAction.visibleOnly,
+      limit: microAction.limit
+    });
+    return items.map(item => this.dataExtractor.extractRecord(item, microAction.columns));
+  }
+
+  /**
+   * Click next page and wait until the scraped content changes
+   * Returns false when there is no enabled next page element or nothing changed.
+   */
+  async goToNextPage(microAction) {
+    const [next] = await this.elementFinder.findElements(microAction.nextPage, this.selectors, {
+      visibleOnly: true,
+      limit: 1
+    });
+    
+    if (!next || next.disabled || next.getAttribute('aria-disabled') === 'true' || next.classList.contains('disabled')) {
+      return false;
+    }
+    
+    const before = await this.getScrapeSignature(microAction);
+    await this.actionExecutor.clickElement(next);
+    
+    const timeout = this.errorPolicy.toMs(microAction.pageTimeout ?? this.DEFAULT_PAGE_TIMEOUT);
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeout) {
+      await this.wait(250);
+      // Empty while the next page is loading
+      const current = await this.getScrapeSignature(microAction);
+      if (current && current !== before) {
+        return true;
+      }
+    }
+    
+    console.warn(`⚠️ Content did not change within ${timeout}ms after ${microAction.nextPage}`);
+    return false;
+  }
+
+  /**
+   * Text of the scraped content, used to notice that a new page arrived
+   */
+  async getScrapeSignature(microAction) {
+    const elements = await this.elementFinder.findElements(microAction.target, this.selectors);
+    return elements.map(element => element.textContent).join('\n');
+  }
+
+  /**
+   * Append rows to a dataset stored with the session, skipping duplicates by key
+   */
+  async appendDataset(dataset, rows, key = null) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'APPEND_DATASET',
+      data: { dataset, rows, key }
+    });
+    
+    if (!response?.success) {
+      throw new Error(`Failed to store dataset ${dataset}: ${response?.error || 'no response'}`);
+    }
+    
+    return response.data;
+  }
+
+  /**
+   * Names visible to expressions: session variables, current flow parameters and metrics
+   */
+  getExpressionScope() {
+    return {
+      ...this.progressTracker.getVariables(),
+      ...this.callStack[this.callStack.length - 1]?.params,
+      metrics: this.progressTracker.getMetrics()
+    };
+  }
+
+  /**
+   * goals.expression result, or null when the scenario has none
+   */
+  isGoalExpressionMet() {
+    const expression = this.currentScenario?.goals?.expression;
+    if (!expression) {
+      return null;
+    }
+    
+    try {
+      return this.expressionEvaluator.test(expression, this.getExpressionScope());
+    } catch (error) {
+      console.error('Error evaluating goal expression:', error);
+      return false;
+    }
+  }
+
   /**
    * Find element using selector with fallbacks
    */
@@ -445,11 +1270,15 @@ class AutomationContentScript {
         this.selectors
       );
       
-      console.log('📍 Current page detected:', this.currentPage?.type || 'unknown');
+      console.log(
+        '📍 Current page detected:',
+        this.currentPage?.type || 'unknown',
+        this.currentPage ? `(confidence ${this.currentPage.confidence})` : ''
+      );
       
       // Update progress tracker
-      if (this.currentPage) {
-        await this.progressTracker.updateCurrentPage(this.currentPage.type);
+      if (this.currentPage && this.isRunning) {
+        await this.progressTracker.updateCurrentPage(this.currentPage.type, window.location.href);
       }
       
       return this.currentPage;
@@ -487,78 +1316,59 @@ class AutomationContentScript {
   }
 
   /**
-   * Select action based on probability and conditions
+   * Select action by conditions and the scenario action_selection method
    */
   async selectAction(availableActions) {
     // Filter actions by conditions
     const validActions = [];
     
     for (const action of availableActions) {
-      if (!action.conditions || await this.checkActionConditions(action.conditions)) {
+      if (!action.conditions || await this.checkActionConditions(action.conditions, action)) {
         validActions.push(action);
       }
     }
     
-    if (validActions.length === 0) {
-      return null;
+    const settings = this.currentScenario?.decisionRules?.actionSelection;
+    let candidates = validActions;
+    
+    // Pick navigation vs non-navigation by decision_rules.navigation_probability;
+    // only random selection is narrowed, sequential and smart stay deterministic
+    if (this.actionSelector.isRandom(settings)) {
+      const { actions, decision } = this.navigationDecider.choose(validActions, {
+        pageConfig: this.getPageConfiguration(),
+        navigationProbability: this.currentScenario?.decisionRules?.navigationProbability,
+        tracker: this.progressTracker
+      });
+      
+      if (decision) {
+        console.log(`🧭 Navigation probability ${decision.probability.toFixed(2)} → ${decision.group}`, decision.applied);
+      }
+      
+      candidates = actions;
     }
     
-    // Weighted random selection
-    const totalWeight = validActions.reduce((sum, action) => sum + action.probability, 0);
-    let random = Math.random() * totalWeight;
+    const { action, reasoning } = this.actionSelector.select(availableActions, candidates, {
+      settings,
+      pageType: this.currentPage?.type,
+      tracker: this.progressTracker,
+      scenario: this.currentScenario
+    });
     
-    for (const action of validActions) {
-      random -= action.probability;
-      if (random <= 0) {
-        return action;
-      }
+    // Smart selection explains its choice for auditing
+    if (reasoning) {
+      console.log('🧭 Planner decision:', reasoning);
+      await this.logAction('planner_decision', reasoning);
     }
     
-    return validActions[0]; // Fallback
+    return action;
   }
 
   /**
    * Check if action conditions are met
    */
-  async checkActionConditions(conditions) {
+  async checkActionConditions(conditions, action = null) {
     try {
-      // Time-based conditions
-      if (conditions.minTimeOnPage && this.progressTracker.getTimeOnCurrentPage() < conditions.minTimeOnPage * 1000) {
-        return false;
-      }
-      
-      if (conditions.maxTimeOnPage && this.progressTracker.getTimeOnCurrentPage() > conditions.maxTimeOnPage * 1000) {
-        return false;
-      }
-      
-      // Element-based conditions
-      if (conditions.elementExists) {
-        try {
-          await this.findElement(conditions.elementExists);
-        } catch {
-          return false;
-        }
-      }
-      
-      if (conditions.elementNotExists) {
-        try {
-          await this.findElement(conditions.elementNotExists);
-          return false; // Element exists, condition not met
-        } catch {
-          // Element doesn't exist, condition met
-        }
-      }
-      
-      // Goal-based conditions
-      if (conditions.goalProgress) {
-        for (const [metric, threshold] of Object.entries(conditions.goalProgress)) {
-          if (this.progressTracker.getMetric(metric) < threshold) {
-            return false;
-          }
-        }
-      }
-      
-      return true;
+      return await this.conditionEvaluator.evaluate(conditions, action);
     } catch (error) {
       console.error('Error checking action conditions:', error);
       return false;
@@ -571,8 +1381,9 @@ class AutomationContentScript {
   async handlePageTransition(targetPageType) {
     console.log(`🔄 Page transition expected to: ${targetPageType}`);
     
-    // Wait for page change
-    const maxWaitTime = 10000; // 10 seconds
+    // error_handling.page_load_timeout: { timeout, action: reload|skip|go_back|abort }
+    const errorHandling = this.currentScenario?.errorHandling;
+    const maxWaitTime = this.errorPolicy.getPageLoadTimeout(errorHandling);
     const startTime = Date.now();
     
     while (Date.now() - startTime < maxWaitTime) {
@@ -586,6 +1397,20 @@ class AutomationContentScript {
     }
     
     console.warn(`⚠️ Page transition timeout: expected ${targetPageType}, still on ${this.currentPage?.type}`);
+    
+    const error = new Error(`page ${targetPageType} did not load within ${maxWaitTime}ms`);
+    const { fallback } = this.errorPolicy.resolve({}, error, errorHandling, this.settings);
+    
+    await this.logAction('page_load_timeout', {
+      expected: targetPageType,
+      actual: this.currentPage?.type,
+      timeout: maxWaitTime,
+      fallback
+    });
+    
+    if (fallback !== 'skip_step') {
+      throw this.createFallbackError(fallback, error.message);
+    }
   }
 
   /**
@@ -601,7 +1426,7 @@ class AutomationContentScript {
     const maxDelay = pageConfig.stayDuration?.max || 5;
     const delay = (Math.random() * (maxDelay - minDelay) + minDelay) * 1000;
     
-    console.log(`⏰ Next execution scheduled in ${Math.round(delay/1000)}s`);
+    console.log(`⏰ Next execution scheduled in ${Math.round(delay / 1000)}s`);
     
     this.executionTimer = setTimeout(() => {
       this.executeScenario();
@@ -632,6 +1457,13 @@ class AutomationContentScript {
     window.addEventListener('popstate', () => {
       setTimeout(() => this.detectCurrentPage(), 1000);
     });
+    
+    // Last chance to persist state when a step unloads the page (form submit, link)
+    window.addEventListener('pagehide', () => {
+      if (this.isRunning) {
+        this.reportProgress();
+      }
+    });
   }
 
   /**
@@ -649,6 +1481,12 @@ class AutomationContentScript {
         }
       }
       
+      // Ctrl+Shift+S: Stop automation
+      if (event.ctrlKey && event.shiftKey && event.key === 'S') {
+        event.preventDefault();
+        this.stopAutomation();
+      }
+      
       // Ctrl+Shift+D: Toggle debug mode
       if (event.ctrlKey && event.shiftKey && event.key === 'D') {
         event.preventDefault();
@@ -930,12 +1768,27 @@ class AutomationContentScript {
   /**
    * Take screenshot
    */
-  async takeScreenshot(filename) {
+  async takeScreenshot(filename, { step = null, reason = 'manual', fullPage = false, target = null } = {}) {
     try {
+      // Element screenshots are cropped to the element box in document coordinates
+      const element = target
+        ? { selector: target, rect: this.pageCapture.getElementRect(await this.findElement(target)) }
+        : null;
+      
       // Send message to background to capture screenshot
       const response = await chrome.runtime.sendMessage({
         type: 'CAPTURE_SCREENSHOT',
-        data: { filename }
+        data: {
+          filename,
+          reason,
+          fullPage: Boolean(fullPage),
+          element,
+          step: {
+            action: this.currentActionName,
+            name: step,
+            page: this.currentPage?.type || null
+          }
+        }
       });
 
       if (response.success) {
@@ -982,22 +1835,117 @@ class AutomationContentScript {
     }
   }
 
+  /**
+   * Run verify step and log its result for test reports
+   */
+  async runVerification(microAction) {
+    const verification = {
+      step: microAction.name || null,
+      action: this.currentActionName || null,
+      page: this.currentPage?.type,
+      target: microAction.target,
+      exists: microAction.exists !== false
+    };
+    
+    try {
+      await this.verifyElement(microAction.target, verification.exists);
+    } catch (error) {
+      // Logged by executeStepWithRetry once it knows whether the step is retried
+      error.verification = { type: 'verify', ...verification, message: error.message };
+      throw error;
+    }
+    
+    await this.logAction('verify_passed', verification);
+  }
+
+  /**
+   * Compare screenshot with named baseline and log the result
+   */
+  async runVisualCheck(microAction) {
+    const element = microAction.target ? await this.findElement(microAction.target) : null;
+    const elementRect = element ? this.pageCapture.getElementRect(element) : null;
+    
+    // Ignore regions are sent relative to the captured area
+    let origin = { x: window.scrollX, y: window.scrollY };
+    if (elementRect) {
+      origin = { x: elementRect.x, y: elementRect.y };
+    } else if (microAction.fullPage) {
+      origin = { x: 0, y: 0 };
+    }
+    
+    const ignoreRegions = [];
+    for (const region of microAction.ignoreRegions || []) {
+      if (typeof region === 'string') {
+        const rect = this.pageCapture.getElementRect(await this.findElement(region));
+        ignoreRegions.push({ ...rect, x: rect.x - origin.x, y: rect.y - origin.y });
+      } else {
+        ignoreRegions.push(region);
+      }
+    }
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'VISUAL_CHECK',
+      data: {
+        baseline: microAction.baseline,
+        threshold: microAction.threshold,
+        tolerance: microAction.tolerance,
+        fullPage: Boolean(microAction.fullPage),
+        element: elementRect ? { selector: microAction.target, rect: elementRect } : null,
+        ignoreRegions,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        step: {
+          action: this.currentActionName,
+          name: microAction.name || null,
+          page: this.currentPage?.type || null
+        }
+      }
+    });
+    
+    if (!response?.success) {
+      throw new Error(`Visual check could not run: ${response?.error}`);
+    }
+    
+    const result = response.data;
+    const visualCheck = {
+      step: microAction.name || null,
+      action: this.currentActionName,
+      baseline: result.baseline,
+      baselineCreated: Boolean(result.baselineCreated),
+      diffRatio: result.diffRatio ?? 0,
+      screenshotId: result.screenshotId,
+      diffScreenshotId: result.diffScreenshotId || null,
+      message: result.message || null
+    };
+    
+    if (!result.passed) {
+      // Logged by executeStepWithRetry once it knows whether the step is retried
+      const error = new Error(`Visual check failed: ${result.baseline} - ${result.message}`);
+      error.verification = { type: 'visual_check', ...visualCheck };
+      throw error;
+    }
+    
+    await this.logAction('visual_check_passed', visualCheck);
+  }
+
   /**
    * Verify element exists
    */
   async verifyElement(selector, shouldExist = true) {
+    let found = true;
+    
     try {
       await this.findElement(selector);
-      if (!shouldExist) {
-        throw new Error(`Element should not exist: ${selector}`);
-      }
-      console.log(`✅ Element verification passed: ${selector}`);
     } catch (error) {
-      if (shouldExist) {
-        throw new Error(`Element verification failed: ${selector}`);
-      }
-      console.log(`✅ Element verification passed (should not exist): ${selector}`);
+      found = false;
+    }
+    
+    if (found !== shouldExist) {
+      throw new Error(shouldExist
+        ? `Element verification failed: ${selector}`
+        : `Element should not exist: ${selector}`);
     }
+    
+    console.log(`✅ Element verification passed${shouldExist ? '' : ' (should not exist)'}: ${selector}`);
   }
 
   /**
@@ -1015,6 +1963,21 @@ class AutomationContentScript {
     await this.stopAutomation();
   }
 
+  /**
+   * End session as failed (abort fallback)
+   */
+  async abortSession(reason) {
+    console.log('🛑 Automation session aborted:', reason);
+    
+    await this.logAction('session_aborted', {
+      reason,
+      duration: this.progressTracker.getSessionDuration(),
+      progress: this.progressTracker.getOverallProgress()
+    });
+
+    await this.stopAutomation();
+  }
+
   /**
    * Handle session timeout
    */
@@ -1033,6 +1996,12 @@ class AutomationContentScript {
    * Handle execution errors
    */
   async handleExecutionError(error) {
+    // Exhausted retry policies unwind here with their fallback
+    if (error.fallback) {
+      await this.handleErrorFallback(error);
+      return;
+    }
+    
     console.error('❌ Execution error:', error);
     
     await this.logError('execution_error', error);
@@ -1056,7 +2025,7 @@ class AutomationContentScript {
       'extension_error'
     ];
     
-    return fatalErrors.some(fatalError => 
+    return fatalErrors.some(fatalError =>
       error.message?.toLowerCase().includes(fatalError)
     );
   }
@@ -1106,6 +2075,24 @@ class AutomationContentScript {
     await this.handleStuckScenario();
   }
 
+  /**
+   * Send progress snapshot (including serialized tracker state) to background
+   */
+  async reportProgress() {
+    if (!this.currentSession) {
+      return;
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_PROGRESS',
+        data: this.progressTracker.getProgressReport()
+      });
+    } catch (error) {
+      console.error('Failed to report progress:', error);
+    }
+  }
+
   /**
    * Log action to background
    */
@@ -1115,6 +2102,7 @@ class AutomationContentScript {
         type: 'LOG_ACTION',
         data: {
           actionType,
+          ...this.getLogScope(),
           ...data,
           timestamp: Date.now(),
           url: window.location.href,
@@ -1136,6 +2124,7 @@ class AutomationContentScript {
         data: {
           actionType: 'error',
           errorType,
+          ...this.getLogScope(),
           error: {
             message: error.message,
             stack: error.stack
@@ -1161,11 +2150,5 @@ class AutomationContentScript {
 
 // Initialize content script
 if (typeof window !== 'undefined' && window.document) {
-  new AutomationContentScript();
-}+S: Stop automation
-      if (event.ctrlKey && event.shiftKey && event.key === 'S') {
-        event.preventDefault();
-        this.stopAutomation();
-      }
-      
-      // Ctrl+Shift
\ No newline at end of file
+  window.automationContentScript = new AutomationContentScript();
+}
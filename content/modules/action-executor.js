@@ -1,5 +1,9 @@
 /**
  * Action Executor - Execute human-like interactions with web elements
+ *
+ * Per-type behavior options (hold duration, typo rate, ...) are layered:
+ * DEFAULTS below, then site and scenario micro_action_defaults, then the
+ * step itself (see resolveOptions). Each method takes the resolved options.
  */
 export class ActionExecutor {
   constructor() {
@@ -9,14 +13,48 @@ export class ActionExecutor {
       randomDelay: true
     };
     
+    // Built-in micro action defaults, lowest layer
+    this.DEFAULTS = {
+      wait: { duration: '1-2s', variation: 0.2, min: 100, max: null },
+      move: { speed: 'normal', pattern: 'natural', overshoot: false },
+      hover: { duration: '1-2s', microMovements: true, amplitude: '2px' },
+      click: { button: 'left', count: 1, holdDuration: '50-150ms', offset: 5, doubleClickProbability: 0 },
+      scroll: { speed: 'normal', method: 'smooth', viewportMargin: 0, pauseProbability: 0.1 },
+      type: {
+        speed: '100-200ms',
+        clearFirst: false,
+        typoProbability: 0.03,
+        correctionProbability: 1,
+        naturalPauses: true
+      }
+    };
+    
     this.mousePosition = { x: 0, y: 0 };
     this.isExecuting = false;
   }
 
+  /**
+   * Resolve options for a micro action type
+   * Layers: built-in DEFAULTS, configured defaults (site + scenario), step fields
+   */
+  resolveOptions(type, configuredDefaults = {}, step = {}) {
+    const defaults = { ...this.DEFAULTS[type], ...configuredDefaults?.[type] };
+    const options = { ...defaults };
+    
+    for (const key of Object.keys(defaults)) {
+      if (step[key] !== undefined && step[key] !== null) {
+        options[key] = step[key];
+      }
+    }
+    
+    return options;
+  }
+
   /**
    * Wait for specified duration with natural variation
    */
-  async wait(duration) {
+  async wait(duration, options = {}) {
+    const { variation, min, max } = { ...this.DEFAULTS.wait, ...options };
     let waitTime;
     
     if (typeof duration === 'string') {
@@ -25,10 +63,10 @@ export class ActionExecutor {
       waitTime = duration;
     }
     
-    // Add natural variation (±20%)
+    // Add natural variation (±20% by default)
     if (this.settings.randomDelay) {
-      const variation = waitTime * 0.2;
-      waitTime = waitTime + (Math.random() - 0.5) * variation;
+      const spread = waitTime * this.parsePercent(variation);
+      waitTime = waitTime + (Math.random() - 0.5) * spread;
     }
     
     // Apply slow mode multiplier
@@ -36,9 +74,14 @@ export class ActionExecutor {
       waitTime *= 2;
     }
     
+    waitTime = Math.max(Number(min) || 0, waitTime);
+    if (max !== null && max !== undefined) {
+      waitTime = Math.min(Number(max), waitTime);
+    }
+    
     console.log(`⏱️ Waiting ${Math.round(waitTime)}ms`);
     
-    return new Promise(resolve => setTimeout(resolve, Math.max(100, waitTime)));
+    return new Promise(resolve => setTimeout(resolve, waitTime));
   }
 
   /**
@@ -73,10 +116,34 @@ export class ActionExecutor {
     }
   }
 
+  /**
+   * Parse "±20%", "20%" or 0.2 into a ratio
+   */
+  parsePercent(value) {
+    if (typeof value === 'string') {
+      const number = parseFloat(value.replace('±', ''));
+      return value.includes('%') ? number / 100 : number;
+    }
+    return Number(value) || 0;
+  }
+
+  /**
+   * Parse number or "2-5px" range into a (random) number
+   */
+  parseRange(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    
+    const numbers = String(value).match(/\d+(\.\d+)?/g)?.map(Number) || [0];
+    const [min, max = min] = numbers;
+    return min + Math.random() * (max - min);
+  }
+
   /**
    * Move mouse to element with natural movement
    */
-  async moveToElement(element, pattern = 'natural', speed = 'normal') {
+  async moveToElement(element, pattern = 'natural', speed = 'normal', options = {}) {
     if (!element) {
       throw new Error('Element not found for move action');
     }
@@ -93,8 +160,21 @@ export class ActionExecutor {
       await this.wait(500); // Wait for scroll to complete
     }
 
-    // Perform natural mouse movement
-    await this.moveMouseNaturally(targetX, targetY, pattern, speed);
+    // Overshoot slightly past the target, then correct
+    if (options.overshoot) {
+      const overshoot = 5 + Math.random() * 10;
+      const angle = Math.atan2(targetY - this.mousePosition.y, targetX - this.mousePosition.x);
+      const overX = targetX + Math.cos(angle) * overshoot;
+      const overY = targetY + Math.sin(angle) * overshoot;
+      
+      await this.moveMouseNaturally(overX, overY, pattern, speed);
+      this.mousePosition = { x: overX, y: overY };
+      await this.wait(Math.random() * 80 + 40, { min: 0 });
+      await this.moveMouseNaturally(targetX, targetY, 'direct', 'slow');
+    } else {
+      // Perform natural mouse movement
+      await this.moveMouseNaturally(targetX, targetY, pattern, speed);
+    }
     
     this.mousePosition = { x: targetX, y: targetY };
   }
@@ -147,8 +227,19 @@ export class ActionExecutor {
           y = startY + (targetY - startY) * progress;
           break;
           
+        case 'hesitant': {
+          // Slow down in the middle
+          const adjustedProgress = progress < 0.5
+            ? progress * 0.6
+            : 0.3 + (progress - 0.5) * 1.4;
+          x = startX + (targetX - startX) * adjustedProgress;
+          y = startY + (targetY - startY) * adjustedProgress;
+          break;
+        }
+          
         case 'natural':
-        default:
+        case 'natural_curve':
+        default: {
           // Use bezier curve for natural movement
           const controlPoint = this.generateControlPoint(startX, startY, targetX, targetY);
           const point = this.bezierCurve(
@@ -166,15 +257,7 @@ export class ActionExecutor {
             y += (Math.random() - 0.5) * 3;
           }
           break;
-          
-        case 'hesitant':
-          // Slow down in the middle
-          const adjustedProgress = progress < 0.5 
-            ? progress * 0.6
-            : 0.3 + (progress - 0.5) * 1.4;
-          x = startX + (targetX - startX) * adjustedProgress;
-          y = startY + (targetY - startY) * adjustedProgress;
-          break;
+        }
       }
       
       path.push({ x: Math.round(x), y: Math.round(y) });
@@ -214,21 +297,29 @@ export class ActionExecutor {
 
   /**
    * Get speed value in pixels per second
+   * Accepts slow/normal/fast, a number or a range like "300-1000px/s"
    */
   getSpeedValue(speed) {
     const speedMap = {
-      'slow': 200,
-      'normal': 500,
-      'fast': 1000
+      slow: 200,
+      normal: 500,
+      fast: 1000
     };
     
-    return speedMap[speed] || speedMap.normal;
+    if (speedMap[speed]) {
+      return speedMap[speed];
+    }
+    
+    const value = this.parseRange(speed);
+    return value > 0 ? value : speedMap.normal;
   }
 
   /**
    * Hover over element
    */
-  async hoverElement(element, duration = '1-2s') {
+  async hoverElement(element, duration = '1-2s', options = {}) {
+    const { microMovements: withMicroMovements, amplitude } = { ...this.DEFAULTS.hover, ...options };
+
     if (!element) {
       throw new Error('Element not found for hover action');
     }
@@ -244,14 +335,20 @@ export class ActionExecutor {
     
     // Wait for hover duration with micro movements
     const hoverTime = this.parseDuration(duration);
+    if (!withMicroMovements) {
+      await this.wait(hoverTime);
+      return;
+    }
+    
     const microMovements = Math.floor(hoverTime / 200); // Every 200ms
     
     for (let i = 0; i < microMovements; i++) {
       await this.wait(200);
       
       // Small random movements while hovering
-      const microX = this.mousePosition.x + (Math.random() - 0.5) * 4;
-      const microY = this.mousePosition.y + (Math.random() - 0.5) * 4;
+      const reach = this.parseRange(amplitude) * 2;
+      const microX = this.mousePosition.x + (Math.random() - 0.5) * reach;
+      const microY = this.mousePosition.y + (Math.random() - 0.5) * reach;
       
       this.dispatchMouseEvent('mousemove', microX, microY, element);
     }
@@ -260,10 +357,17 @@ export class ActionExecutor {
   /**
    * Click element with natural behavior
    */
-  async clickElement(element, button = 'left', count = 1) {
+  async clickElement(element, button = 'left', count = 1, options = {}) {
     if (!element) {
       throw new Error('Element not found for click action');
     }
+    
+    const { holdDuration, offset, doubleClickProbability } = { ...this.DEFAULTS.click, ...options };
+    
+    // Occasional accidental double click
+    if (count === 1 && Math.random() < doubleClickProbability) {
+      count = 2;
+    }
 
     console.log(`🖱️ Clicking element (${button}, ${count}x)`);
     
@@ -272,15 +376,16 @@ export class ActionExecutor {
     
     // Add small random offset to click position
     const rect = element.getBoundingClientRect();
-    const offsetX = (Math.random() - 0.5) * Math.min(rect.width * 0.3, 10);
-    const offsetY = (Math.random() - 0.5) * Math.min(rect.height * 0.3, 10);
+    const maxOffset = this.parseRange(offset) * 2;
+    const offsetX = (Math.random() - 0.5) * Math.min(rect.width * 0.3, maxOffset);
+    const offsetY = (Math.random() - 0.5) * Math.min(rect.height * 0.3, maxOffset);
     
     const clickX = this.mousePosition.x + offsetX;
     const clickY = this.mousePosition.y + offsetY;
     
     // Perform click(s)
     for (let i = 0; i < count; i++) {
-      await this.performClick(element, clickX, clickY, button);
+      await this.performClick(element, clickX, clickY, button, holdDuration);
       
       if (i < count - 1) {
         // Wait between multiple clicks
@@ -295,7 +400,7 @@ export class ActionExecutor {
   /**
    * Perform single click
    */
-  async performClick(element, x, y, button) {
+  async performClick(element, x, y, button, holdDuration = this.DEFAULTS.click.holdDuration) {
     const eventOptions = {
       bubbles: true,
       cancelable: true,
@@ -307,8 +412,8 @@ export class ActionExecutor {
     // Natural click sequence: mousedown -> mouseup -> click
     this.dispatchMouseEvent('mousedown', x, y, element, eventOptions);
     
-    // Hold for natural duration (50-150ms)
-    await this.wait(Math.random() * 100 + 50);
+    // Hold for natural duration (50-150ms by default)
+    await this.wait(this.parseDuration(holdDuration), { min: 0 });
     
     this.dispatchMouseEvent('mouseup', x, y, element, eventOptions);
     this.dispatchMouseEvent('click', x, y, element, eventOptions);
@@ -322,15 +427,18 @@ export class ActionExecutor {
   /**
    * Scroll page or to element
    */
-  async scroll(distance, toElement = null, speed = 'smooth') {
+  async scroll(distance, toElement = null, speed = 'normal', options = {}) {
+    const { method, viewportMargin, pauseProbability } = { ...this.DEFAULTS.scroll, ...options };
+    
     console.log(`📜 Scrolling ${distance || 'to element'}`);
     
     if (toElement) {
-      // Scroll to specific element
-      toElement.scrollIntoView({ 
-        behavior: speed, 
-        block: 'center',
-        inline: 'center'
+      // Scroll to specific element, keeping viewport_margin px above it
+      const top = toElement.getBoundingClientRect().top + window.scrollY;
+      const centered = top - (window.innerHeight - toElement.offsetHeight) / 2;
+      window.scrollTo({
+        top: Math.max(0, Math.min(centered, top - Number(viewportMargin || 0))),
+        behavior: method === 'instant' ? 'auto' : 'smooth'
       });
       
       await this.wait(1000); // Wait for scroll animation
@@ -355,7 +463,7 @@ export class ActionExecutor {
       await this.wait(stepDelay);
       
       // Add natural pauses occasionally
-      if (Math.random() < 0.1) {
+      if (Math.random() < pauseProbability) {
         await this.wait(Math.random() * 300 + 100);
       }
     }
@@ -364,10 +472,12 @@ export class ActionExecutor {
   /**
    * Type text with natural typing behavior
    */
-  async typeText(element, text, speed = '100-200ms', clearFirst = false) {
+  async typeText(element, text, speed = '100-200ms', clearFirst = false, options = {}) {
     if (!element) {
       throw new Error('Element not found for type action');
     }
+    
+    const { typoProbability, correctionProbability, naturalPauses } = { ...this.DEFAULTS.type, ...options };
 
     console.log(`⌨️ Typing text: "${text.substring(0, 20)}..."`);
     
@@ -393,13 +503,13 @@ export class ActionExecutor {
       await this.wait(charDelay);
       
       // Occasional longer pauses (thinking)
-      if (Math.random() < 0.05) {
+      if (naturalPauses && Math.random() < 0.05) {
         await this.wait(Math.random() * 500 + 200);
       }
       
       // Simulate typos occasionally
-      if (Math.random() < 0.03 && i > 0) {
-        await this.simulateTypo(element, char);
+      if (Math.random() < typoProbability && i > 0) {
+        await this.simulateTypo(element, char, Math.random() < correctionProbability);
       }
     }
   }
@@ -452,11 +562,10 @@ export class ActionExecutor {
   /**
    * Simulate typing typo and correction
    */
-  async simulateTypo(element, correctChar) {
+  async simulateTypo(element, correctChar, correct = true) {
     // Common typo characters near the correct one on QWERTY keyboard
     const typoMap = {
-      'a': 's', 's': 'a', 'd': 's', 'f': 'd',
-      'q': 'w', 'w': 'q', 'e': 'w', 'r': 'e',
+      a: 's', s: 'a', d: 's', f: 'd', q: 'w', w: 'q', e: 'w', r: 'e'
       // Add more as needed
     };
     
@@ -466,6 +575,11 @@ export class ActionExecutor {
     await this.typeCharacter(element, typoChar);
     await this.wait(200);
     
+    // Uncorrected typos stay in the field
+    if (!correct) {
+      return;
+    }
+    
     // Backspace to correct
     await this.pressKey(element, 'Backspace');
     await this.wait(100);
@@ -552,4 +666,4 @@ export class ActionExecutor {
   setMousePosition(x, y) {
     this.mousePosition = { x, y };
   }
-}
\ No newline at end of file
+}
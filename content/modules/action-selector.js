@@ -0,0 +1,174 @@
+import { GoalPlanner } from './goal-planner.js';
+
+/**
+ * Action Selector - Pick the next action according to action_selection
+ *
+ * Methods:
+ *   weighted_random - random by `probability`
+ *   sequential      - declared order with a per-page cursor (deterministic)
+ *   smart           - GoalPlanner picks by impact on lagging required metrics;
+ *                     weighted random when no action moves them. Unvisited
+ *                     preference and repetition avoidance are on by default
+ *
+ * `preferUnvisited` boosts actions not yet run on this page and navigation to
+ * pages not yet visited; `avoidRepetition` damps actions run recently. Both
+ * read the per-session action history kept by ProgressTracker.
+ */
+export class ActionSelector {
+  constructor() {
+    this.goalPlanner = new GoalPlanner();
+
+    this.METHODS = ['weighted_random', 'sequential', 'smart'];
+
+    this.UNVISITED_BOOST = 3;
+    this.REPETITION_WINDOW = 3; // most recent actions on the page
+    this.REPETITION_PENALTY = 0.25; // weight factor per recent repeat
+  }
+
+  /**
+   * Select action from valid candidates
+   *
+   * availableActions is the page's declared action list, validActions the
+   * subset whose conditions currently hold. Returns { action, reasoning };
+   * reasoning is only set by the smart planner.
+   */
+  select(availableActions, validActions, { settings = {}, pageType, tracker, scenario = null }) {
+    if (validActions.length === 0) {
+      return { action: null, reasoning: null };
+    }
+
+    const method = this.getMethod(settings);
+
+    if (method === 'sequential') {
+      return {
+        action: this.selectSequential(availableActions, validActions, settings, pageType, tracker),
+        reasoning: null
+      };
+    }
+
+    if (method === 'smart') {
+      const candidates = this.getWeights(validActions, {
+        preferUnvisited: settings.preferUnvisited !== false,
+        avoidRepetition: settings.avoidRepetition !== false
+      }, pageType, tracker);
+
+      const plan = this.goalPlanner.plan(candidates, { pageType, scenario, tracker });
+      if (plan.action) {
+        return plan;
+      }
+
+      const action = this.pickWeighted(candidates);
+      return { action, reasoning: { ...plan.reasoning, chosen: action?.name || null } };
+    }
+
+    return {
+      action: this.pickWeighted(this.getWeights(validActions, settings || {}, pageType, tracker)),
+      reasoning: null
+    };
+  }
+
+  /**
+   * Resolve selection method, falling back to weighted_random
+   */
+  getMethod(settings) {
+    const method = settings?.method || 'weighted_random';
+
+    if (!this.METHODS.includes(method)) {
+      console.warn(`Unknown action selection method "${method}", using weighted_random`);
+      return 'weighted_random';
+    }
+
+    return method;
+  }
+
+  /**
+   * Whether the method picks at random; navigation_probability only narrows
+   * random picks so sequential and smart selection stay deterministic
+   */
+  isRandom(settings) {
+    return this.getMethod(settings) === 'weighted_random';
+  }
+
+  /**
+   * Next valid action at or after the page cursor, in declared order
+   */
+  selectSequential(availableActions, validActions, settings, pageType, tracker) {
+    const valid = new Set(validActions);
+    const count = availableActions.length;
+    const cursor = tracker.getPageCursor(pageType) % count;
+    const lastAction = tracker.getActionHistory(pageType).at(-1)?.name;
+
+    let repeatedIndex = null;
+
+    for (let offset = 0; offset < count; offset++) {
+      const index = (cursor + offset) % count;
+      const action = availableActions[index];
+
+      if (!valid.has(action)) continue;
+
+      // Only skip a repeat when another action can run instead
+      if (settings.avoidRepetition && action.name === lastAction && validActions.length > 1) {
+        repeatedIndex ??= index;
+        continue;
+      }
+
+      tracker.setPageCursor(pageType, index + 1);
+      return action;
+    }
+
+    if (repeatedIndex !== null) {
+      tracker.setPageCursor(pageType, repeatedIndex + 1);
+      return availableActions[repeatedIndex];
+    }
+
+    return null;
+  }
+
+  /**
+   * Selection weights with history modifiers applied
+   */
+  getWeights(actions, { preferUnvisited = false, avoidRepetition = false }, pageType, tracker) {
+    const history = tracker.getActionHistory(pageType);
+    const executed = new Set(history.map(entry => entry.name));
+    const recent = history.slice(-this.REPETITION_WINDOW).map(entry => entry.name);
+
+    return actions.map(action => {
+      let weight = action.probability;
+
+      if (preferUnvisited) {
+        const isNavigation = action.targetPage && action.targetPage !== pageType;
+        const unvisited = isNavigation
+          ? !tracker.hasVisitedPage(action.targetPage)
+          : !executed.has(action.name);
+
+        if (unvisited) {
+          weight *= this.UNVISITED_BOOST;
+        }
+      }
+
+      if (avoidRepetition) {
+        const repeats = recent.filter(name => name === action.name).length;
+        weight *= this.REPETITION_PENALTY ** repeats;
+      }
+
+      return { action, weight };
+    });
+  }
+
+  /**
+   * Weighted random pick
+   */
+  pickWeighted(candidates) {
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let random = Math.random() * totalWeight;
+
+    for (const candidate of candidates) {
+      random -= candidate.weight;
+      if (random <= 0) {
+        return candidate.action;
+      }
+    }
+
+    return candidates[0]?.action || null; // Fallback
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Condition Evaluator - Check action conditions against page and session state
+ *
+ * All keys in a conditions object must hold. `all`, `any` and `not` nest
+ * further condition objects for branching:
+ *
+ *   { "any": [{ "previous_action": "view_product" }, { "not": { "visited_pages": ["cart"] } }] }
+ *
+ * "same_action" in previous_action(s) / action_count refers to the action the
+ * conditions belong to.
+ */
+export class ConditionEvaluator {
+  /**
+   * @param {Object} context - { findElement(selector), tracker, testExpression(expression) }
+   */
+  constructor({ findElement, tracker, testExpression }) {
+    this.findElement = findElement;
+    this.tracker = tracker;
+    this.testExpression = testExpression;
+
+    this.SAME_ACTION = 'same_action';
+  }
+
+  /**
+   * Evaluate conditions for an action
+   */
+  async evaluate(conditions, action = null) {
+    if (!conditions) {
+      return true;
+    }
+
+    for (const [key, value] of Object.entries(conditions)) {
+      if (key.startsWith('_') || value === undefined || value === null) continue;
+
+      if (!await this.check(key, value, action)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate a single condition key
+   */
+  async check(key, value, action) {
+    const { tracker } = this;
+
+    switch (key) {
+      case 'all':
+        for (const child of value) {
+          if (!await this.evaluate(child, action)) return false;
+        }
+        return true;
+
+      case 'any':
+        for (const child of value) {
+          if (await this.evaluate(child, action)) return true;
+        }
+        return false;
+
+      case 'not':
+        return !await this.evaluate(value, action);
+
+      case 'minTimeOnPage':
+        return tracker.getTimeOnCurrentPage() >= value * 1000;
+
+      case 'maxTimeOnPage':
+        return tracker.getTimeOnCurrentPage() <= value * 1000;
+
+      case 'elementExists':
+        return await this.elementExists(value);
+
+      case 'elementNotExists':
+        return !await this.elementExists(value);
+
+      case 'goalProgress':
+        return Object.entries(value)
+          .filter(([metric]) => !metric.startsWith('_'))
+          .every(([metric, threshold]) => tracker.getMetric(metric) >= threshold);
+
+      case 'previousAction':
+        return this.toNames(value, action).includes(this.getPreviousActions(1)[0]);
+
+      case 'previousActionNot':
+        return !this.toNames(value, action).includes(this.getPreviousActions(1)[0]);
+
+      case 'previousActions': {
+        // Most recent actions end with this sequence, oldest first
+        const sequence = this.toNames(value, action);
+        const recent = this.getPreviousActions(sequence.length);
+        return recent.length === sequence.length && sequence.every((name, index) => recent[index] === name);
+      }
+
+      case 'actionCount':
+        return Object.entries(value)
+          .filter(([name]) => !name.startsWith('_'))
+          .every(([name, range]) => {
+            const actionName = name === this.SAME_ACTION ? action?.name : name;
+            return this.inRange(tracker.getActionCount(actionName), range);
+          });
+
+      case 'visitedPages':
+        return this.toList(value).every(pageType => tracker.hasVisitedPage(pageType));
+
+      case 'notVisitedPages':
+        return !this.toList(value).some(pageType => tracker.hasVisitedPage(pageType));
+
+      case 'urlMatches':
+        return new RegExp(value).test(window.location.href);
+
+      case 'elementText':
+        return await this.checkAll(value, async (matcher) => {
+          const element = await this.findElementOrNull(matcher.target);
+          return element !== null && this.matches(element.textContent.trim(), matcher);
+        });
+
+      case 'elementAttribute':
+        return await this.checkAll(value, async (matcher) => {
+          const element = await this.findElementOrNull(matcher.target);
+          return element !== null && this.matches(element.getAttribute(matcher.attribute), matcher);
+        });
+
+      case 'variable':
+        return await this.checkAll(value, async (matcher) =>
+          this.matches(tracker.getVariable(matcher.name), matcher)
+        );
+
+      case 'expression':
+        return this.testExpression(value);
+
+      default:
+        console.warn(`Unknown condition "${key}", treating as not met`);
+        return false;
+    }
+  }
+
+  /**
+   * Compare a value with matcher keys: exists, equals, not_equals, contains, matches, min, max
+   */
+  matches(actual, matcher) {
+    const exists = actual !== null && actual !== undefined;
+
+    if ('exists' in matcher && matcher.exists !== exists) {
+      return false;
+    }
+
+    if (!exists) {
+      // Missing value only satisfies an explicit exists: false
+      return matcher.exists === false;
+    }
+
+    if ('equals' in matcher && String(actual) !== String(matcher.equals)) {
+      return false;
+    }
+
+    if ('not_equals' in matcher && String(actual) === String(matcher.not_equals)) {
+      return false;
+    }
+
+    if ('contains' in matcher && !String(actual).toLowerCase().includes(String(matcher.contains).toLowerCase())) {
+      return false;
+    }
+
+    if ('matches' in matcher && !new RegExp(matcher.matches, matcher.flags || '').test(String(actual))) {
+      return false;
+    }
+
+    return this.inRange(Number.parseFloat(actual), matcher, true);
+  }
+
+  /**
+   * Check number against { min, max }, or an exact number
+   */
+  inRange(value, range, optional = false) {
+    if (typeof range === 'number') {
+      return value === range;
+    }
+
+    if ('min' in range && !(value >= range.min)) {
+      return false;
+    }
+
+    if ('max' in range && !(value <= range.max)) {
+      return false;
+    }
+
+    return optional || 'min' in range || 'max' in range;
+  }
+
+  /**
+   * Run matcher check for one matcher or every matcher in a list
+   */
+  async checkAll(value, check) {
+    for (const matcher of this.toList(value)) {
+      if (!await check(matcher)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Names of the most recent session actions, oldest first
+   */
+  getPreviousActions(count) {
+    return this.tracker.getActionHistory().slice(-count).map(entry => entry.name);
+  }
+
+  /**
+   * Action names with "same_action" resolved
+   */
+  toNames(value, action) {
+    return this.toList(value).map(name => (name === this.SAME_ACTION ? action?.name : name));
+  }
+
+  /**
+   * Wrap single values in a list
+   */
+  toList(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Whether an element is found
+   */
+  async elementExists(selector) {
+    return (await this.findElementOrNull(selector)) !== null;
+  }
+
+  /**
+   * Find element, or null when it does not exist
+   */
+  async findElementOrNull(selector) {
+    try {
+      return await this.findElement(selector);
+    } catch {
+      return null;
+    }
+  }
+}
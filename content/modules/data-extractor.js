@@ -0,0 +1,256 @@
+/**
+ * Data Extractor - Read values from elements for extract steps
+ *
+ * What is read:
+ *   read: "text" (default), "html", "info" (ElementFinder.getElementInfo),
+ *   "attribute" with `attribute: "href"`, "property" with `property: "value"`.
+ *   Setting `attribute` or `property` alone implies the read mode.
+ *
+ * Transforms run in order on each value (one or a list):
+ *   "trim"                          trim and collapse whitespace
+ *   { "regex": "...", "group": 1 }  capture group (whole match without groups)
+ *   "number" / "price"              first number, "1,299.50" / "1.299,50 €" -> 1299.5
+ *   "date" / { "date": "DD/MM/YYYY" }  ISO date string; a format without
+ *                                   HH/mm/ss gives the calendar date "YYYY-MM-DD",
+ *                                   format times are read as UTC
+ * Values that do not parse become null.
+ *
+ * scrape_table / scrape_list map rows or item containers to records with a
+ * column map. A column is a CSS selector inside the container ("." for the
+ * container itself), a 1-based cell number for table rows, or
+ * { target, read, attribute, property, transform }.
+ */
+export class DataExtractor {
+  constructor(elementFinder) {
+    this.elementFinder = elementFinder;
+
+    this.DATE_TOKEN_PATTERN = /YYYY|YY|MM|DD|HH|mm|ss/g;
+  }
+
+  /**
+   * Read and transform the value of one element
+   */
+  extract(element, step) {
+    const value = this.readValue(element, step);
+    return this.applyTransforms(value, step.transform);
+  }
+
+  /**
+   * Map a container (list item or table row) to a record; missing elements give null
+   */
+  extractRecord(container, columns) {
+    const record = {};
+
+    Object.entries(columns).forEach(([column, spec]) => {
+      const { target, ...options } = spec !== null && typeof spec === 'object' ? spec : { target: spec };
+      const element = this.findInContainer(container, target);
+      record[column] = element ? this.extract(element, options) : null;
+    });
+
+    return record;
+  }
+
+  /**
+   * Records of a table's data rows; without a column map, columns are the header texts
+   */
+  extractTable(table, columns = null, limit = null) {
+    const rows = Array.from(table.rows)
+      .filter(row => Array.from(row.cells).some(cell => cell.tagName === 'TD'));
+
+    const columnMap = columns || Object.fromEntries(
+      this.getTableHeaders(table).map((header, index) => [header, { target: index + 1, transform: 'trim' }])
+    );
+
+    return rows
+      .slice(0, limit || rows.length)
+      .map(row => this.extractRecord(row, columnMap));
+  }
+
+  /**
+   * Header texts of a table: thead row, or the first row made only of th cells
+   */
+  getTableHeaders(table) {
+    const headerRow = table.tHead?.rows[0] ||
+      Array.from(table.rows).find(row => row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+
+    if (!headerRow) {
+      throw new Error('scrape_table without columns needs a header row (th cells)');
+    }
+
+    return Array.from(headerRow.cells).map((cell, index) =>
+      cell.textContent.replace(/\s+/g, ' ').trim() || `column_${index + 1}`
+    );
+  }
+
+  /**
+   * Element of a column inside its container
+   */
+  findInContainer(container, target) {
+    if (target === undefined || target === '.') {
+      return container;
+    }
+
+    if (typeof target === 'number') {
+      const cells = container.cells ? Array.from(container.cells) : Array.from(container.children);
+      return cells[target - 1] || null;
+    }
+
+    return container.querySelector(target);
+  }
+
+  /**
+   * Read raw value from element
+   */
+  readValue(element, { read, attribute, property }) {
+    const mode = read || (attribute ? 'attribute' : property ? 'property' : 'text');
+
+    switch (mode) {
+      case 'text':
+        return element.textContent;
+
+      case 'html':
+        return element.innerHTML;
+
+      case 'attribute':
+        if (!attribute) {
+          throw new Error('extract with read "attribute" needs an attribute name');
+        }
+        return element.getAttribute(attribute);
+
+      case 'property': {
+        if (!property) {
+          throw new Error('extract with read "property" needs a property name');
+        }
+        const value = element[property];
+        return value === undefined ? null : value;
+      }
+
+      case 'info': {
+        const { rect, ...info } = this.elementFinder.getElementInfo(element);
+        return { ...info, rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height } };
+      }
+
+      default:
+        throw new Error(`unknown extract read mode "${mode}" (text, html, attribute, property, info)`);
+    }
+  }
+
+  /**
+   * Apply transform or list of transforms
+   */
+  applyTransforms(value, transforms) {
+    if (!transforms) {
+      return value;
+    }
+
+    const list = Array.isArray(transforms) ? transforms : [transforms];
+    return list.reduce((current, transform) => this.transform(current, transform), value);
+  }
+
+  /**
+   * Apply a single transform; null passes through
+   */
+  transform(value, transform) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const [name, options] = typeof transform === 'string'
+      ? [transform, {}]
+      : [Object.keys(transform).find(key => !key.startsWith('_')), transform];
+
+    switch (name) {
+      case 'trim':
+        return String(value).replace(/\s+/g, ' ').trim();
+
+      case 'regex': {
+        const match = String(value).match(new RegExp(options.regex, options.flags || ''));
+        if (!match) return null;
+        return match[options.group ?? (match.length > 1 ? 1 : 0)] ?? null;
+      }
+
+      case 'number':
+      case 'price':
+        return typeof value === 'number' ? value : this.parseNumber(String(value));
+
+      case 'date':
+        return this.parseDate(String(value), options.date);
+
+      default:
+        throw new Error(`unknown extract transform "${name}" (trim, regex, number, price, date)`);
+    }
+  }
+
+  /**
+   * First number in text, with "," "." or space thousands separators
+   */
+  parseNumber(text) {
+    const match = text.match(/-?\d+(?:(?:[.,]|[ \u00a0\u202f](?=\d{3}(?!\d)))\d+)*/);
+    if (!match) {
+      return null;
+    }
+
+    let digits = match[0].replace(/[ \u00a0\u202f]/g, '');
+    const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+    if (lastSeparator !== -1) {
+      const mixed = digits.includes('.') && digits.includes(',');
+      const repeated = digits.indexOf(digits[lastSeparator]) !== lastSeparator;
+      const groupOfThree = digits.length - lastSeparator - 1 === 3;
+
+      // "1.299,50" and "12.5" have decimals; "1,299" and "1.200.000" only group thousands
+      const isDecimal = mixed || (!repeated && (!groupOfThree || /^-?0[.,]/.test(digits)));
+
+      digits = isDecimal
+        ? `${digits.slice(0, lastSeparator).replace(/[.,]/g, '')}.${digits.slice(lastSeparator + 1)}`
+        : digits.replace(/[.,]/g, '');
+    }
+
+    return parseFloat(digits);
+  }
+
+  /**
+   * Date as ISO string, parsed with a YYYY MM DD HH mm ss format or natively
+   */
+  parseDate(text, format) {
+    if (format) {
+      const tokens = [];
+      const pattern = format
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(this.DATE_TOKEN_PATTERN, token => {
+          tokens.push(token);
+          return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+        });
+
+      const match = text.trim().match(new RegExp(`^${pattern}`));
+      if (!match) {
+        return null;
+      }
+
+      const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+      tokens.forEach((token, index) => {
+        const number = parseInt(match[index + 1], 10);
+        if (token === 'YY') {
+          parts.YYYY = 2000 + number;
+        } else {
+          parts[token] = number;
+        }
+      });
+
+      // UTC so the result does not shift with the browser's time zone
+      const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+
+      // Out of range parts ("31/02/2024") roll over into another date
+      if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD ||
+        date.getUTCHours() !== parts.HH || date.getUTCMinutes() !== parts.mm || date.getUTCSeconds() !== parts.ss) {
+        return null;
+      }
+
+      const iso = date.toISOString();
+      return tokens.some(token => ['HH', 'mm', 'ss'].includes(token)) ? iso : iso.slice(0, 10);
+    }
+
+    const date = new Date(text.trim());
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
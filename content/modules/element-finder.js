@@ -5,6 +5,7 @@ export class ElementFinder {
   constructor() {
     this.selectorCache = new Map();
     this.lastFoundElements = new Map();
+    this.scopes = []; // elements bound to "current" by for_each, innermost last
     
     // Selector patterns and aliases
     this.selectorAliases = {
@@ -14,8 +15,8 @@ export class ElementFinder {
       ':nth': this.selectNth.bind(this),
       ':first': this.selectFirst.bind(this),
       ':last': this.selectLast.bind(this),
-      'current': this.selectCurrent.bind(this),
-      'browser_back': this.selectBrowserBack.bind(this)
+      current: this.selectCurrent.bind(this),
+      browser_back: this.selectBrowserBack.bind(this)
     };
   }
 
@@ -57,7 +58,6 @@ export class ElementFinder {
       
       console.log(`✅ Element found: ${selector}`);
       return element;
-      
     } catch (error) {
       console.error(`❌ Element not found: ${selector}`, error);
       throw error;
@@ -88,6 +88,12 @@ export class ElementFinder {
    * Find element by selector with multiple strategies
    */
   async findElementBySelector(selector, options = {}) {
+    // "current <selector>" searches inside the bound for_each element
+    const { root, innerSelector } = this.resolveScope(selector);
+    if (root) {
+      return root.querySelector(innerSelector);
+    }
+    
     const strategies = [
       () => this.findByDirectSelector(selector),
       () => this.findByFallbackSelectors(selector),
@@ -342,7 +348,34 @@ export class ElementFinder {
    * Select current element (last found)
    */
   selectCurrent() {
-    return this.lastFoundElements.get('current') || null;
+    return this.scopes[this.scopes.length - 1] || this.lastFoundElements.get('current') || null;
+  }
+
+  /**
+   * Bind element to "current" for nested steps
+   */
+  pushScope(element) {
+    this.scopes.push(element);
+  }
+
+  /**
+   * Release innermost "current" binding
+   */
+  popScope() {
+    this.scopes.pop();
+  }
+
+  /**
+   * Root element and inner selector for "current <selector>", or no root
+   */
+  resolveScope(selector) {
+    const scope = this.scopes[this.scopes.length - 1];
+    
+    if (scope && selector.startsWith('current ')) {
+      return { root: scope, innerSelector: selector.slice('current '.length).trim() };
+    }
+    
+    return { root: null, innerSelector: selector };
   }
 
   /**
@@ -402,7 +435,8 @@ export class ElementFinder {
   async findElements(selector, globalSelectors = null, options = {}) {
     try {
       const processedSelector = this.processSelector(selector, globalSelectors);
-      const elements = document.querySelectorAll(processedSelector);
+      const { root, innerSelector } = this.resolveScope(processedSelector);
+      const elements = (root || document).querySelectorAll(innerSelector);
       
       let filteredElements = Array.from(elements);
       
@@ -566,4 +600,4 @@ export class ElementFinder {
       lastFoundElementsSize: this.lastFoundElements.size
     };
   }
-}
\ No newline at end of file
+}
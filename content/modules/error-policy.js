@@ -0,0 +1,119 @@
+/**
+ * Error Policy - Retry policies and fallbacks for failing micro actions
+ *
+ * The policy for a failed step merges, from weakest to strongest: the built-in
+ * policy, the scenario's error_handling.default, the error_handling key for the
+ * error's type (element_not_found, page_load_timeout) and the step's own
+ * `retry`. page_load_timeout names its fallback `action` (reload | skip |
+ * go_back | abort) and also sets how long a page transition may take.
+ * retry_times is capped by the global retryLimit setting. Delays grow by
+ * `backoff` per attempt up to `max_delay`.
+ *
+ * Fallbacks once retries are exhausted:
+ *   skip_step   - continue with the next step
+ *   skip_action - stop the current action, continue the session
+ *   reload      - reload the page (the session resumes after load)
+ *   go_back     - navigate back and stop the current action
+ *   abort       - end the session as failed
+ */
+export class ErrorPolicy {
+  constructor(parseDuration) {
+    // Shared with ActionExecutor so "1-2s" means the same everywhere
+    this.parseDuration = parseDuration;
+
+    this.FALLBACKS = ['skip_step', 'skip_action', 'reload', 'go_back', 'abort'];
+
+    // error_handling keys by the error messages they apply to
+    this.ERROR_TYPES = {
+      elementNotFound: /element not found|selector not found|element did not appear/i,
+      pageLoadTimeout: /did not load within/i
+    };
+
+    // page_load_timeout `action` values as fallbacks
+    this.PAGE_LOAD_ACTIONS = {
+      reload: 'reload',
+      skip: 'skip_step',
+      go_back: 'go_back',
+      abort: 'abort'
+    };
+
+    this.DEFAULT_PAGE_LOAD_TIMEOUT = 10000;
+
+    this.DEFAULT_POLICY = {
+      retryTimes: 0,
+      retryDelay: '1s',
+      backoff: 1,
+      maxDelay: 30000,
+      fallback: 'skip_step'
+    };
+  }
+
+  /**
+   * Resolve policy for a failed step
+   */
+  resolve(step, error, errorHandling = {}, settings = {}) {
+    const errorType = this.getErrorType(error);
+
+    const policy = {
+      ...this.DEFAULT_POLICY,
+      ...errorHandling?.default,
+      ...this.getTypePolicy(errorType, errorHandling?.[errorType]),
+      ...step.retry
+    };
+
+    const retryLimit = Number(settings?.retryLimit);
+    if (Number.isFinite(retryLimit)) {
+      policy.retryTimes = Math.min(Number(policy.retryTimes) || 0, retryLimit);
+    }
+
+    if (!this.FALLBACKS.includes(policy.fallback)) {
+      console.warn(`Unknown error fallback "${policy.fallback}", using skip_step`);
+      policy.fallback = 'skip_step';
+    }
+
+    return policy;
+  }
+
+  /**
+   * Policy fields of an error type's error_handling entry
+   */
+  getTypePolicy(errorType, config) {
+    if (!config || errorType !== 'pageLoadTimeout') {
+      return config;
+    }
+
+    const { timeout, action, ...policy } = config;
+    return action ? { ...policy, fallback: this.PAGE_LOAD_ACTIONS[action] || action } : policy;
+  }
+
+  /**
+   * How long a page transition may take, in milliseconds
+   */
+  getPageLoadTimeout(errorHandling = {}) {
+    const timeout = this.toMs(errorHandling?.pageLoadTimeout?.timeout ?? this.DEFAULT_PAGE_LOAD_TIMEOUT);
+    return Number.isFinite(timeout) && timeout > 0 ? timeout : this.DEFAULT_PAGE_LOAD_TIMEOUT;
+  }
+
+  /**
+   * Delay before retry attempt (1-based) in milliseconds
+   */
+  getDelay(policy, attempt) {
+    const delay = this.toMs(policy.retryDelay) * Math.pow(Number(policy.backoff) || 1, attempt - 1);
+    return Math.min(delay, this.toMs(policy.maxDelay) || delay);
+  }
+
+  /**
+   * Milliseconds from a number or duration string ("2s", "1-2s")
+   */
+  toMs(duration) {
+    return typeof duration === 'number' ? duration : this.parseDuration(String(duration));
+  }
+
+  /**
+   * error_handling key for the error, or null for errors without one
+   */
+  getErrorType(error) {
+    const message = error?.message || '';
+    return Object.keys(this.ERROR_TYPES).find(type => this.ERROR_TYPES[type].test(message)) || null;
+  }
+}
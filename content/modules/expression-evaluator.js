@@ -0,0 +1,274 @@
+/**
+ * Expression Evaluator - Evaluate compiled scenario expressions
+ *
+ * Expressions are parsed by ConfigManager (ExpressionParser) into
+ * { source, ast }; this walks the tree against a plain scope object, so no
+ * scenario text is ever run as code.
+ *
+ * Values extracted from pages are usually strings, so numeric strings
+ * ("49.99") take part in arithmetic and comparisons as numbers. Missing
+ * variables are null: null counts as 0 in arithmetic, and comparing null
+ * with < <= > >= is false.
+ */
+export class ExpressionEvaluator {
+  constructor() {
+    this.NUMERIC_PATTERN = /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/;
+
+    this.FUNCTIONS = {
+      len: (value) => {
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'object' && !Array.isArray(value)) return Object.keys(value).length;
+        return (Array.isArray(value) ? value : String(value)).length;
+      },
+      lower: (value) => this.toText(value).toLowerCase(),
+      upper: (value) => this.toText(value).toUpperCase(),
+      trim: (value) => this.toText(value).trim(),
+      contains: (haystack, needle) => this.toText(haystack).toLowerCase().includes(this.toText(needle).toLowerCase()),
+      starts_with: (text, prefix) => this.toText(text).startsWith(this.toText(prefix)),
+      ends_with: (text, suffix) => this.toText(text).endsWith(this.toText(suffix)),
+      // "$1,299.00" -> 1299
+      number: (value) => {
+        const number = parseFloat(this.toText(value).replace(/[^\d.-]/g, ''));
+        return Number.isNaN(number) ? null : number;
+      },
+      round: (value, digits = 0) => {
+        const factor = Math.pow(10, this.toNumber(digits));
+        return Math.round(this.toNumber(value) * factor) / factor;
+      },
+      abs: (value) => Math.abs(this.toNumber(value)),
+      min: (...values) => Math.min(...values.map(value => this.toNumber(value))),
+      max: (...values) => Math.max(...values.map(value => this.toNumber(value)))
+    };
+  }
+
+  /**
+   * Evaluate a compiled expression
+   *
+   * scope: plain object of variable values (flow parameters over session variables)
+   */
+  evaluate(expression, scope = {}) {
+    if (!expression?.ast) {
+      throw new Error(`expression was not compiled: ${JSON.stringify(expression)}`);
+    }
+
+    try {
+      return this.evaluateNode(expression.ast, scope);
+    } catch (error) {
+      throw new Error(`${error.message} in "${expression.source}"`);
+    }
+  }
+
+  /**
+   * Evaluate a compiled expression as a condition
+   */
+  test(expression, scope = {}) {
+    return this.isTruthy(this.evaluate(expression, scope));
+  }
+
+  /**
+   * Evaluate a syntax tree node
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'regex':
+        return new RegExp(node.pattern, node.flags);
+
+      case 'variable':
+        return this.lookup(node.path, scope);
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope);
+        return node.operator === '!' ? !this.isTruthy(value) : -this.toNumber(value);
+      }
+
+      case 'logical': {
+        const left = this.isTruthy(this.evaluateNode(node.left, scope));
+        if (node.operator === '&&' ? !left : left) {
+          return left;
+        }
+        return this.isTruthy(this.evaluateNode(node.right, scope));
+      }
+
+      case 'binary':
+        return this.applyOperator(
+          node.operator,
+          this.evaluateNode(node.left, scope),
+          this.evaluateNode(node.right, scope)
+        );
+
+      case 'call':
+        return this.FUNCTIONS[node.name](...node.args.map(arg => this.evaluateNode(arg, scope)));
+
+      default:
+        throw new Error(`unknown expression node "${node.type}"`);
+    }
+  }
+
+  /**
+   * Apply binary operator
+   */
+  applyOperator(operator, left, right) {
+    switch (operator) {
+      case '+':
+        // Concatenate unless both sides are numbers or numeric strings
+        return this.isNumeric(left) && this.isNumeric(right)
+          ? this.toNumber(left) + this.toNumber(right)
+          : this.toText(left) + this.toText(right);
+
+      case '-':
+        return this.toNumber(left) - this.toNumber(right);
+
+      case '*':
+        return this.toNumber(left) * this.toNumber(right);
+
+      case '/':
+      case '%': {
+        const divisor = this.toNumber(right);
+        if (divisor === 0) {
+          throw new Error('division by zero');
+        }
+        return operator === '/' ? this.toNumber(left) / divisor : this.toNumber(left) % divisor;
+      }
+
+      case '==':
+        return this.equals(left, right);
+
+      case '!=':
+        return !this.equals(left, right);
+
+      case '~':
+        return this.matches(left, right);
+
+      case '!~':
+        return !this.matches(left, right);
+
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return this.compare(operator, left, right);
+
+      default:
+        throw new Error(`unknown operator "${operator}"`);
+    }
+  }
+
+  /**
+   * Equality: numeric when both sides are numeric, otherwise by text
+   */
+  equals(left, right) {
+    if (this.isNull(left) || this.isNull(right)) {
+      return this.isNull(left) && this.isNull(right);
+    }
+
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+      return this.isTruthy(left) === this.isTruthy(right);
+    }
+
+    if (this.isNumeric(left) && this.isNumeric(right)) {
+      return this.toNumber(left) === this.toNumber(right);
+    }
+
+    return this.toText(left) === this.toText(right);
+  }
+
+  /**
+   * Ordering: numeric when both sides are numeric, otherwise by text
+   */
+  compare(operator, left, right) {
+    if (this.isNull(left) || this.isNull(right)) {
+      return false;
+    }
+
+    const [a, b] = this.isNumeric(left) && this.isNumeric(right)
+      ? [this.toNumber(left), this.toNumber(right)]
+      : [this.toText(left), this.toText(right)];
+
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      default: return a >= b;
+    }
+  }
+
+  /**
+   * Regex test; the pattern may be a regex literal or a string
+   */
+  matches(value, pattern) {
+    if (this.isNull(value)) {
+      return false;
+    }
+
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(this.toText(pattern));
+    return regex.test(this.toText(value));
+  }
+
+  /**
+   * Resolve dotted variable path in scope
+   */
+  lookup(path, scope) {
+    let value = scope;
+
+    for (const segment of path) {
+      if (value === null || value === undefined || typeof value !== 'object') {
+        return null;
+      }
+      value = value[segment];
+    }
+
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Whether value is null or undefined
+   */
+  isNull(value) {
+    return value === null || value === undefined;
+  }
+
+  /**
+   * Whether value takes part in arithmetic as a number (null counts as 0)
+   */
+  isNumeric(value) {
+    return typeof value === 'number' || this.isNull(value) || (typeof value === 'string' && this.NUMERIC_PATTERN.test(value));
+  }
+
+  /**
+   * Condition truthiness; empty lists are false
+   */
+  isTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return Boolean(value);
+  }
+
+  /**
+   * Number from number, numeric string or null
+   */
+  toNumber(value) {
+    if (this.isNull(value)) {
+      return 0;
+    }
+
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new Error(`"${value}" is not a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Text from any value; null is empty
+   */
+  toText(value) {
+    if (this.isNull(value)) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Goal Planner - Goal-directed scoring for the "smart" selection method
+ *
+ * Each unmet required metric gets an urgency: the share still missing divided
+ * by the share of session time remaining. An action scores by how much of
+ * that lagging progress its `impact` covers; navigation actions also get a
+ * discounted score for the best action on the page they lead to (lookahead).
+ *
+ * plan() returns the choice together with the reasoning, which is logged so
+ * decisions can be audited.
+ */
+export class GoalPlanner {
+  constructor() {
+    this.LOOKAHEAD_DEPTH = 2; // navigation hops considered
+    this.LOOKAHEAD_DISCOUNT = 0.6; // per hop
+    this.MIN_TIME_REMAINING = 0.1; // caps urgency near the end of the session
+    this.PROBABILITY_PRIOR = 0.1; // keeps configured probability as tie-breaker
+  }
+
+  /**
+   * Pick the candidate with the highest goal score
+   *
+   * candidates are { action, weight } where weight already includes history
+   * modifiers. Returns { action: null, reasoning } when no candidate moves a
+   * lagging metric, so the caller can fall back to weighted random.
+   */
+  plan(candidates, { pageType, scenario, tracker }) {
+    const { lagging, timeRemaining } = this.getLaggingMetrics(tracker);
+
+    const reasoning = {
+      method: 'smart',
+      page: pageType,
+      timeRemaining: this.round(timeRemaining),
+      lagging: Object.fromEntries(Object.entries(lagging).map(([metric, info]) => [
+        metric,
+        { current: info.current, target: info.target, urgency: this.round(info.urgency) }
+      ])),
+      candidates: [],
+      chosen: null
+    };
+
+    if (Object.keys(lagging).length === 0) {
+      reasoning.fallback = 'no_lagging_metrics';
+      return { action: null, reasoning };
+    }
+
+    const scored = candidates.map(({ action, weight }) => {
+      const score = this.scoreAction(action, pageType, scenario, lagging, this.LOOKAHEAD_DEPTH, new Set([pageType]));
+      const historyFactor = action.probability > 0 ? weight / action.probability : 1;
+
+      return {
+        action,
+        score,
+        total: (score.value + this.PROBABILITY_PRIOR * action.probability) * historyFactor,
+        historyFactor
+      };
+    });
+
+    reasoning.candidates = scored.map(({ action, score, total, historyFactor }) => ({
+      name: action.name,
+      total: this.round(total),
+      direct: score.direct.contributions,
+      lookahead: score.lookahead.page
+        ? { page: score.lookahead.page, via: score.lookahead.via, value: this.round(score.lookahead.value) }
+        : null,
+      historyFactor: this.round(historyFactor)
+    }));
+
+    if (scored.every(candidate => candidate.score.value === 0)) {
+      reasoning.fallback = 'no_action_moves_lagging_metrics';
+      return { action: null, reasoning };
+    }
+
+    const best = scored.reduce((top, candidate) => (candidate.total > top.total ? candidate : top));
+    reasoning.chosen = best.action.name;
+
+    return { action: best.action, reasoning };
+  }
+
+  /**
+   * Unmet required metrics with urgency, and remaining session time (0-1)
+   */
+  getLaggingMetrics(tracker) {
+    const timeRemaining = this.getTimeRemaining(tracker);
+    const lagging = {};
+
+    for (const [metric, { current, target, met }] of Object.entries(tracker.getGoalStatus())) {
+      if (met || target <= 0) continue;
+
+      const deficit = (target - current) / target;
+      lagging[metric] = {
+        current,
+        target,
+        deficit,
+        urgency: deficit / Math.max(timeRemaining, this.MIN_TIME_REMAINING)
+      };
+    }
+
+    return { lagging, timeRemaining };
+  }
+
+  /**
+   * Share of target session duration still remaining
+   */
+  getTimeRemaining(tracker) {
+    if (!tracker.targetDuration) {
+      return 1;
+    }
+
+    const remaining = 1 - tracker.getSessionDuration() / tracker.targetDuration;
+    return Math.min(1, Math.max(0, remaining));
+  }
+
+  /**
+   * Direct impact score plus discounted lookahead for navigation
+   */
+  scoreAction(action, pageType, scenario, lagging, depth, visited) {
+    const direct = this.getImpactValue(action.impact, lagging);
+    let lookahead = { page: null, via: null, value: 0 };
+
+    const isNavigation = action.targetPage && action.targetPage !== pageType;
+    if (isNavigation && depth > 0 && !visited.has(action.targetPage)) {
+      const pageValue = this.getPageValue(action.targetPage, scenario, lagging, depth - 1, visited);
+      lookahead = {
+        page: action.targetPage,
+        via: pageValue.via,
+        value: pageValue.value * this.LOOKAHEAD_DISCOUNT
+      };
+    }
+
+    return { direct, lookahead, value: direct.value + lookahead.value };
+  }
+
+  /**
+   * Best action score reachable on a page
+   */
+  getPageValue(pageType, scenario, lagging, depth, visited) {
+    const page = scenario?.pages?.[pageType];
+    if (!page?.actions) {
+      return { value: 0, via: null };
+    }
+
+    const nextVisited = new Set(visited).add(pageType);
+    const actions = [...(page.actions.nonNavigation || []), ...(page.actions.navigation || [])];
+
+    let best = { value: 0, via: null };
+    for (const action of actions) {
+      if (!(action.probability > 0)) continue;
+
+      const { value } = this.scoreAction(action, pageType, scenario, lagging, depth, nextVisited);
+      if (value > best.value) {
+        best = { value, via: action.name };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Urgency-weighted share of lagging metrics an impact covers
+   */
+  getImpactValue(impact, lagging) {
+    const contributions = {};
+    let value = 0;
+
+    for (const [metric, info] of Object.entries(lagging)) {
+      const amount = Number(impact?.[metric]) || 0;
+      if (amount <= 0) continue;
+
+      const useful = Math.min(amount, info.target - info.current);
+      const contribution = (useful / info.target) * info.urgency;
+
+      contributions[metric] = this.round(contribution);
+      value += contribution;
+    }
+
+    return { value, contributions };
+  }
+
+  /**
+   * Round for readable logs
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
@@ -0,0 +1,108 @@
+import { ExpressionEvaluator } from './expression-evaluator.js';
+
+/**
+ * Navigation Decider - Choose between non_navigation and navigation actions
+ *
+ * Used with weighted_random action selection only; sequential and smart
+ * selection ignore it so their picks stay deterministic.
+ *
+ * Applies decision_rules.navigation_probability each tick: starts from `base`
+ * and applies every modifier whose condition holds, in declared order.
+ * ConfigManager compiles modifier conditions with ExpressionParser; they are
+ * evaluated against the variables computed here.
+ */
+export class NavigationDecider {
+  constructor(expressionEvaluator = new ExpressionEvaluator()) {
+    this.expressionEvaluator = expressionEvaluator;
+  }
+
+  /**
+   * Narrow valid actions to the group picked by navigation probability
+   *
+   * Returns { actions, decision }; decision is null when the scenario has no
+   * navigation_probability or only one group has valid actions.
+   */
+  choose(validActions, { pageConfig, navigationProbability, tracker }) {
+    if (typeof navigationProbability?.base !== 'number') {
+      return { actions: validActions, decision: null };
+    }
+
+    const navigation = new Set(pageConfig?.actions?.navigation || []);
+    const navigationActions = validActions.filter(action => navigation.has(action));
+    const otherActions = validActions.filter(action => !navigation.has(action));
+
+    if (navigationActions.length === 0 || otherActions.length === 0) {
+      return { actions: validActions, decision: null };
+    }
+
+    const variables = this.getVariables(pageConfig, tracker);
+    const { probability, applied } = this.getProbability(navigationProbability, variables);
+    const group = Math.random() < probability ? 'navigation' : 'non_navigation';
+
+    return {
+      actions: group === 'navigation' ? navigationActions : otherActions,
+      decision: { probability, base: navigationProbability.base, applied, group, variables }
+    };
+  }
+
+  /**
+   * Apply modifiers to base probability, clamped to 0-1
+   */
+  getProbability(navigationProbability, variables) {
+    let probability = navigationProbability.base;
+    const applied = [];
+
+    for (const rule of navigationProbability.rules || []) {
+      if (rule.condition && !this.expressionEvaluator.test(rule.condition, variables)) continue;
+
+      probability = this.applyEffect(probability, rule.effect);
+      applied.push(rule.name);
+    }
+
+    return { probability: Math.min(1, Math.max(0, probability)), applied };
+  }
+
+  /**
+   * Apply a rule effect to the probability
+   */
+  applyEffect(probability, { operator, value }) {
+    switch (operator) {
+      case '+': return probability + value;
+      case '-': return probability - value;
+      case '*': return probability * value;
+      case '=': return value;
+      default: return probability;
+    }
+  }
+
+  /**
+   * Current values of the rule variables
+   */
+  getVariables(pageConfig, tracker) {
+    const time = tracker.targetDuration
+      ? Math.min(1, tracker.getSessionDuration() / tracker.targetDuration)
+      : 0;
+
+    const ratios = Object.values(tracker.getGoalStatus()).map(({ current, target }) =>
+      target > 0 ? Math.min(1, current / target) : 1
+    );
+    const progress = ratios.length > 0
+      ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+      : 1;
+
+    const stayDuration = pageConfig?.stayDuration || {};
+    const toSeconds = value => tracker.toMs(value, stayDuration.unit || 'seconds') / 1000;
+
+    return {
+      time,
+      progress,
+      expected: time,
+      time_on_page: tracker.getTimeOnCurrentPage() / 1000,
+      min: toSeconds(stayDuration.min),
+      max: toSeconds(stayDuration.max),
+      page_visits: tracker.getPageHistory().filter(visit => visit.type === tracker.currentPage).length,
+      actions_on_page: tracker.getActionHistory(tracker.currentPage)
+        .filter(entry => entry.at >= tracker.pageEnteredAt).length
+    };
+  }
+}
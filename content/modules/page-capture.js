@@ -0,0 +1,93 @@
+/**
+ * Page Capture - Page-side helpers for full-page and element screenshots
+ *
+ * The background captures the viewport; this module reports page geometry,
+ * scrolls between captures and hides fixed/sticky elements after the first
+ * frame so headers are not repeated in the stitched image.
+ */
+export class PageCapture {
+  constructor() {
+    this.SETTLE_DELAY = 150; // ms for lazy content and scroll-linked styles
+    this.HIDDEN_ATTRIBUTE = 'data-wa-capture-hidden';
+
+    this.originalScroll = null;
+  }
+
+  /**
+   * Remember scroll position and report page geometry
+   */
+  prepare() {
+    this.originalScroll = { x: window.scrollX, y: window.scrollY };
+
+    const root = document.documentElement;
+    return {
+      scrollWidth: Math.max(root.scrollWidth, document.body?.scrollWidth || 0),
+      scrollHeight: Math.max(root.scrollHeight, document.body?.scrollHeight || 0),
+      viewportWidth: root.clientWidth,
+      viewportHeight: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1
+    };
+  }
+
+  /**
+   * Scroll to vertical offset and wait for the page to settle
+   */
+  async scrollTo(y, hideFixed = false) {
+    window.scrollTo(0, y);
+
+    if (hideFixed) {
+      this.hideFixedElements();
+    }
+
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    await new Promise(resolve => setTimeout(resolve, this.SETTLE_DELAY));
+
+    return { scrollY: window.scrollY };
+  }
+
+  /**
+   * Restore scroll position and fixed elements
+   */
+  restore() {
+    document.querySelectorAll(`[${this.HIDDEN_ATTRIBUTE}]`).forEach(element => {
+      element.style.visibility = element.getAttribute(this.HIDDEN_ATTRIBUTE);
+      element.removeAttribute(this.HIDDEN_ATTRIBUTE);
+    });
+
+    if (this.originalScroll) {
+      window.scrollTo(this.originalScroll.x, this.originalScroll.y);
+      this.originalScroll = null;
+    }
+
+    return { restored: true };
+  }
+
+  /**
+   * Hide fixed and sticky elements, keeping their inline visibility for restore
+   */
+  hideFixedElements() {
+    for (const element of document.body.querySelectorAll('*')) {
+      if (element.hasAttribute(this.HIDDEN_ATTRIBUTE)) continue;
+
+      const position = getComputedStyle(element).position;
+      if (position === 'fixed' || position === 'sticky') {
+        element.setAttribute(this.HIDDEN_ATTRIBUTE, element.style.visibility);
+        element.style.visibility = 'hidden';
+      }
+    }
+  }
+
+  /**
+   * Element bounding box in document coordinates (CSS pixels)
+   */
+  getElementRect(element) {
+    const rect = element.getBoundingClientRect();
+
+    return {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+}
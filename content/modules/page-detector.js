@@ -0,0 +1,247 @@
+/**
+ * Page Detector - Classify the current page against configured page selectors
+ */
+export class PageDetector {
+  constructor() {
+    // Evidence weights, summed into the confidence score (max 1.0)
+    this.EVIDENCE_WEIGHTS = {
+      url_pattern: 0.4,
+      primary: 0.35,
+      secondary: 0.15,
+      fallback: 0.1
+    };
+
+    this.IDENTIFIER_LEVELS = ['primary', 'secondary', 'fallback'];
+
+    // A page is only classified on strong evidence; secondary and fallback
+    // identifiers only raise the confidence of an anchored match
+    this.ANCHOR_SOURCES = ['url_pattern', 'primary'];
+
+    // subject[(argument)][:operator[('value')]]
+    this.PREDICATE_PATTERN = /^(title|url|meta)(?:\(([^)]+)\))?(?::(contains|equals|matches|exists)(?:\((['"])(.*)\4\))?)?$/i;
+  }
+
+  /**
+   * Detect page type for URL using selectors.pages definitions
+   * Returns { type, confidence, evidence, url, candidates } or null
+   */
+  async detectPage(url, selectors) {
+    if (!selectors?.pages) {
+      return null;
+    }
+
+    const candidates = [];
+
+    Object.entries(selectors.pages).forEach(([pageType, pageSelectors], order) => {
+      if (pageType.startsWith('_') || !pageSelectors) return;
+
+      const candidate = this.scorePage(pageType, pageSelectors, url);
+      if (this.isAnchored(candidate)) {
+        candidates.push({ ...candidate, order });
+      }
+    });
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    candidates.sort((a, b) => this.compareCandidates(a, b));
+    const best = candidates[0];
+
+    return {
+      type: best.type,
+      confidence: best.confidence,
+      evidence: best.evidence,
+      url,
+      candidates: candidates.map(({ type, confidence }) => ({ type, confidence }))
+    };
+  }
+
+  /**
+   * Score a single page definition against the current document
+   */
+  scorePage(pageType, pageSelectors, url) {
+    const evidence = [];
+    let urlMatchLength = 0;
+
+    // URL pattern
+    if (pageSelectors.url_pattern) {
+      const match = this.matchUrlPattern(pageSelectors.url_pattern, url);
+      if (match) {
+        urlMatchLength = match[0].length;
+        evidence.push({
+          source: 'url_pattern',
+          value: pageSelectors.url_pattern,
+          matched: match[0],
+          weight: this.EVIDENCE_WEIGHTS.url_pattern
+        });
+      }
+    }
+
+    // Identifiers
+    const identifiers = pageSelectors.identifiers || {};
+    for (const level of this.IDENTIFIER_LEVELS) {
+      const identifier = identifiers[level];
+      if (identifier && this.matchIdentifier(identifier, url)) {
+        evidence.push({
+          source: level,
+          value: identifier,
+          weight: this.EVIDENCE_WEIGHTS[level]
+        });
+      }
+    }
+
+    const confidence = evidence.reduce((sum, item) => sum + item.weight, 0);
+
+    return {
+      type: pageType,
+      confidence: Math.round(Math.min(1, confidence) * 100) / 100,
+      evidence,
+      urlMatchLength
+    };
+  }
+
+  /**
+   * Whether a candidate matched its URL pattern or primary identifier
+   */
+  isAnchored(candidate) {
+    return candidate.evidence.some(item => this.ANCHOR_SOURCES.includes(item.source));
+  }
+
+  /**
+   * Order candidates: confidence, then URL specificity, then declaration order
+   */
+  compareCandidates(a, b) {
+    if (b.confidence !== a.confidence) {
+      return b.confidence - a.confidence;
+    }
+
+    // Longer URL match wins, so "/product/" beats "/p/" when both apply
+    if (b.urlMatchLength !== a.urlMatchLength) {
+      return b.urlMatchLength - a.urlMatchLength;
+    }
+
+    return a.order - b.order;
+  }
+
+  /**
+   * Match URL against pattern, returns the RegExp match or null
+   */
+  matchUrlPattern(pattern, url) {
+    try {
+      return new RegExp(pattern, 'i').exec(url);
+    } catch (error) {
+      console.warn('Invalid URL pattern:', pattern);
+      return null;
+    }
+  }
+
+  /**
+   * Match an identifier entry - a predicate or a list of predicates that must all hold
+   */
+  matchIdentifier(identifier, url) {
+    const predicates = Array.isArray(identifier) ? identifier : [identifier];
+    return predicates.every(predicate => this.evaluatePredicate(predicate, url));
+  }
+
+  /**
+   * Evaluate a single predicate
+   * Supported forms:
+   *   title:contains('Home'), title:equals('...'), title:matches('regex')
+   *   url:contains('/cart'), url:matches('regex')
+   *   meta(og:type):equals('product'), meta(description) (exists)
+   *   exists(.selector) or any plain CSS selector (element exists)
+   */
+  evaluatePredicate(predicate, url) {
+    if (typeof predicate !== 'string' || !predicate.trim()) {
+      return false;
+    }
+
+    const trimmed = predicate.trim();
+
+    const existsMatch = trimmed.match(/^exists\((.+)\)$/i);
+    if (existsMatch) {
+      return this.elementExists(existsMatch[1]);
+    }
+
+    const match = trimmed.match(this.PREDICATE_PATTERN);
+    if (!match) {
+      return this.elementExists(trimmed);
+    }
+
+    const [, subject, argument, operator = 'exists', , value] = match;
+    const subjectValue = this.getSubjectValue(subject.toLowerCase(), argument, url);
+
+    return this.applyOperator(subjectValue, operator.toLowerCase(), value);
+  }
+
+  /**
+   * Resolve predicate subject to a string value (or null when absent)
+   */
+  getSubjectValue(subject, argument, url) {
+    switch (subject) {
+      case 'title':
+        return document.title || '';
+
+      case 'url':
+        return url || window.location.href;
+
+      case 'meta': {
+        if (!argument) return null;
+        const name = argument.trim().replace(/^['"]|['"]$/g, '');
+        const meta = Array.from(document.querySelectorAll('meta')).find(el =>
+          el.getAttribute('name') === name ||
+          el.getAttribute('property') === name ||
+          el.getAttribute('http-equiv') === name
+        );
+        return meta ? meta.getAttribute('content') || '' : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply predicate operator
+   */
+  applyOperator(subjectValue, operator, value) {
+    if (subjectValue === null || subjectValue === undefined) {
+      return false;
+    }
+
+    switch (operator) {
+      case 'exists':
+        return true;
+
+      case 'contains':
+        return subjectValue.toLowerCase().includes((value || '').toLowerCase());
+
+      case 'equals':
+        return subjectValue.trim().toLowerCase() === (value || '').trim().toLowerCase();
+
+      case 'matches':
+        try {
+          return new RegExp(value, 'i').test(subjectValue);
+        } catch (error) {
+          console.warn('Invalid predicate pattern:', value);
+          return false;
+        }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check if element matching CSS selector exists
+   */
+  elementExists(selector) {
+    try {
+      return document.querySelector(selector) !== null;
+    } catch (error) {
+      console.warn('Invalid identifier selector:', selector);
+      return false;
+    }
+  }
+}
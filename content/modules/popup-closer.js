@@ -0,0 +1,143 @@
+/**
+ * Popup Closer - Built-in close_popups page hook
+ *
+ * Finds visible overlays (modals, cookie banners, newsletter popups) and
+ * clicks their dismiss control like a user would. Overlays without a
+ * recognizable dismiss control get an Escape key press.
+ *
+ * Selector lists come from the step (`overlays` / `dismiss`), then the site
+ * config (`selectors.popups`), then the defaults below.
+ */
+export class PopupCloser {
+  constructor(actionExecutor) {
+    this.actionExecutor = actionExecutor;
+
+    this.MAX_PASSES = 3; // closing one popup may reveal another
+    this.CLOSE_DELAY = 400; // ms for close animations
+
+    this.DEFAULT_OVERLAYS = [
+      '[role="dialog"]',
+      '[aria-modal="true"]',
+      '.modal.show',
+      '.modal.open',
+      '.popup',
+      '.overlay',
+      '#onetrust-banner-sdk',
+      '.cookie-banner',
+      '.newsletter-popup'
+    ];
+
+    this.DEFAULT_DISMISS = [
+      '[aria-label="Close"]',
+      '[aria-label="close"]',
+      '[aria-label="Dismiss"]',
+      '[data-dismiss="modal"]',
+      '[data-bs-dismiss="modal"]',
+      '.close',
+      '.modal-close',
+      '.popup-close',
+      'button[class*="close"]',
+      '#onetrust-accept-btn-handler',
+      '.cookie-accept'
+    ];
+  }
+
+  /**
+   * Close visible popups; returns the number closed
+   */
+  async close({ overlays, dismiss } = {}) {
+    const overlaySelectors = this.toList(overlays, this.DEFAULT_OVERLAYS);
+    const dismissSelectors = this.toList(dismiss, this.DEFAULT_DISMISS);
+
+    let closed = 0;
+
+    for (let pass = 0; pass < this.MAX_PASSES; pass++) {
+      const overlay = this.findVisible(overlaySelectors);
+      if (!overlay) break;
+
+      // Only controls inside the overlay; a page-wide match could be any other "close" button
+      const button = this.findVisible(dismissSelectors, overlay);
+
+      if (button) {
+        await this.actionExecutor.clickElement(button);
+      } else {
+        this.pressEscape();
+      }
+
+      await this.actionExecutor.wait(this.CLOSE_DELAY);
+
+      if (this.isVisible(overlay)) {
+        console.warn('⚠️ Popup did not close:', overlay);
+        break;
+      }
+
+      closed++;
+    }
+
+    if (closed > 0) {
+      console.log(`🧹 Closed ${closed} popup(s)`);
+    }
+
+    return closed;
+  }
+
+  /**
+   * First visible element matching any selector
+   */
+  findVisible(selectors, root = document) {
+    for (const selector of selectors) {
+      let elements;
+      try {
+        elements = root.querySelectorAll(selector);
+      } catch {
+        console.warn('Invalid popup selector:', selector);
+        continue;
+      }
+
+      const visible = [...elements].find(element => this.isVisible(element));
+      if (visible) {
+        return visible;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether element is rendered and takes up space
+   */
+  isVisible(element) {
+    if (!element.isConnected) {
+      return false;
+    }
+
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || Number(style.opacity) === 0) {
+      return false;
+    }
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  /**
+   * Send Escape to the focused element
+   */
+  pressEscape() {
+    const target = document.activeElement || document.body;
+    ['keydown', 'keyup'].forEach(type => {
+      target.dispatchEvent(new KeyboardEvent(type, { key: 'Escape', code: 'Escape', bubbles: true }));
+    });
+  }
+
+  /**
+   * Selector list from string or array, or the defaults
+   */
+  toList(selectors, defaults) {
+    if (!selectors || selectors.length === 0) {
+      return defaults;
+    }
+
+    return Array.isArray(selectors) ? selectors : [selectors];
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * Progress Tracker - Track session goals, metrics and page history
+ *
+ * The whole tracker state is serializable (getState/restore) so a session can
+ * continue after a full page load re-creates the content script.
+ */
+export class ProgressTracker {
+  constructor() {
+    this.UNIT_MS = {
+      ms: 1,
+      seconds: 1000,
+      minutes: 60 * 1000,
+      hours: 60 * 60 * 1000
+    };
+
+    this.MAX_PAGE_HISTORY = 200;
+    this.MAX_ACTION_HISTORY = 200;
+
+    this.reset();
+  }
+
+  /**
+   * Reset tracker to empty state
+   */
+  reset() {
+    this.goals = null;
+    this.metrics = {};
+    this.startTime = null;
+    this.targetDuration = null;
+    this.currentPage = null;
+    this.pageEnteredAt = null;
+    this.entryActionsRunAt = null;
+    this.pageHistory = [];
+    this.actionHistory = [];
+    this.actionCounts = {};
+    this.pageCursors = {};
+    this.variables = {};
+    this.pendingAction = null;
+    // Pagination state of a scrape step whose next page may load a new document
+    this.scrapeCursor = null;
+    // Set when metrics or variables change, until the state is reported
+    this.dirty = false;
+  }
+
+  /**
+   * Initialize tracker for scenario goals, optionally restoring saved state
+   */
+  async initialize(goals = {}, state = null) {
+    this.reset();
+    this.goals = goals || {};
+
+    if (state) {
+      this.restore(state);
+      console.log('📊 Progress tracker restored:', this.metrics);
+      return;
+    }
+
+    this.startTime = Date.now();
+    this.targetDuration = this.pickTargetDuration();
+
+    console.log('📊 Progress tracker initialized');
+  }
+
+  /**
+   * Pick session length between sessionDuration min and max
+   */
+  pickTargetDuration() {
+    const duration = this.goals?.sessionDuration;
+    if (!duration) {
+      return null;
+    }
+
+    const min = this.toMs(duration.min, duration.unit);
+    const max = this.toMs(duration.max, duration.unit);
+    return Math.round(min + Math.random() * (max - min));
+  }
+
+  /**
+   * Convert value in unit to milliseconds
+   */
+  toMs(value, unit = 'minutes') {
+    return (Number(value) || 0) * (this.UNIT_MS[unit] || this.UNIT_MS.minutes);
+  }
+
+  /**
+   * Add action impact to metrics
+   */
+  async updateMetrics(impact = {}) {
+    for (const [metric, value] of Object.entries(impact)) {
+      if (metric.startsWith('_') || typeof value !== 'number') continue;
+      this.metrics[metric] = (this.metrics[metric] || 0) + value;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Record page the session is currently on
+   */
+  async updateCurrentPage(pageType, url = window.location.href) {
+    const lastVisit = this.pageHistory[this.pageHistory.length - 1];
+    if (lastVisit && lastVisit.type === pageType && lastVisit.url === url) {
+      return;
+    }
+
+    this.currentPage = pageType;
+    this.pageEnteredAt = Date.now();
+    this.pageHistory.push({ type: pageType, url, enteredAt: this.pageEnteredAt });
+
+    if (this.pageHistory.length > this.MAX_PAGE_HISTORY) {
+      this.pageHistory = this.pageHistory.slice(-this.MAX_PAGE_HISTORY);
+    }
+  }
+
+  /**
+   * Whether entry hooks already ran for the current page visit
+   */
+  hasRunEntryActions() {
+    return this.pageEnteredAt !== null && this.entryActionsRunAt === this.pageEnteredAt;
+  }
+
+  /**
+   * Mark entry hooks as run for the current page visit
+   */
+  markEntryActionsRun() {
+    this.entryActionsRunAt = this.pageEnteredAt;
+  }
+
+  /**
+   * Record executed action for selection history
+   */
+  recordAction(actionName, pageType = this.currentPage) {
+    this.actionHistory.push({ name: actionName, page: pageType, at: Date.now() });
+    this.actionCounts[actionName] = (this.actionCounts[actionName] || 0) + 1;
+
+    if (this.actionHistory.length > this.MAX_ACTION_HISTORY) {
+      this.actionHistory = this.actionHistory.slice(-this.MAX_ACTION_HISTORY);
+    }
+  }
+
+  /**
+   * Get executed actions, optionally only those on one page type
+   */
+  getActionHistory(pageType = null) {
+    return pageType
+      ? this.actionHistory.filter(entry => entry.page === pageType)
+      : [...this.actionHistory];
+  }
+
+  /**
+   * Times an action ran this session
+   */
+  getActionCount(actionName) {
+    return this.actionCounts[actionName] || 0;
+  }
+
+  /**
+   * Check whether a page type was visited in this session
+   */
+  hasVisitedPage(pageType) {
+    return this.pageHistory.some(visit => visit.type === pageType);
+  }
+
+  /**
+   * Get sequential selection cursor for page type
+   */
+  getPageCursor(pageType) {
+    return this.pageCursors[pageType] || 0;
+  }
+
+  /**
+   * Set sequential selection cursor for page type
+   */
+  setPageCursor(pageType, index) {
+    this.pageCursors[pageType] = index;
+  }
+
+  /**
+   * Get session variable
+   */
+  getVariable(name) {
+    return this.variables[name];
+  }
+
+  /**
+   * Set session variable
+   */
+  setVariable(name, value) {
+    this.variables[name] = value;
+    this.dirty = true;
+  }
+
+  /**
+   * Whether metrics or variables changed since the last call
+   */
+  takeDirty() {
+    const dirty = this.dirty;
+    this.dirty = false;
+    return dirty;
+  }
+
+  /**
+   * Get all session variables
+   */
+  getVariables() {
+    return { ...this.variables };
+  }
+
+  /**
+   * Remember navigation action that may unload the page before it completes
+   */
+  setPendingAction(action) {
+    this.pendingAction = action ? { ...action, startedAt: Date.now() } : null;
+  }
+
+  /**
+   * Take and clear pending navigation action
+   */
+  takePendingAction() {
+    const action = this.pendingAction;
+    this.pendingAction = null;
+    return action;
+  }
+
+  /**
+   * Remember where a scrape step continues if its next page loads a new document
+   */
+  setScrapeCursor(cursor) {
+    this.scrapeCursor = cursor ? { ...cursor } : null;
+    this.dirty = true;
+  }
+
+  /**
+   * Whether a scrape step was paging when the previous document unloaded
+   */
+  hasScrapeCursor() {
+    return this.scrapeCursor !== null;
+  }
+
+  /**
+   * Take and clear the scrape cursor
+   */
+  takeScrapeCursor() {
+    const cursor = this.scrapeCursor;
+    this.scrapeCursor = null;
+    return cursor;
+  }
+
+  /**
+   * Get metric value
+   */
+  getMetric(metric) {
+    return this.metrics[metric] || 0;
+  }
+
+  /**
+   * Get all metric values
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * Get time on current page in milliseconds
+   */
+  getTimeOnCurrentPage() {
+    return this.pageEnteredAt ? Date.now() - this.pageEnteredAt : 0;
+  }
+
+  /**
+   * Get session duration in milliseconds
+   */
+  getSessionDuration() {
+    return this.startTime ? Date.now() - this.startTime : 0;
+  }
+
+  /**
+   * Get visited page history
+   */
+  getPageHistory() {
+    return [...this.pageHistory];
+  }
+
+  /**
+   * Check whether required metrics and minimum duration are reached
+   */
+  async areGoalsMet(expressionMet = null) {
+    if (!this.startTime) {
+      return false;
+    }
+    
+    // goals.expression (evaluated by the caller) is null when not configured
+    if (expressionMet === false) {
+      return false;
+    }
+
+    const required = this.getRequiredMetrics();
+    const metricsMet = Object.entries(required).every(([metric, target]) =>
+      this.getMetric(metric) >= target
+    );
+
+    const duration = this.goals?.sessionDuration;
+    const minDuration = duration ? this.toMs(duration.min, duration.unit) : 0;
+
+    if (Object.keys(required).length === 0 && expressionMet === null) {
+      // Without metric goals the session runs for its target duration
+      return this.targetDuration !== null && this.getSessionDuration() >= this.targetDuration;
+    }
+
+    return metricsMet && this.getSessionDuration() >= minDuration;
+  }
+
+  /**
+   * Check whether session exceeded maximum duration
+   */
+  isSessionTimedOut() {
+    const duration = this.goals?.sessionDuration;
+    if (!duration || !this.startTime) {
+      return false;
+    }
+
+    return this.getSessionDuration() > this.toMs(duration.max, duration.unit);
+  }
+
+  /**
+   * Get required metrics without config comments
+   */
+  getRequiredMetrics() {
+    return Object.fromEntries(
+      Object.entries(this.goals?.requiredMetrics || {})
+        .filter(([metric, target]) => !metric.startsWith('_') && typeof target === 'number')
+    );
+  }
+
+  /**
+   * Get goal status per required metric
+   */
+  getGoalStatus() {
+    const status = {};
+
+    for (const [metric, target] of Object.entries(this.getRequiredMetrics())) {
+      const current = this.getMetric(metric);
+      status[metric] = { current, target, met: current >= target };
+    }
+
+    return status;
+  }
+
+  /**
+   * Get overall progress percentage (0-100)
+   */
+  getOverallProgress() {
+    const ratios = Object.values(this.getGoalStatus()).map(({ current, target }) =>
+      target > 0 ? Math.min(1, current / target) : 1
+    );
+
+    if (this.targetDuration) {
+      ratios.push(Math.min(1, this.getSessionDuration() / this.targetDuration));
+    }
+
+    if (ratios.length === 0) {
+      return 0;
+    }
+
+    return (ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) * 100;
+  }
+
+  /**
+   * Progress report sent to background
+   */
+  getProgressReport() {
+    return {
+      metrics: { ...this.metrics },
+      duration: this.getSessionDuration(),
+      target_duration: this.targetDuration,
+      overall_progress: this.getOverallProgress(),
+      current_page: this.currentPage,
+      tracker: this.getState()
+    };
+  }
+
+  /**
+   * Serialize tracker state
+   */
+  getState() {
+    return {
+      metrics: { ...this.metrics },
+      startTime: this.startTime,
+      targetDuration: this.targetDuration,
+      currentPage: this.currentPage,
+      pageEnteredAt: this.pageEnteredAt,
+      entryActionsRunAt: this.entryActionsRunAt,
+      pageHistory: [...this.pageHistory],
+      actionHistory: [...this.actionHistory],
+      actionCounts: { ...this.actionCounts },
+      pageCursors: { ...this.pageCursors },
+      variables: { ...this.variables },
+      pendingAction: this.pendingAction,
+      scrapeCursor: this.scrapeCursor
+    };
+  }
+
+  /**
+   * Restore serialized tracker state
+   */
+  restore(state) {
+    this.metrics = { ...(state.metrics || {}) };
+    this.startTime = state.startTime || Date.now();
+    this.targetDuration = state.targetDuration ?? this.pickTargetDuration();
+    this.currentPage = state.currentPage || null;
+    this.pageEnteredAt = state.pageEnteredAt || null;
+    this.entryActionsRunAt = state.entryActionsRunAt || null;
+    this.pageHistory = [...(state.pageHistory || [])];
+    this.actionHistory = [...(state.actionHistory || [])];
+    this.actionCounts = { ...(state.actionCounts || {}) };
+    this.pageCursors = { ...(state.pageCursors || {}) };
+    this.variables = { ...(state.variables || {}) };
+    this.pendingAction = state.pendingAction || null;
+    this.scrapeCursor = state.scrapeCursor || null;
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Value Interpolator - Resolve {placeholders} in micro action fields
+ *
+ * Placeholders:
+ *   {timestamp}                 current time in ms
+ *   {random_number[:min-max]}   random integer, 0-9999 by default
+ *   {random_text[:words]}       words from a built-in pool
+ *   {session_id}                current session id
+ *   {goal_metric:name}          target of a required/optional metric
+ *   {metric:name}               current value of a metric
+ *   {name}                      flow parameter (inside a called flow) or session variable
+ *   {name.key}                  field of an object variable
+ *
+ * Filters are chained with "|": {timestamp|date:YYYY-MM-DD HH:mm},
+ * {random_number:1-50|pad:3}, {query|upper}. "{{" and "}}" produce literal
+ * braces. Unknown placeholders and filters throw.
+ */
+export class ValueInterpolator {
+  constructor() {
+    // Names start with a letter so regex quantifiers like \d{3} are left alone
+    this.PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([a-zA-Z_][^{}]*)\}/g;
+    this.DATE_TOKEN_PATTERN = /YYYY|YY|MM|DD|HH|mm|ss|SSS/g;
+
+    this.TEXT_POOL = [
+      'shoes', 'jacket', 'summer', 'sale', 'blue', 'gift', 'wireless', 'classic',
+      'leather', 'organic', 'kids', 'sport', 'vintage', 'bag', 'lamp', 'coffee',
+      'garden', 'travel', 'phone', 'watch', 'cotton', 'black', 'mini', 'pro'
+    ];
+  }
+
+  /**
+   * Interpolate string fields of a micro action
+   *
+   * skipKeys holds fields interpolated later (e.g. nested step lists).
+   */
+  interpolateStep(microAction, context, skipKeys = []) {
+    const resolved = {};
+
+    for (const [key, value] of Object.entries(microAction)) {
+      resolved[key] = skipKeys.includes(key) ? value : this.interpolateValue(value, context, key);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Interpolate strings inside a value, recursing into arrays and plain objects
+   */
+  interpolateValue(value, context, path) {
+    if (typeof value === 'string') {
+      return this.interpolate(value, context, path);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.interpolateValue(item, context, `${path}[${index}]`));
+    }
+
+    // Compiled expressions read variables themselves
+    if (value && typeof value === 'object' && !value.ast) {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+        [key, this.interpolateValue(child, context, `${path}.${key}`)]
+      ));
+    }
+
+    return value;
+  }
+
+  /**
+   * Interpolate placeholders in a string
+   *
+   * context: { sessionId, tracker, goals, params }
+   */
+  interpolate(text, context, path = 'value') {
+    if (!text.includes('{') && !text.includes('}')) {
+      return text;
+    }
+
+    return text.replace(this.PLACEHOLDER_PATTERN, (match, expression) => {
+      if (match === '{{') return '{';
+      if (match === '}}') return '}';
+
+      try {
+        return String(this.evaluate(expression, context));
+      } catch (error) {
+        throw new Error(`${path}: ${error.message} in "${text}"`);
+      }
+    });
+  }
+
+  /**
+   * Evaluate "name[:arg]|filter[:arg]..." expression
+   */
+  evaluate(expression, context) {
+    const [placeholder, ...filters] = expression.split('|').map(part => part.trim());
+    const [name, arg] = this.splitArgument(placeholder);
+
+    let value = this.resolve(name, arg, context);
+
+    for (const filter of filters) {
+      const [filterName, filterArg] = this.splitArgument(filter);
+      value = this.applyFilter(filterName, filterArg, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve placeholder value
+   */
+  resolve(name, arg, { sessionId, tracker, goals, params } = {}) {
+    switch (name) {
+      case 'timestamp':
+        return Date.now();
+
+      case 'random_number': {
+        const [min, max] = arg ? arg.split('-').map(Number) : [0, 9999];
+        if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) {
+          throw new Error(`invalid range "${arg}" for {random_number}`);
+        }
+        return Math.floor(min + Math.random() * (max - min + 1));
+      }
+
+      case 'random_text': {
+        const words = arg ? parseInt(arg, 10) : 1;
+        return Array.from({ length: Math.max(1, words || 1) }, () =>
+          this.TEXT_POOL[Math.floor(Math.random() * this.TEXT_POOL.length)]
+        ).join(' ');
+      }
+
+      case 'session_id':
+        return sessionId ?? '';
+
+      case 'goal_metric': {
+        const target = goals?.requiredMetrics?.[arg] ?? goals?.optionalMetrics?.[arg];
+        if (target === undefined) {
+          throw new Error(`unknown goal metric "${arg}"`);
+        }
+        return target;
+      }
+
+      case 'metric':
+        if (!arg) {
+          throw new Error('{metric} needs a metric name, e.g. {metric:products_viewed}');
+        }
+        return tracker?.getMetric(arg) ?? 0;
+
+      default: {
+        const [root, ...path] = name.split('.');
+        let variable;
+        if (arg === null) {
+          variable = params && root in params ? params[root] : tracker?.getVariable(root);
+        }
+        for (const key of path) {
+          variable = variable?.[key];
+        }
+
+        if (variable === undefined) {
+          throw new Error(`unknown placeholder {${name}${arg === null ? '' : `:${arg}`}}`);
+        }
+        return typeof variable === 'object' ? JSON.stringify(variable) : variable;
+      }
+    }
+  }
+
+  /**
+   * Apply formatting filter
+   */
+  applyFilter(name, arg, value) {
+    switch (name) {
+      case 'date':
+        return this.formatDate(value, arg || 'YYYY-MM-DD');
+
+      case 'pad': {
+        const width = parseInt(arg, 10);
+        if (!Number.isFinite(width)) {
+          throw new Error('pad needs a width, e.g. |pad:4');
+        }
+        return String(value).padStart(width, '0');
+      }
+
+      case 'fixed':
+        return Number(value).toFixed(arg ? parseInt(arg, 10) : 0);
+
+      case 'upper':
+        return String(value).toUpperCase();
+
+      case 'lower':
+        return String(value).toLowerCase();
+
+      case 'trim':
+        return String(value).trim();
+
+      default:
+        throw new Error(`unknown filter "${name}"`);
+    }
+  }
+
+  /**
+   * Format timestamp or date string with YYYY YY MM DD HH mm ss SSS tokens, or "iso"
+   */
+  formatDate(value, format) {
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`cannot format "${value}" as a date`);
+    }
+
+    if (format === 'iso') {
+      return date.toISOString();
+    }
+
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const tokens = {
+      YYYY: date.getFullYear(),
+      YY: pad(date.getFullYear() % 100),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds()),
+      SSS: pad(date.getMilliseconds(), 3)
+    };
+
+    return format.replace(this.DATE_TOKEN_PATTERN, token => tokens[token]);
+  }
+
+  /**
+   * Split "name:arg" at the first colon; arg is null when absent
+   */
+  splitArgument(part) {
+    const index = part.indexOf(':');
+    return index === -1
+      ? [part, null]
+      : [part.slice(0, index).trim(), part.slice(index + 1)];
+  }
+}
@@ -5,6 +5,11 @@ class AutomationPopup {
     this.websiteConfig = null;
     this.sessionStatus = null;
     this.updateInterval = null;
+    this.editingScheduleId = null;
+    this.galleryScreenshots = [];
+    this.galleryImages = new Map();
+    this.galleryObserver = null;
+    this.datasetSessions = [];
     
     this.init();
   }
@@ -25,6 +30,22 @@ class AutomationPopup {
     // Load session status
     await this.loadSessionStatus();
     
+    // Load scheduled runs
+    await this.loadSchedules();
+    
+    // Load run queue
+    await this.loadRunQueue();
+    
+    // Load test suites
+    await this.loadSuites();
+    
+    // Load screenshot gallery and visual baselines
+    await this.loadScreenshotSessions();
+    await this.loadBaselines();
+    
+    // Load extracted datasets
+    await this.loadDatasetSessions();
+    
     // Start periodic updates
     this.startPeriodicUpdates();
     
@@ -61,9 +82,40 @@ class AutomationPopup {
       document.getElementById(settingId)?.addEventListener('change', (e) => this.handleSettingChange(settingId, e.target.checked));
     });
     
+    // Schedules
+    document.getElementById('saveScheduleBtn')?.addEventListener('click', () => this.handleSaveSchedule());
+    document.getElementById('cancelScheduleBtn')?.addEventListener('click', () => this.resetScheduleForm());
+    document.getElementById('scheduleRuleType')?.addEventListener('change', (e) => this.updateScheduleRuleInputs(e.target.value));
+    
+    // Run queue
+    document.getElementById('enqueueRunBtn')?.addEventListener('click', () => this.handleEnqueueRun());
+    document.getElementById('clearFinishedRunsBtn')?.addEventListener('click', () => this.clearFinishedRuns());
+    
+    // Test suites
+    document.getElementById('saveSuiteBtn')?.addEventListener('click', () => this.handleSaveSuite());
+    
+    // Screenshot gallery
+    document.getElementById('screenshotSessionSelect')?.addEventListener('change', (e) => this.loadScreenshots(e.target.value));
+    document.getElementById('downloadAllScreenshotsBtn')?.addEventListener('click', () => this.downloadAllScreenshots());
+    
+    // Extracted datasets
+    document.getElementById('datasetSessionSelect')?.addEventListener('change', (e) => this.renderDatasets(e.target.value));
+    
     // Footer links
     document.getElementById('optionsLink')?.addEventListener('click', () => this.openOptionsPage());
     document.getElementById('helpLink')?.addEventListener('click', () => this.openHelpPage());
+    
+    // Session state pushed from background
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'SESSION_STATE_CHANGED' && message.data.tabId === this.currentTab?.id) {
+        this.loadSessionStatus();
+      }
+      
+      if (message.type === 'RUN_QUEUE_UPDATED') {
+        this.renderRunQueue(message.data.items);
+        this.loadSuiteRuns();
+      }
+    });
   }
 
   /**
@@ -126,7 +178,6 @@ class AutomationPopup {
       } else {
         this.showNoWebsiteDetected();
       }
-      
     } catch (error) {
       console.error('Failed to load website config:', error);
       this.showNoWebsiteDetected();
@@ -167,8 +218,8 @@ class AutomationPopup {
       option.textContent = `${this.getScenarioIcon(scenario)} ${scenario.name}`;
       
       // Add duration info if available
-      if (scenario.goals?.session_duration) {
-        const duration = scenario.goals.session_duration;
+      if (scenario.goals?.sessionDuration) {
+        const duration = scenario.goals.sessionDuration;
         option.textContent += ` (${duration.min}-${duration.max} ${duration.unit})`;
       }
       
@@ -223,14 +274,14 @@ class AutomationPopup {
     goalsList.innerHTML = '';
     
     // Session duration
-    if (scenario.goals.session_duration) {
-      const duration = scenario.goals.session_duration;
+    if (scenario.goals.sessionDuration) {
+      const duration = scenario.goals.sessionDuration;
       this.addGoalItem(goalsList, '⏱️', 'Duration', `${duration.min}-${duration.max} ${duration.unit}`);
     }
     
     // Required metrics
-    if (scenario.goals.required_metrics) {
-      Object.entries(scenario.goals.required_metrics).forEach(([metric, value]) => {
+    if (scenario.goals.requiredMetrics) {
+      this.getMetricEntries(scenario.goals.requiredMetrics).forEach(([metric, value]) => {
         const icon = this.getMetricIcon(metric);
         const label = this.formatMetricLabel(metric);
         this.addGoalItem(goalsList, icon, label, value.toString());
@@ -238,8 +289,8 @@ class AutomationPopup {
     }
     
     // Optional metrics
-    if (scenario.goals.optional_metrics) {
-      Object.entries(scenario.goals.optional_metrics).forEach(([metric, value]) => {
+    if (scenario.goals.optionalMetrics) {
+      this.getMetricEntries(scenario.goals.optionalMetrics).forEach(([metric, value]) => {
         const icon = this.getMetricIcon(metric);
         const label = this.formatMetricLabel(metric) + ' (Optional)';
         this.addGoalItem(goalsList, icon, label, value.toString());
@@ -247,6 +298,13 @@ class AutomationPopup {
     }
   }
 
+  /**
+   * Get metric entries without config comments
+   */
+  getMetricEntries(metrics) {
+    return Object.entries(metrics).filter(([metric]) => !metric.startsWith('_'));
+  }
+
   /**
    * Add goal item to goals list
    */
@@ -295,8 +353,8 @@ class AutomationPopup {
       const response = await chrome.runtime.sendMessage({
         type: 'START_AUTOMATION',
         data: {
-          scenarioId,
-          websiteConfig: this.websiteConfig
+          domain: this.websiteConfig.website.domain,
+          scenarioId
         }
       });
       
@@ -313,11 +371,9 @@ class AutomationPopup {
         if (monitorTab) {
           monitorTab.click();
         }
-        
       } else {
         throw new Error(response.error || 'Failed to start automation');
       }
-      
     } catch (error) {
       console.error('Failed to start automation:', error);
       this.showNotification(`Failed to start: ${error.message}`, 'error');
@@ -353,11 +409,9 @@ class AutomationPopup {
         // Update UI to idle state
         this.updateStatus('Idle', 'idle');
         this.showIdleControls();
-        
       } else {
         throw new Error(response.error || 'Failed to stop automation');
       }
-      
     } catch (error) {
       console.error('Failed to stop automation:', error);
       this.showNotification(`Failed to stop: ${error.message}`, 'error');
@@ -390,11 +444,9 @@ class AutomationPopup {
         this.updateStatus(isPaused ? 'Running' : 'Paused', newStatus);
         
         this.showNotification(`Automation ${isPaused ? 'resumed' : 'paused'}`, 'info');
-        
       } else {
         throw new Error(response.error || `Failed to ${actionText.toLowerCase()}`);
       }
-      
     } catch (error) {
       console.error('Failed to pause/resume automation:', error);
       this.showNotification(`Failed to pause/resume: ${error.message}`, 'error');
@@ -423,13 +475,975 @@ class AutomationPopup {
       } else {
         throw new Error(response.error || 'Failed to update setting');
       }
-      
     } catch (error) {
       console.error('Failed to update setting:', error);
       this.showNotification(`Failed to update setting: ${error.message}`, 'error');
     }
   }
 
+  /**
+   * Load scheduled runs
+   */
+  async loadSchedules() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SCHEDULES'
+      });
+      
+      if (response.success) {
+        this.renderSchedules(response.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+    }
+  }
+
+  /**
+   * Render schedules list
+   */
+  renderSchedules(schedules) {
+    const schedulesList = document.getElementById('schedulesList');
+    if (!schedulesList) return;
+    
+    schedulesList.innerHTML = '';
+    
+    if (schedules.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'schedule-empty';
+      empty.textContent = 'No scheduled runs';
+      schedulesList.appendChild(empty);
+      return;
+    }
+    
+    schedules.forEach(schedule => {
+      schedulesList.appendChild(this.createScheduleItem(schedule));
+    });
+  }
+
+  /**
+   * Create schedule list item
+   */
+  createScheduleItem(schedule) {
+    const item = document.createElement('div');
+    item.className = `schedule-item ${schedule.enabled ? '' : 'disabled'}`;
+    
+    const runs = schedule.runs || [];
+    const lastRun = runs[runs.length - 1];
+    const missed = runs.filter(run => run.outcome === 'missed').length;
+    const failed = runs.filter(run => ['failed', 'timed_out'].includes(run.outcome)).length;
+    
+    const title = document.createElement('div');
+    title.className = 'schedule-title';
+    title.textContent = `${schedule.domain} / ${schedule.scenarioId}`;
+    
+    const details = document.createElement('div');
+    details.className = 'schedule-details';
+    details.textContent = [
+      this.formatScheduleRule(schedule.rule),
+      `Next: ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '-'}`,
+      `Last: ${lastRun ? this.formatStatusText(lastRun.outcome) : '-'}`,
+      missed > 0 ? `${missed} missed` : null,
+      failed > 0 ? `${failed} failed` : null
+    ].filter(Boolean).join(' · ');
+    
+    const actions = document.createElement('div');
+    actions.className = 'schedule-actions';
+    
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = schedule.enabled;
+    toggle.title = 'Enabled';
+    toggle.addEventListener('change', () => this.saveSchedule({ id: schedule.id, enabled: toggle.checked }));
+    
+    actions.append(
+      toggle,
+      this.createSmallButton('Edit', () => this.editSchedule(schedule)),
+      this.createSmallButton('Run now', () => this.runScheduleNow(schedule.id)),
+      this.createSmallButton('Delete', () => this.deleteSchedule(schedule.id))
+    );
+    
+    item.append(title, details, actions);
+    return item;
+  }
+
+  /**
+   * Create small action button for list items
+   */
+  createSmallButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Format schedule rule for display
+   */
+  formatScheduleRule(rule) {
+    if (rule?.type === 'once') {
+      return `Once at ${new Date(rule.at).toLocaleString()}`;
+    }
+    if (rule?.type === 'cron') {
+      return `Cron "${rule.expression}"`;
+    }
+    return 'Unknown rule';
+  }
+
+  /**
+   * Show inputs for selected rule type
+   */
+  updateScheduleRuleInputs(ruleType) {
+    document.getElementById('scheduleCron')?.classList.toggle('hidden', ruleType !== 'cron');
+    document.getElementById('scheduleAt')?.classList.toggle('hidden', ruleType !== 'once');
+  }
+
+  /**
+   * Fill schedule form for editing
+   */
+  editSchedule(schedule) {
+    this.editingScheduleId = schedule.id;
+    
+    const ruleType = document.getElementById('scheduleRuleType');
+    const cronInput = document.getElementById('scheduleCron');
+    const atInput = document.getElementById('scheduleAt');
+    const urlInput = document.getElementById('scheduleUrl');
+    const scenarioSelector = document.getElementById('scheduleScenario') || document.getElementById('scenarioSelector');
+    
+    if (ruleType) ruleType.value = schedule.rule.type;
+    if (cronInput) cronInput.value = schedule.rule.expression || '';
+    if (atInput && schedule.rule.at) {
+      // datetime-local expects local time without timezone
+      const at = new Date(schedule.rule.at);
+      atInput.value = new Date(at.getTime() - at.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+    if (urlInput) urlInput.value = schedule.url || '';
+    if (scenarioSelector) scenarioSelector.value = schedule.scenarioId;
+    
+    this.updateScheduleRuleInputs(schedule.rule.type);
+  }
+
+  /**
+   * Reset schedule form
+   */
+  resetScheduleForm() {
+    this.editingScheduleId = null;
+    document.getElementById('scheduleForm')?.reset();
+    this.updateScheduleRuleInputs(document.getElementById('scheduleRuleType')?.value || 'cron');
+  }
+
+  /**
+   * Handle schedule form submit
+   */
+  async handleSaveSchedule() {
+    const scenarioSelector = document.getElementById('scheduleScenario') || document.getElementById('scenarioSelector');
+    const ruleType = document.getElementById('scheduleRuleType')?.value || 'cron';
+    const scenarioId = scenarioSelector?.value;
+    
+    if (!scenarioId || !this.websiteConfig) {
+      this.showNotification('Please select a scenario first', 'warning');
+      return;
+    }
+    
+    const rule = ruleType === 'once'
+      ? { type: 'once', at: new Date(document.getElementById('scheduleAt')?.value).getTime() }
+      : { type: 'cron', expression: document.getElementById('scheduleCron')?.value.trim() };
+    
+    const saved = await this.saveSchedule({
+      id: this.editingScheduleId || undefined,
+      domain: this.websiteConfig.website.domain,
+      scenarioId,
+      url: document.getElementById('scheduleUrl')?.value.trim() || this.currentTab?.url,
+      rule
+    });
+    
+    if (saved) {
+      this.resetScheduleForm();
+    }
+  }
+
+  /**
+   * Create or update schedule
+   */
+  async saveSchedule(scheduleData) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_SCHEDULE',
+        data: scheduleData
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save schedule');
+      }
+      
+      this.showNotification('Schedule saved', 'success');
+      await this.loadSchedules();
+      return true;
+    } catch (error) {
+      console.error('Failed to save schedule:', error);
+      this.showNotification(error.message, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Delete schedule
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DELETE_SCHEDULE',
+        data: { scheduleId }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to delete schedule');
+      }
+      
+      await this.loadSchedules();
+    } catch (error) {
+      console.error('Failed to delete schedule:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Trigger schedule immediately
+   */
+  async runScheduleNow(scheduleId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'RUN_SCHEDULE_NOW',
+        data: { scheduleId }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to run schedule');
+      }
+      
+      this.showNotification('Scheduled run started', 'info');
+      await this.loadSchedules();
+    } catch (error) {
+      console.error('Failed to run schedule:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Load run queue
+   */
+  async loadRunQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_RUN_QUEUE'
+      });
+      
+      if (response.success) {
+        this.renderRunQueue(response.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to load run queue:', error);
+    }
+  }
+
+  /**
+   * Render run queue grouped by state
+   */
+  renderRunQueue(items) {
+    const queueList = document.getElementById('runQueueList');
+    if (!queueList) return;
+    
+    queueList.innerHTML = '';
+    
+    const groups = [
+      { label: 'Running', items: items.filter(item => item.status === 'running') },
+      { label: 'Queued', items: items.filter(item => item.status === 'queued') },
+      { label: 'Finished', items: items.filter(item => !['queued', 'running'].includes(item.status)) }
+    ];
+    
+    groups.forEach(group => {
+      const header = document.createElement('div');
+      header.className = 'queue-group-header';
+      header.textContent = `${group.label} (${group.items.length})`;
+      queueList.appendChild(header);
+      
+      group.items.forEach(item => queueList.appendChild(this.createRunQueueItem(item)));
+    });
+  }
+
+  /**
+   * Create run queue list item
+   */
+  createRunQueueItem(item) {
+    const element = document.createElement('div');
+    element.className = `queue-item ${item.status}`;
+    
+    const title = document.createElement('div');
+    title.className = 'queue-title';
+    title.textContent = `${item.domain} / ${item.scenarioId}`;
+    
+    const details = document.createElement('div');
+    details.className = 'queue-details';
+    details.textContent = [
+      this.formatStatusText(item.status),
+      item.status === 'queued' ? `Priority ${item.priority}` : null,
+      item.trigger?.type === 'schedule' ? 'Scheduled' : null,
+      item.startedAt && item.finishedAt ? this.formatDuration(item.finishedAt - item.startedAt) : null,
+      item.error && item.status !== 'cancelled' ? item.error : null
+    ].filter(Boolean).join(' · ');
+    
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    
+    if (item.status === 'queued') {
+      actions.append(
+        this.createSmallButton('▲', () => this.reprioritizeRun(item.id, item.priority + 1)),
+        this.createSmallButton('▼', () => this.reprioritizeRun(item.id, item.priority - 1))
+      );
+    }
+    
+    if (['queued', 'running'].includes(item.status)) {
+      actions.append(this.createSmallButton('Cancel', () => this.cancelRun(item.id)));
+    }
+    
+    element.append(title, details, actions);
+    return element;
+  }
+
+  /**
+   * Add selected scenario to run queue
+   */
+  async handleEnqueueRun() {
+    const scenarioId = document.getElementById('scenarioSelector')?.value;
+    
+    if (!scenarioId || !this.websiteConfig) {
+      this.showNotification('Please select a scenario first', 'warning');
+      return;
+    }
+    
+    await this.sendRunQueueMessage('ENQUEUE_RUN', {
+      domain: this.websiteConfig.website.domain,
+      scenarioId,
+      url: this.currentTab?.url,
+      priority: Number(document.getElementById('queuePriority')?.value) || 0
+    }, 'Run added to queue');
+  }
+
+  /**
+   * Cancel queued or running run
+   */
+  async cancelRun(itemId) {
+    await this.sendRunQueueMessage('CANCEL_RUN', { itemId }, 'Run cancelled');
+  }
+
+  /**
+   * Change priority of queued run
+   */
+  async reprioritizeRun(itemId, priority) {
+    await this.sendRunQueueMessage('REPRIORITIZE_RUN', { itemId, priority });
+  }
+
+  /**
+   * Remove finished runs from queue
+   */
+  async clearFinishedRuns() {
+    await this.sendRunQueueMessage('CLEAR_FINISHED_RUNS', {});
+  }
+
+  /**
+   * Send run queue command and refresh list
+   */
+  async sendRunQueueMessage(type, data, successMessage = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, data });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Run queue request failed');
+      }
+      
+      if (successMessage) {
+        this.showNotification(successMessage, 'success');
+      }
+      await this.loadRunQueue();
+    } catch (error) {
+      console.error(`${type} failed:`, error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Load test suites and their runs
+   */
+  async loadSuites() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SUITES'
+      });
+      
+      if (response.success) {
+        this.renderSuites(response.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to load suites:', error);
+    }
+    
+    await this.loadSuiteRuns();
+  }
+
+  /**
+   * Load suite runs
+   */
+  async loadSuiteRuns() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SUITE_RUNS'
+      });
+      
+      if (response.success) {
+        this.renderSuiteRuns(response.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to load suite runs:', error);
+    }
+  }
+
+  /**
+   * Render suite definitions
+   */
+  renderSuites(suites) {
+    const suitesList = document.getElementById('suitesList');
+    if (!suitesList) return;
+    
+    suitesList.innerHTML = '';
+    
+    suites.forEach(suite => {
+      const item = document.createElement('div');
+      item.className = 'suite-item';
+      
+      const title = document.createElement('div');
+      title.className = 'suite-title';
+      title.textContent = `${suite.name} (${suite.scenarios.length} scenarios)`;
+      
+      const actions = document.createElement('div');
+      actions.className = 'suite-actions';
+      actions.append(
+        this.createSmallButton('Run', () => this.sendSuiteMessage('RUN_SUITE', { suiteId: suite.id }, 'Suite started')),
+        this.createSmallButton('Delete', () => this.sendSuiteMessage('DELETE_SUITE', { suiteId: suite.id }))
+      );
+      
+      item.append(title, actions);
+      suitesList.appendChild(item);
+    });
+  }
+
+  /**
+   * Render suite runs with pass/fail summary and report exports
+   */
+  renderSuiteRuns(suiteRuns) {
+    const runsList = document.getElementById('suiteRunsList');
+    if (!runsList) return;
+    
+    runsList.innerHTML = '';
+    
+    suiteRuns.forEach(suiteRun => {
+      const item = document.createElement('div');
+      item.className = `suite-run-item ${suiteRun.status}`;
+      
+      const finished = suiteRun.results.filter(result => ['passed', 'failed', 'skipped'].includes(result.outcome));
+      const passed = suiteRun.results.filter(result => result.outcome === 'passed').length;
+      
+      const title = document.createElement('div');
+      title.className = 'suite-title';
+      title.textContent = `${suiteRun.suiteName} · ${new Date(suiteRun.startedAt).toLocaleString()}`;
+      
+      const details = document.createElement('div');
+      details.className = 'suite-details';
+      details.textContent = [
+        this.formatStatusText(suiteRun.status),
+        `${passed}/${suiteRun.results.length} passed`,
+        suiteRun.status === 'running' ? `${finished.length} finished` : null
+      ].filter(Boolean).join(' · ');
+      
+      const actions = document.createElement('div');
+      actions.className = 'suite-actions';
+      
+      if (suiteRun.status === 'running') {
+        actions.append(this.createSmallButton('Cancel', () =>
+          this.sendSuiteMessage('CANCEL_SUITE_RUN', { suiteRunId: suiteRun.id })
+        ));
+      } else {
+        actions.append(
+          this.createSmallButton('JUnit', () => this.exportSuiteReport(suiteRun.id, 'junit')),
+          this.createSmallButton('JSON', () => this.exportSuiteReport(suiteRun.id, 'json'))
+        );
+      }
+      
+      item.append(title, details, actions);
+      runsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Save suite definition pasted as JSON
+   */
+  async handleSaveSuite() {
+    const input = document.getElementById('suiteJson');
+    if (!input?.value.trim()) return;
+    
+    let suite;
+    try {
+      suite = JSON.parse(input.value);
+    } catch (error) {
+      this.showNotification(`Invalid suite JSON: ${error.message}`, 'error');
+      return;
+    }
+    
+    if (await this.sendSuiteMessage('SAVE_SUITE', suite, 'Suite saved')) {
+      input.value = '';
+    }
+  }
+
+  /**
+   * Download suite report in JUnit XML or JSON format
+   */
+  async exportSuiteReport(suiteRunId, format) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EXPORT_SUITE_REPORT',
+        data: { suiteRunId, format }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to export report');
+      }
+      
+      this.downloadFile(response.data.content, response.data.filename, response.data.mimeType);
+    } catch (error) {
+      console.error('Failed to export suite report:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Send test suite command and refresh lists
+   */
+  async sendSuiteMessage(type, data, successMessage = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, data });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Suite request failed');
+      }
+      
+      if (successMessage) {
+        this.showNotification(successMessage, 'success');
+      }
+      await this.loadSuites();
+      return true;
+    } catch (error) {
+      console.error(`${type} failed:`, error);
+      this.showNotification(error.message, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Load sessions that have screenshots into gallery selector
+   */
+  async loadScreenshotSessions() {
+    const selector = document.getElementById('screenshotSessionSelect');
+    if (!selector) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SCREENSHOT_SESSIONS'
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      
+      selector.innerHTML = '<option value="">Select session...</option>';
+      response.data.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.sessionId;
+        option.textContent = `${session.sessionId} (${session.count}) · ${new Date(session.latest).toLocaleString()}`;
+        selector.appendChild(option);
+      });
+      
+      // Default to the session running in this tab
+      const currentSessionId = this.sessionStatus?.id;
+      if (currentSessionId && response.data.some(session => session.sessionId === currentSessionId)) {
+        selector.value = currentSessionId;
+        await this.loadScreenshots(currentSessionId);
+      }
+    } catch (error) {
+      console.error('Failed to load screenshot sessions:', error);
+    }
+  }
+
+  /**
+   * Load screenshots of a session into gallery
+   */
+  async loadScreenshots(sessionId) {
+    this.galleryScreenshots = [];
+    this.galleryImages.clear();
+    
+    if (sessionId) {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'GET_SCREENSHOTS',
+          data: { sessionId }
+        });
+        
+        if (response.success) {
+          this.galleryScreenshots = response.data;
+        }
+      } catch (error) {
+        console.error('Failed to load screenshots:', error);
+      }
+    }
+    
+    this.renderScreenshotGallery();
+  }
+
+  /**
+   * Render screenshot items with metadata, images load when scrolled into view
+   */
+  renderScreenshotGallery() {
+    const gallery = document.getElementById('screenshotGallery');
+    if (!gallery) return;
+    
+    gallery.innerHTML = '';
+    
+    this.galleryObserver?.disconnect();
+    this.galleryObserver = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        this.galleryObserver.unobserve(entry.target);
+        this.showScreenshotImage(entry.target);
+      });
+    }, { root: gallery.closest('.tab-content') });
+    
+    this.galleryScreenshots.forEach(screenshot => {
+      const item = document.createElement('div');
+      item.className = `screenshot-item ${screenshot.reason}`;
+      
+      const image = document.createElement('img');
+      image.alt = screenshot.filename;
+      image.dataset.screenshotId = screenshot.id;
+      image.addEventListener('click', () => this.downloadScreenshot(screenshot));
+      this.galleryObserver.observe(image);
+      
+      const caption = document.createElement('div');
+      caption.className = 'screenshot-caption';
+      caption.textContent = [
+        screenshot.filename,
+        screenshot.step?.action,
+        screenshot.step?.name,
+        screenshot.reason === 'error' ? 'Error' : null,
+        this.formatVisualCheck(screenshot.visualCheck),
+        new Date(screenshot.createdAt).toLocaleTimeString()
+      ].filter(Boolean).join(' · ');
+      
+      const actions = document.createElement('div');
+      actions.className = 'screenshot-actions';
+      actions.append(
+        this.createSmallButton('Download', () => this.downloadScreenshot(screenshot)),
+        this.createSmallButton('Delete', () => this.deleteScreenshot(screenshot.id))
+      );
+      
+      if (screenshot.visualCheck && !screenshot.visualCheck.passed && !screenshot.visualCheck.accepted) {
+        actions.append(this.createSmallButton('Accept baseline', () => this.acceptBaseline(screenshot.id)));
+      }
+      
+      item.append(image, caption, actions);
+      gallery.appendChild(item);
+    });
+  }
+
+  /**
+   * Fetch image data of a screenshot, cached for the selected session
+   */
+  async getScreenshotImage(screenshotId) {
+    if (!this.galleryImages.has(screenshotId)) {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SCREENSHOT',
+        data: { screenshotId }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load screenshot');
+      }
+      
+      this.galleryImages.set(screenshotId, response.data.dataUrl);
+    }
+    
+    return this.galleryImages.get(screenshotId);
+  }
+
+  /**
+   * Load image of gallery item once it becomes visible
+   */
+  async showScreenshotImage(image) {
+    try {
+      image.src = await this.getScreenshotImage(image.dataset.screenshotId);
+    } catch (error) {
+      console.error('Failed to load screenshot image:', error);
+    }
+  }
+
+  /**
+   * Download full-size screenshot
+   */
+  async downloadScreenshot(screenshot) {
+    try {
+      this.downloadUrl(await this.getScreenshotImage(screenshot.id), screenshot.filename);
+    } catch (error) {
+      console.error('Failed to download screenshot:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Short visual check result for gallery caption
+   */
+  formatVisualCheck(visualCheck) {
+    if (!visualCheck) return null;
+    
+    if (visualCheck.baselineCreated) return `Baseline "${visualCheck.baseline}" created`;
+    if (visualCheck.accepted) return `Accepted as "${visualCheck.baseline}"`;
+    
+    const result = visualCheck.passed ? 'matches' : 'differs from';
+    return `${result} "${visualCheck.baseline}" (${visualCheck.message})`;
+  }
+
+  /**
+   * Replace baseline with visual check screenshot
+   */
+  async acceptBaseline(screenshotId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ACCEPT_BASELINE',
+        data: { screenshotId }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to accept baseline');
+      }
+      
+      this.showNotification('New baseline accepted', 'success');
+      await this.loadScreenshots(document.getElementById('screenshotSessionSelect')?.value);
+      await this.loadBaselines();
+    } catch (error) {
+      console.error('Failed to accept baseline:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Load visual baselines for current website
+   */
+  async loadBaselines() {
+    const baselinesList = document.getElementById('baselinesList');
+    if (!baselinesList) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_BASELINES',
+        data: { domain: this.websiteConfig?.website?.domain || null }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      
+      baselinesList.innerHTML = '';
+      response.data.forEach(baseline => {
+        const item = document.createElement('div');
+        item.className = 'baseline-item';
+        
+        const title = document.createElement('div');
+        title.className = 'baseline-title';
+        title.textContent = `${baseline.name} · ${baseline.domain} · ${new Date(baseline.updatedAt).toLocaleString()}`;
+        
+        item.append(title, this.createSmallButton('Delete', () => this.deleteBaseline(baseline.domain, baseline.name)));
+        baselinesList.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load baselines:', error);
+    }
+  }
+
+  /**
+   * Delete visual baseline
+   */
+  async deleteBaseline(domain, name) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DELETE_BASELINE',
+        data: { domain, name }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to delete baseline');
+      }
+      
+      await this.loadBaselines();
+    } catch (error) {
+      console.error('Failed to delete baseline:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Load sessions that have extracted datasets into selector
+   */
+  async loadDatasetSessions() {
+    const selector = document.getElementById('datasetSessionSelect');
+    if (!selector) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_DATASET_SESSIONS'
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      
+      this.datasetSessions = response.data;
+      
+      selector.innerHTML = '<option value="">Select session...</option>';
+      this.datasetSessions.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.sessionId;
+        option.textContent = `${session.scenarioName || session.domain} · ${new Date(session.createdAt).toLocaleString()}`;
+        selector.appendChild(option);
+      });
+      
+      // Default to the session running in this tab
+      const currentSessionId = this.sessionStatus?.id;
+      if (currentSessionId && this.datasetSessions.some(session => session.sessionId === currentSessionId)) {
+        selector.value = currentSessionId;
+      }
+      
+      this.renderDatasets(selector.value);
+    } catch (error) {
+      console.error('Failed to load dataset sessions:', error);
+    }
+  }
+
+  /**
+   * Render datasets of a session with export buttons
+   */
+  renderDatasets(sessionId) {
+    const datasetsList = document.getElementById('datasetsList');
+    if (!datasetsList) return;
+    
+    datasetsList.innerHTML = '';
+    
+    const session = this.datasetSessions.find(item => item.sessionId === sessionId);
+    if (!session) return;
+    
+    Object.entries(session.datasets).forEach(([dataset, count]) => {
+      const item = document.createElement('div');
+      item.className = 'dataset-item';
+      
+      const title = document.createElement('div');
+      title.className = 'dataset-title';
+      title.textContent = `${dataset} (${count} rows)`;
+      
+      item.append(
+        title,
+        this.createSmallButton('CSV', () => this.exportDataset(sessionId, dataset, 'csv')),
+        this.createSmallButton('JSON', () => this.exportDataset(sessionId, dataset, 'json'))
+      );
+      datasetsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Download dataset in CSV or JSON format
+   */
+  async exportDataset(sessionId, dataset, format) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EXPORT_DATASET',
+        data: { sessionId, dataset, format }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to export dataset');
+      }
+      
+      this.downloadFile(response.data.content, response.data.filename, response.data.mimeType);
+    } catch (error) {
+      console.error('Failed to export dataset:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Download every screenshot of the selected session
+   */
+  async downloadAllScreenshots() {
+    if (this.galleryScreenshots.length === 0) {
+      this.showNotification('No screenshots to download', 'warning');
+      return;
+    }
+    
+    // One at a time, dropping images that were only fetched for the download
+    for (const screenshot of this.galleryScreenshots) {
+      const cached = this.galleryImages.has(screenshot.id);
+      await this.downloadScreenshot(screenshot);
+      if (!cached) {
+        this.galleryImages.delete(screenshot.id);
+      }
+    }
+  }
+
+  /**
+   * Delete screenshot from gallery
+   */
+  async deleteScreenshot(screenshotId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DELETE_SCREENSHOT',
+        data: { screenshotId }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to delete screenshot');
+      }
+      
+      this.galleryScreenshots = this.galleryScreenshots.filter(screenshot => screenshot.id !== screenshotId);
+      this.galleryImages.delete(screenshotId);
+      this.renderScreenshotGallery();
+    } catch (error) {
+      console.error('Failed to delete screenshot:', error);
+      this.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * Trigger browser download for text content
+   */
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    this.downloadUrl(url, filename);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Trigger browser download for URL (object or data URL)
+   */
+  downloadUrl(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+  }
+
   /**
    * Load current session status
    */
@@ -448,7 +1462,6 @@ class AutomationPopup {
         this.updateStatus('Idle', 'idle');
         this.showIdleControls();
       }
-      
     } catch (error) {
       console.error('Failed to load session status:', error);
     }
@@ -464,7 +1477,7 @@ class AutomationPopup {
       return;
     }
     
-    const { status, progress, duration } = this.sessionStatus;
+    const { status, progress } = this.sessionStatus;
     
     // Update status badge
     this.updateStatus(this.formatStatusText(status), status);
@@ -560,18 +1573,21 @@ class AutomationPopup {
     
     const isPaused = this.sessionStatus?.status === 'paused';
     
-    pauseBtn.innerHTML = isPaused ? `
+    const resumeIcon = `
       <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
         <path d="M5 3L13 8L5 13V3Z"/>
       </svg>
       Resume
-    ` : `
+    `;
+    const pauseIcon = `
       <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
         <rect x="5" y="4" width="2" height="8"/>
         <rect x="9" y="4" width="2" height="8"/>
       </svg>
       Pause
     `;
+    
+    pauseBtn.innerHTML = isPaused ? resumeIcon : pauseIcon;
   }
 
   /**
@@ -601,10 +1617,11 @@ class AutomationPopup {
         
         switch (index) {
           case 0: // Products Viewed
-            if (progressData.products_viewed !== undefined) {
+            if (progressData.metrics?.products_viewed !== undefined) {
+              const viewed = progressData.metrics.products_viewed;
               const total = progressData.products_viewed_target || 20;
-              percentage = (progressData.products_viewed / total) * 100;
-              valueText = `${progressData.products_viewed} / ${total}`;
+              percentage = (viewed / total) * 100;
+              valueText = `${viewed} / ${total}`;
             }
             break;
             
@@ -771,12 +1788,12 @@ class AutomationPopup {
    */
   getWebsiteTypeIcon(type) {
     const icons = {
-      'ecommerce': '🛒',
-      'social': '💬',
-      'news': '📰',
-      'video': '🎥',
-      'search': '🔍',
-      'other': '🌐'
+      ecommerce: '🛒',
+      social: '💬',
+      news: '📰',
+      video: '🎥',
+      search: '🔍',
+      other: '🌐'
     };
     return icons[type] || icons.other;
   }
@@ -797,12 +1814,12 @@ class AutomationPopup {
    */
   getMetricIcon(metric) {
     const icons = {
-      'products_viewed': '👁️',
-      'pages_visited': '📄',
-      'actions_performed': '🎯',
-      'cart_interactions': '🛒',
-      'engagement_score': '💡',
-      'time_spent': '⏱️'
+      products_viewed: '👁️',
+      pages_visited: '📄',
+      actions_performed: '🎯',
+      cart_interactions: '🛒',
+      engagement_score: '💡',
+      time_spent: '⏱️'
     };
     return icons[metric] || '📊';
   }
@@ -812,12 +1829,12 @@ class AutomationPopup {
    */
   formatMetricLabel(metric) {
     const labels = {
-      'products_viewed': 'Products Viewed',
-      'pages_visited': 'Pages Visited',
-      'actions_performed': 'Actions Performed',
-      'cart_interactions': 'Cart Interactions',
-      'engagement_score': 'Engagement Score',
-      'time_spent': 'Time Spent'
+      products_viewed: 'Products Viewed',
+      pages_visited: 'Pages Visited',
+      actions_performed: 'Actions Performed',
+      cart_interactions: 'Cart Interactions',
+      engagement_score: 'Engagement Score',
+      time_spent: 'Time Spent'
     };
     return labels[metric] || metric.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   }
@@ -827,9 +1844,9 @@ class AutomationPopup {
    */
   formatSettingName(settingName) {
     const names = {
-      'debugMode': 'Debug Mode',
-      'slowMode': 'Slow Mode',
-      'screenshotMode': 'Screenshot Mode'
+      debugMode: 'Debug Mode',
+      slowMode: 'Slow Mode',
+      screenshotMode: 'Screenshot Mode'
     };
     return names[settingName] || settingName;
   }
@@ -839,11 +1856,19 @@ class AutomationPopup {
    */
   formatStatusText(status) {
     const statusTexts = {
-      'idle': 'Idle',
-      'running': 'Running',
-      'paused': 'Paused',
-      'completed': 'Completed',
-      'error': 'Error'
+      idle: 'Idle',
+      created: 'Starting...',
+      running: 'Running',
+      paused: 'Paused',
+      completed: 'Completed',
+      failed: 'Failed',
+      timed_out: 'Timed Out',
+      stopped: 'Stopped',
+      missed: 'Missed',
+      queued: 'Queued',
+      cancelled: 'Cancelled',
+      started: 'Started',
+      error: 'Error'
     };
     return statusTexts[status] || status;
   }
@@ -867,6 +1892,8 @@ class AutomationPopup {
    * Cleanup when popup closes
    */
   destroy() {
+    this.galleryObserver?.disconnect();
+    
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
@@ -884,4 +1911,4 @@ window.addEventListener('beforeunload', () => {
   if (window.automationPopup) {
     window.automationPopup.destroy();
   }
-});
\ No newline at end of file
+});
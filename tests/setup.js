@@ -0,0 +1,78 @@
+/**
+ * Test setup - In-memory stand-in for the chrome.* APIs the modules use
+ *
+ * chrome.storage areas keep data in plain objects that are cleared before
+ * every test; a test can make the next write fail with
+ * chrome.storage.local.failNextSet() to exercise quota errors.
+ */
+const createStorageArea = () => {
+  const data = {};
+  let failNextSet = false;
+
+  // Storage holds JSON-serializable values only
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) {
+      return copy(data);
+    }
+
+    const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    return Object.fromEntries(list
+      .filter(key => key in data)
+      .map(key => [key, copy(data[key])]));
+  };
+
+  return {
+    async get(keys) {
+      return pick(keys);
+    },
+    async set(items) {
+      if (failNextSet) {
+        failNextSet = false;
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(data, copy(items));
+    },
+    async remove(keys) {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+    },
+    async clear() {
+      failNextSet = false;
+      Object.keys(data).forEach(key => delete data[key]);
+    },
+    failNextSet() {
+      failNextSet = true;
+    }
+  };
+};
+
+globalThis.chrome = {
+  storage: {
+    local: createStorageArea(),
+    sync: createStorageArea(),
+    onChanged: { addListener() {} }
+  },
+  alarms: {
+    async create() {},
+    async clear() { return true; },
+    async get() { return null; },
+    async getAll() { return []; },
+    onAlarm: { addListener() {} }
+  },
+  runtime: {
+    async sendMessage() { return { success: true }; },
+    onMessage: { addListener() {} }
+  },
+  tabs: {
+    async get(tabId) { return { id: tabId }; },
+    async sendMessage() { return { success: true }; },
+    onRemoved: { addListener() {} },
+    onUpdated: { addListener() {} }
+  }
+};
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  await chrome.storage.sync.clear();
+});
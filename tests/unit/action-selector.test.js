@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals';
+import { ActionSelector } from '../../content/modules/action-selector.js';
+import { ProgressTracker } from '../../content/modules/progress-tracker.js';
+
+describe('ActionSelector', () => {
+  const actions = [{ name: 'search' }, { name: 'open_product' }, { name: 'scroll' }];
+
+  let selector;
+  let tracker;
+
+  beforeEach(() => {
+    selector = new ActionSelector();
+    tracker = new ProgressTracker();
+    tracker.currentPage = 'home';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pick = (settings) => {
+    const { action } = selector.select(actions, actions, { settings, pageType: 'home', tracker });
+    tracker.recordAction(action.name, 'home');
+    return action.name;
+  };
+
+  test('walks actions in declared order with sequential selection', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.99);
+    const settings = { method: 'sequential' };
+
+    expect([pick(settings), pick(settings), pick(settings), pick(settings)])
+      .toEqual(['search', 'open_product', 'scroll', 'search']);
+  });
+
+  test('treats only weighted_random as random', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(selector.isRandom(undefined)).toBe(true);
+    expect(selector.isRandom({ method: 'weighted_random' })).toBe(true);
+    expect(selector.isRandom({ method: 'unknown' })).toBe(true);
+    expect(selector.isRandom({ method: 'sequential' })).toBe(false);
+    expect(selector.isRandom({ method: 'smart' })).toBe(false);
+  });
+});
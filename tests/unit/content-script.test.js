@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+
+// Answers the content script needs while it initializes
+chrome.runtime.sendMessage = async (message) => {
+  switch (message.type) {
+    case 'GET_SETTINGS':
+      return { success: true, data: {} };
+    case 'CONTENT_SCRIPT_READY':
+      return { success: true, data: null };
+    default:
+      return { success: true };
+  }
+};
+
+const { AutomationContentScript } = await import('../../content/content-script.js');
+
+describe('AutomationContentScript scrape resume', () => {
+  const scrapeStep = { type: 'scrape_list', target: '.item', dataset: 'items', nextPage: '.next', maxPages: 5 };
+  const action = {
+    name: 'collect',
+    targetPage: 'results',
+    impact: { lists_scraped: 1 },
+    microSequence: [scrapeStep, { type: 'set', variable: 'done', value: true }]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // One content script per document; `hasNextPage` false ends the pagination
+  const openDocument = async (state, hasNextPage) => {
+    const script = new AutomationContentScript();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    script.currentSession = 'session_1';
+    script.currentScenario = { pages: {} };
+    script.isRunning = true;
+    await script.progressTracker.initialize({}, state);
+
+    script.logAction = jest.fn().mockResolvedValue();
+    script.scrapePage = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    script.appendDataset = jest.fn(async (dataset, rows) => ({ added: rows.length, duplicates: 0, dropped: 0 }));
+
+    // Following the link unloads the document: save the state it leaves behind
+    script.unloaded = new Promise(resolve => {
+      script.goToNextPage = jest.fn(() => {
+        if (!hasNextPage) return Promise.resolve(false);
+        resolve(JSON.parse(JSON.stringify(script.progressTracker.getState())));
+        return new Promise(() => {});
+      });
+    });
+
+    return script;
+  };
+
+  test('keeps the enclosing action across three documents', async () => {
+    const first = await openDocument(null, true);
+    first.executeSelectedAction(action);
+    const firstState = await first.unloaded;
+
+    const second = await openDocument(firstState, true);
+    second.resumeScrape(second.progressTracker.takeScrapeCursor());
+    const secondState = await second.unloaded;
+
+    expect(secondState.scrapeCursor).toEqual(expect.objectContaining({
+      action: expect.objectContaining({ name: 'collect', impact: { lists_scraped: 1 } }),
+      remainingSteps: [action.microSequence[1]],
+      totals: expect.objectContaining({ pages: 2, rows: 4 })
+    }));
+    expect(secondState.pendingAction).toEqual(expect.objectContaining({ name: 'collect' }));
+
+    const third = await openDocument(secondState, false);
+    await third.resumeScrape(third.progressTracker.takeScrapeCursor());
+
+    expect(third.progressTracker.getVariable('done')).toBe(true);
+    expect(third.progressTracker.getMetric('lists_scraped')).toBe(1);
+    expect(third.progressTracker.takePendingAction()).toBeNull();
+    expect(third.logAction).toHaveBeenCalledWith('data_scraped', expect.objectContaining({
+      action: 'collect',
+      pages: 3,
+      rows: 6,
+      stopReason: 'no_next_page'
+    }));
+    expect(third.logAction).toHaveBeenCalledWith('action_completed', expect.objectContaining({
+      action: 'collect',
+      afterNavigation: true
+    }));
+  });
+});
+
+describe('AutomationContentScript action selection', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evaluates action conditions once per selection', async () => {
+    const script = new AutomationContentScript();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await script.progressTracker.initialize({}, null);
+
+    script.currentScenario = { pages: {} };
+    script.currentPage = { type: 'home' };
+    script.logAction = jest.fn().mockResolvedValue();
+    script.reportProgress = jest.fn().mockResolvedValue();
+    script.conditionEvaluator.evaluate = jest.fn(async (conditions) => conditions.ready);
+
+    const action = { name: 'browse', probability: 1, conditions: { ready: true }, microSequence: [] };
+    const selected = await script.selectAction([action, { ...action, name: 'skip', conditions: { ready: false } }]);
+    await script.executeSelectedAction(selected);
+
+    expect(selected).toBe(action);
+    expect(script.conditionEvaluator.evaluate).toHaveBeenCalledTimes(2);
+    expect(script.logAction).toHaveBeenCalledWith('action_completed', expect.objectContaining({ action: 'browse' }));
+  });
+});
@@ -0,0 +1,53 @@
+import { CronParser } from '../../background/modules/cron-parser.js';
+
+describe('CronParser', () => {
+  const parser = new CronParser();
+  const at = (text) => new Date(text).getTime();
+
+  test('expands lists, ranges and steps', () => {
+    const cron = parser.parse('*/15 9-11 1,15 * 1-5');
+
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 10, 11]);
+    expect([...cron.day]).toEqual([1, 15]);
+    expect([...cron.weekday]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats weekday 7 as Sunday and accepts shortcuts', () => {
+    expect([...parser.parse('0 0 * * 7').weekday]).toEqual([0]);
+    expect(parser.parse('@daily').hour).toEqual(new Set([0]));
+  });
+
+  test.each([
+    ['', 'empty'],
+    ['* * * *', 'expected 5 fields, got 4'],
+    ['60 * * * *', 'Invalid cron minute value: 60'],
+    ['*/0 * * * *', 'Invalid cron minute step: */0'],
+    ['5-1 * * * *', 'Invalid cron minute value: 5-1']
+  ])('rejects %p', (expression, message) => {
+    expect(() => parser.parse(expression)).toThrow(message);
+    expect(parser.isValid(expression)).toBe(false);
+  });
+
+  test('finds the next run strictly after the given time', () => {
+    expect(parser.getNextRun('30 9 * * *', at('2026-10-19T09:30:00'))).toBe(at('2026-10-20T09:30:00'));
+    expect(parser.getNextRun('30 9 * * *', at('2026-10-19T09:29:59'))).toBe(at('2026-10-19T09:30:00'));
+  });
+
+  test('rolls over months and years', () => {
+    expect(parser.getNextRun('0 0 1 1 *', at('2026-10-19T12:00:00'))).toBe(at('2027-01-01T00:00:00'));
+  });
+
+  test('matches either day or weekday when both are restricted', () => {
+    // 2026-10-19 is a Monday; the 25th is a Sunday
+    expect(parser.getNextRun('0 8 25 * 1', at('2026-10-20T00:00:00'))).toBe(at('2026-10-25T08:00:00'));
+  });
+
+  test('finds leap-day-only expressions', () => {
+    expect(parser.getNextRun('0 0 29 2 *', at('2026-10-19T00:00:00'))).toBe(at('2028-02-29T00:00:00'));
+  });
+
+  test('throws for expressions that never match', () => {
+    expect(() => parser.getNextRun('0 0 31 2 *', at('2026-10-19T00:00:00'))).toThrow('never matches');
+  });
+});
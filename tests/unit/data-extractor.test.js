@@ -0,0 +1,80 @@
+import { DataExtractor } from '../../content/modules/data-extractor.js';
+
+describe('DataExtractor', () => {
+  const extractor = new DataExtractor(null);
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('parses prices and numbers with locale separators', () => {
+    expect(extractor.transform('$1,299.50', 'price')).toBe(1299.5);
+    expect(extractor.transform('1.299,50 €', 'price')).toBe(1299.5);
+    expect(extractor.transform('1 299,50 €', 'price')).toBe(1299.5);
+    expect(extractor.transform('1,299', 'number')).toBe(1299);
+    expect(extractor.transform('1.200.000 đ', 'number')).toBe(1200000);
+    expect(extractor.transform('12.5 kg', 'number')).toBe(12.5);
+    expect(extractor.transform('0,750', 'number')).toBe(0.75);
+    expect(extractor.transform('-3 items', 'number')).toBe(-3);
+    expect(extractor.transform('Free', 'price')).toBeNull();
+  });
+
+  test('captures regex groups', () => {
+    expect(extractor.transform('SKU: AB-42', { regex: 'SKU: (\\w+)-(\\d+)' })).toBe('AB');
+    expect(extractor.transform('SKU: AB-42', { regex: 'SKU: (\\w+)-(\\d+)', group: 2 })).toBe('42');
+    expect(extractor.transform('SKU: AB-42', { regex: '\\d+' })).toBe('42');
+    expect(extractor.transform('sku: ab-42', { regex: 'SKU: (\\w+)', flags: 'i' })).toBe('ab');
+    expect(extractor.transform('no code', { regex: 'SKU: (\\w+)' })).toBeNull();
+  });
+
+  test('parses formatted dates without a time zone shift', () => {
+    expect(extractor.transform('05/03/2024', { date: 'DD/MM/YYYY' })).toBe('2024-03-05');
+    expect(extractor.transform('01/01/24 ', { date: 'DD/MM/YY' })).toBe('2024-01-01');
+    expect(extractor.transform('2024-03-05 23:30', { date: 'YYYY-MM-DD HH:mm' })).toBe('2024-03-05T23:30:00.000Z');
+    expect(extractor.transform('31/02/2024', { date: 'DD/MM/YYYY' })).toBeNull();
+    expect(extractor.transform('March 2024', { date: 'DD/MM/YYYY' })).toBeNull();
+    expect(extractor.transform('2024-03-05T10:00:00Z', 'date')).toBe('2024-03-05T10:00:00.000Z');
+    expect(extractor.transform('not a date', 'date')).toBeNull();
+  });
+
+  test('runs transform lists in order', () => {
+    expect(extractor.applyTransforms('  Price:\n 1.299,50 € ', ['trim', { regex: 'Price: (.*)' }, 'price'])).toBe(1299.5);
+    expect(extractor.applyTransforms(null, ['trim', 'number'])).toBeNull();
+    expect(() => extractor.transform('x', 'upper')).toThrow('unknown extract transform "upper"');
+  });
+
+  test('reads text, attributes and properties', () => {
+    document.body.innerHTML = '<a id="link" href="/product/42" data-id="42"> Product  42 </a><input id="qty" value="3">';
+    const link = document.getElementById('link');
+
+    expect(extractor.extract(link, { transform: 'trim' })).toBe('Product 42');
+    expect(extractor.extract(link, { attribute: 'data-id', transform: 'number' })).toBe(42);
+    expect(extractor.extract(link, { read: 'attribute', attribute: 'href' })).toBe('/product/42');
+    expect(extractor.extract(document.getElementById('qty'), { property: 'value' })).toBe('3');
+    expect(extractor.extract(link, { attribute: 'title' })).toBeNull();
+    expect(() => extractor.extract(link, { read: 'attribute' })).toThrow('needs an attribute name');
+  });
+
+  test('maps list items and table rows to records', () => {
+    document.body.innerHTML = `
+      <ul><li class="item"><h3> Lamp </h3><span class="price">1.299,50 €</span><a href="/p/1">view</a></li></ul>
+      <table>
+        <thead><tr><th>Name</th><th>Stock</th></tr></thead>
+        <tbody><tr><td> Desk </td><td>12</td></tr><tr><td>Chair</td><td>0</td></tr></tbody>
+      </table>`;
+
+    expect(extractor.extractRecord(document.querySelector('.item'), {
+      name: { target: 'h3', transform: 'trim' },
+      price: { target: '.price', transform: 'price' },
+      link: { target: 'a', attribute: 'href' },
+      rating: '.rating'
+    })).toEqual({ name: 'Lamp', price: 1299.5, link: '/p/1', rating: null });
+
+    const table = document.querySelector('table');
+    expect(extractor.extractTable(table)).toEqual([
+      { Name: 'Desk', Stock: '12' },
+      { Name: 'Chair', Stock: '0' }
+    ]);
+    expect(extractor.extractTable(table, { stock: { target: 2, transform: 'number' } }, 1)).toEqual([{ stock: 12 }]);
+  });
+});
@@ -0,0 +1,45 @@
+import { DatasetExporter } from '../../background/modules/dataset-exporter.js';
+
+describe('DatasetExporter', () => {
+  const exporter = new DatasetExporter();
+  const session = { id: 'session_1', domain: 'shop.test', scenarioName: 'Collect prices' };
+
+  test('writes CSV columns in first-seen order with escaping', () => {
+    const { filename, mimeType, content } = exporter.createExport(session, 'price list', [
+      { name: 'Lamp, "blue"', price: 19.5 },
+      { name: 'Mug', color: 'red', tags: ['a', 'b'] }
+    ], 'csv');
+
+    expect(filename).toBe('price_list_session_1.csv');
+    expect(mimeType).toBe('text/csv');
+    expect(content.split('\r\n')).toEqual([
+      'name,price,color,tags',
+      '"Lamp, ""blue""",19.5,,',
+      'Mug,,red,"[""a"",""b""]"'
+    ]);
+  });
+
+  test('guards text cells against spreadsheet formulas', () => {
+    const { content } = exporter.createExport(session, 'rows', [{ a: '=SUM(A1)', b: '-5', c: '@user', d: -5 }]);
+
+    expect(content.split('\r\n')[1]).toBe("'=SUM(A1),-5,'@user,-5");
+  });
+
+  test('wraps JSON exports with session details', () => {
+    const { filename, content } = exporter.createExport(session, 'rows', [{ a: 1 }], 'json');
+
+    expect(filename).toBe('rows_session_1.json');
+    expect(JSON.parse(content)).toEqual(expect.objectContaining({
+      dataset: 'rows',
+      sessionId: 'session_1',
+      domain: 'shop.test',
+      scenario: 'Collect prices',
+      rows: [{ a: 1 }]
+    }));
+  });
+
+  test('rejects missing datasets and unknown formats', () => {
+    expect(() => exporter.createExport(session, 'missing', null)).toThrow('Dataset not found: missing');
+    expect(() => exporter.createExport(session, 'rows', [], 'xlsx')).toThrow('Unknown dataset format: xlsx');
+  });
+});
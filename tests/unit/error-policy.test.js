@@ -0,0 +1,48 @@
+import { ErrorPolicy } from '../../content/modules/error-policy.js';
+
+describe('ErrorPolicy', () => {
+  const parseDuration = (value) => value.endsWith('ms') ? parseFloat(value) : parseFloat(value) * 1000;
+  const policy = new ErrorPolicy(parseDuration);
+
+  const errorHandling = {
+    default: { retryTimes: 1, retryDelay: '1s', fallback: 'skip_step' },
+    elementNotFound: { retryTimes: 3, backoff: 2, fallback: 'skip_action' },
+    pageLoadTimeout: { timeout: '30s', action: 'reload' }
+  };
+
+  test('uses the element_not_found policy over the default', () => {
+    const resolved = policy.resolve({}, new Error('Element did not appear within 5000ms: .cart'), errorHandling);
+
+    expect(resolved).toEqual(expect.objectContaining({ retryTimes: 3, retryDelay: '1s', backoff: 2, fallback: 'skip_action' }));
+  });
+
+  test('maps the page_load_timeout action to a fallback', () => {
+    const resolved = policy.resolve({}, new Error('page product did not load within 30000ms'), errorHandling);
+
+    expect(resolved.fallback).toBe('reload');
+    expect(resolved).not.toHaveProperty('timeout');
+    expect(policy.resolve({}, new Error('page product did not load within 30000ms'), {
+      pageLoadTimeout: { action: 'skip' }
+    }).fallback).toBe('skip_step');
+  });
+
+  test('uses the default for other errors, then the step retry and retry limit', () => {
+    const error = new Error('Visual check failed');
+
+    expect(policy.resolve({}, error, errorHandling).fallback).toBe('skip_step');
+    expect(policy.resolve({ retry: { retryTimes: 5, fallback: 'abort' } }, error, errorHandling, { retryLimit: 2 }))
+      .toEqual(expect.objectContaining({ retryTimes: 2, fallback: 'abort' }));
+  });
+
+  test('reads page load timeouts as durations', () => {
+    expect(policy.getPageLoadTimeout(errorHandling)).toBe(30000);
+    expect(policy.getPageLoadTimeout({ pageLoadTimeout: { timeout: 15000 } })).toBe(15000);
+    expect(policy.getPageLoadTimeout({})).toBe(10000);
+  });
+
+  test('grows retry delays by backoff up to max_delay', () => {
+    const backoff = { retryDelay: '1s', backoff: 2, maxDelay: '3s' };
+
+    expect([1, 2, 3].map(attempt => policy.getDelay(backoff, attempt))).toEqual([1000, 2000, 3000]);
+  });
+});
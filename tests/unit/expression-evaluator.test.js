@@ -0,0 +1,45 @@
+import { ExpressionParser } from '../../background/modules/expression-parser.js';
+import { ExpressionEvaluator } from '../../content/modules/expression-evaluator.js';
+
+describe('ExpressionEvaluator', () => {
+  const parser = new ExpressionParser();
+  const evaluator = new ExpressionEvaluator();
+
+  const compile = (source) => ({ source, ast: parser.parse(source) });
+  const evaluate = (source, scope = {}) => evaluator.evaluate(compile(source), scope);
+
+  test('treats numeric strings as numbers', () => {
+    expect(evaluate('price < 50', { price: '49.99' })).toBe(true);
+    expect(evaluate('count + 1', { count: '2' })).toBe(3);
+    expect(evaluate('name + 1', { name: 'item' })).toBe('item1');
+  });
+
+  test('treats missing variables as null', () => {
+    expect(evaluate('missing + 1')).toBe(1);
+    expect(evaluate('missing < 5')).toBe(false);
+    expect(evaluate('missing == null')).toBe(true);
+    expect(evaluate('product.price', { product: null })).toBeNull();
+  });
+
+  test('matches regex literals and string patterns', () => {
+    expect(evaluate('title ~ /sale/i', { title: 'Summer SALE' })).toBe(true);
+    expect(evaluate('title !~ "^New"', { title: 'Old stock' })).toBe(true);
+  });
+
+  test('calls built-in functions', () => {
+    expect(evaluate('number(price) * 2', { price: '$1,299.50' })).toBe(2599);
+    expect(evaluate('round(3.14159, 2)')).toBe(3.14);
+    expect(evaluate('contains(upper(title), "sale") && len(tags) == 2', { title: 'Big sale', tags: ['a', 'b'] })).toBe(true);
+  });
+
+  test('tests conditions with list truthiness', () => {
+    expect(evaluator.test(compile('items'), { items: [] })).toBe(false);
+    expect(evaluator.test(compile('items'), { items: [1] })).toBe(true);
+  });
+
+  test('names the expression in errors', () => {
+    expect(() => evaluate('1 / zero', { zero: 0 })).toThrow('division by zero in "1 / zero"');
+    expect(() => evaluate('name * 2', { name: 'abc' })).toThrow('"abc" is not a number in "name * 2"');
+    expect(() => evaluator.evaluate('a > 1')).toThrow('expression was not compiled');
+  });
+});
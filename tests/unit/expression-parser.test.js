@@ -0,0 +1,63 @@
+import { ExpressionParser } from '../../background/modules/expression-parser.js';
+
+describe('ExpressionParser', () => {
+  const parser = new ExpressionParser();
+
+  test('binds operators by precedence', () => {
+    expect(parser.parse('a || b && c == 1 + 2 * 3')).toEqual({
+      type: 'logical',
+      operator: '||',
+      left: { type: 'variable', path: ['a'] },
+      right: {
+        type: 'logical',
+        operator: '&&',
+        left: { type: 'variable', path: ['b'] },
+        right: {
+          type: 'binary',
+          operator: '==',
+          left: { type: 'variable', path: ['c'] },
+          right: {
+            type: 'binary',
+            operator: '+',
+            left: { type: 'literal', value: 1 },
+            right: {
+              type: 'binary',
+              operator: '*',
+              left: { type: 'literal', value: 2 },
+              right: { type: 'literal', value: 3 }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  test('reads word operators, strings, regex literals and calls', () => {
+    expect(parser.parse('not done and title ~ /sale/i')).toEqual({
+      type: 'logical',
+      operator: '&&',
+      left: { type: 'unary', operator: '!', argument: { type: 'variable', path: ['done'] } },
+      right: {
+        type: 'binary',
+        operator: '~',
+        left: { type: 'variable', path: ['title'] },
+        right: { type: 'regex', pattern: 'sale', flags: 'i' }
+      }
+    });
+
+    expect(parser.parse('lower(status) == "in \\"stock\\""').right).toEqual({ type: 'literal', value: 'in "stock"' });
+    expect(parser.parse('price / 2').operator).toBe('/');
+  });
+
+  test('reports unknown functions, wrong arity and trailing input', () => {
+    expect(() => parser.parse('foo(1)')).toThrow('unknown function "foo"');
+    expect(() => parser.parse('round(1, 2, 3)')).toThrow('round() takes 1-2 argument(s), got 3');
+    expect(() => parser.parse('a b')).toThrow('unexpected "b"');
+    expect(() => parser.parse('a >')).toThrow('unexpected end of "a >"');
+    expect(() => parser.parse('x ~ /(/')).toThrow('invalid regex /(/');
+  });
+
+  test('lists the root variables a tree reads', () => {
+    expect(parser.getVariables(parser.parse('max(product.price, limit) > 3 && !product.sold'))).toEqual(['product', 'limit']);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { ConfigManager } from '../../background/modules/config-manager.js';
+import { NavigationDecider } from '../../content/modules/navigation-decider.js';
+
+describe('navigation_probability', () => {
+  const configManager = new ConfigManager();
+  const decider = new NavigationDecider();
+
+  const variables = {
+    time: 0.9,
+    progress: 0.2,
+    expected: 0.9,
+    time_on_page: 10,
+    min: 5,
+    max: 20,
+    page_visits: 3,
+    actions_on_page: 1
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compiles modifier conditions with the expression language', () => {
+    const { rules, errors } = configManager.compileNavigationProbability({
+      base: 0.3,
+      modifiers: {
+        _comment: 'ignored',
+        time_pressure: '+0.2 when time > 0.8',
+        fatigue: '*50% when page_visits >= 3 and actions_on_page < 2',
+        reset: '=0'
+      }
+    });
+
+    expect(errors).toEqual([]);
+    expect(rules.map(rule => [rule.name, rule.effect, rule.condition?.source ?? null])).toEqual([
+      ['time_pressure', { operator: '+', value: 0.2 }, 'time > 0.8'],
+      ['fatigue', { operator: '*', value: 0.5 }, 'page_visits >= 3 and actions_on_page < 2'],
+      ['reset', { operator: '=', value: 0 }, null]
+    ]);
+  });
+
+  test('reads percent literals in conditions as ratios', () => {
+    const { rules, errors } = configManager.compileNavigationProbability({
+      modifiers: {
+        time_pressure: '+0.2 when time > 80%',
+        mixed: '+0.1 when time_on_page % 2 == 0 && (progress < 50%) && page_visits%2 == 1'
+      }
+    });
+
+    expect(errors).toEqual([]);
+    expect(rules[0].condition.source).toBe('time > 80%');
+    expect(decider.getProbability({ base: 0.3, rules: rules.slice(0, 1) }, variables).probability).toBeCloseTo(0.5);
+    expect(decider.getProbability({ base: 0.3, rules: rules.slice(0, 1) }, { ...variables, time: 0.7 }).probability).toBe(0.3);
+    expect(decider.getProbability({ base: 0.3, rules: rules.slice(1) }, variables).applied).toEqual(['mixed']);
+  });
+
+  test('validates the modifiers of the template config', () => {
+    const template = JSON.parse(readFileSync(new URL('../../config/website-automation-template.json', import.meta.url), 'utf8'));
+    const modifiers = Object.values(template.scenarios)
+      .map(scenario => scenario.decision_rules?.navigation_probability)
+      .filter(Boolean);
+
+    expect(modifiers.length).toBeGreaterThan(0);
+    modifiers.forEach(navigationProbability => {
+      expect(configManager.compileNavigationProbability(navigationProbability).errors).toEqual([]);
+    });
+  });
+
+  test('reports invalid modifiers and unknown variables', () => {
+    const { rules, errors } = configManager.compileNavigationProbability({
+      base: 2,
+      modifiers: {
+        no_effect: 'when time > 0.5',
+        bad_variable: '+0.1 when clicks > 2',
+        bad_condition: '+0.1 when time >'
+      }
+    });
+
+    expect(rules).toEqual([]);
+    expect(errors).toEqual([
+      'base must be a number between 0 and 1',
+      expect.stringContaining('modifier "no_effect": expected an effect'),
+      expect.stringContaining('modifier "bad_variable": unknown variable "clicks"'),
+      'modifier "bad_condition": unexpected end of "time >"'
+    ]);
+  });
+
+  test('applies modifiers whose condition holds, clamped to 0-1', () => {
+    const { base, rules } = configManager.compileNavigationProbability({
+      base: 0.3,
+      modifiers: {
+        goal_behind: '+0.3 when progress < expected',
+        page_fatigue: '+0.5 when time_on_page > max',
+        time_pressure: '+0.5 when time > 0.8'
+      }
+    });
+
+    expect(decider.getProbability({ base, rules }, variables)).toEqual({
+      probability: 1,
+      applied: ['goal_behind', 'time_pressure']
+    });
+  });
+});
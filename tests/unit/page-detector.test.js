@@ -0,0 +1,59 @@
+import { PageDetector } from '../../content/modules/page-detector.js';
+
+describe('PageDetector', () => {
+  const detector = new PageDetector();
+  const selectors = {
+    pages: {
+      home: {
+        url_pattern: '^https://shop\\.test/?$',
+        identifiers: { primary: '#hero', fallback: "title:contains('Home')" }
+      },
+      product: {
+        url_pattern: '/product/',
+        identifiers: { primary: '.product-page', secondary: "meta(og:type):equals('product')" }
+      }
+    }
+  };
+
+  beforeEach(() => {
+    document.title = '';
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  test('classifies by URL pattern and adds identifier evidence', async () => {
+    document.head.innerHTML = '<meta property="og:type" content="product">';
+    document.body.innerHTML = '<div class="product-page"></div>';
+
+    const page = await detector.detectPage('https://shop.test/product/42', selectors);
+
+    expect(page.type).toBe('product');
+    expect(page.confidence).toBe(0.9);
+  });
+
+  test('classifies by primary identifier without a URL match', async () => {
+    document.body.innerHTML = '<section id="hero"></section>';
+
+    const page = await detector.detectPage('https://shop.test/landing', selectors);
+
+    expect(page.type).toBe('home');
+  });
+
+  test('does not classify on fallback or secondary evidence alone', async () => {
+    document.title = 'Home of great deals';
+    document.head.innerHTML = '<meta property="og:type" content="product">';
+
+    expect(await detector.detectPage('https://shop.test/about', selectors)).toBeNull();
+  });
+
+  test('prefers the longer URL match on equal confidence', async () => {
+    const page = await detector.detectPage('https://shop.test/p/product/1', {
+      pages: {
+        short: { url_pattern: '/p/' },
+        long: { url_pattern: '/p/product/' }
+      }
+    });
+
+    expect(page.type).toBe('long');
+  });
+});
@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import { ProgressTracker } from '../../content/modules/progress-tracker.js';
+
+describe('ProgressTracker', () => {
+  let tracker;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tracker = new ProgressTracker();
+    await tracker.initialize({ requiredMetrics: { duration: 3 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps metrics apart from reserved report fields', async () => {
+    await tracker.updateMetrics({ duration: 2, products_viewed: 1 });
+    jest.spyOn(Date, 'now').mockReturnValue(tracker.startTime + 5000);
+
+    const report = tracker.getProgressReport();
+
+    expect(report.metrics).toEqual({ duration: 2, products_viewed: 1 });
+    expect(report.duration).toBe(5000);
+  });
+
+  test('flags variable and metric changes until taken', async () => {
+    expect(tracker.takeDirty()).toBe(false);
+
+    tracker.setVariable('query', 'shoes');
+    expect(tracker.takeDirty()).toBe(true);
+    expect(tracker.takeDirty()).toBe(false);
+
+    await tracker.updateMetrics({ _comment: 1, clicks: 'x' });
+    expect(tracker.takeDirty()).toBe(false);
+  });
+
+  test('restores serialized state', async () => {
+    tracker.setVariable('cart', ['a']);
+    await tracker.updateMetrics({ add_to_cart: 1 });
+    tracker.setPendingAction({ name: 'open_product' });
+
+    const restored = new ProgressTracker();
+    await restored.initialize({}, JSON.parse(JSON.stringify(tracker.getState())));
+
+    expect(restored.getVariable('cart')).toEqual(['a']);
+    expect(restored.getMetric('add_to_cart')).toBe(1);
+    expect(restored.takePendingAction()).toEqual(expect.objectContaining({ name: 'open_product' }));
+    expect(restored.takeDirty()).toBe(false);
+  });
+
+  test('carries the scrape cursor across page loads until taken', async () => {
+    const cursor = {
+      step: { type: 'scrape_list', target: '.item', nextPage: '.next' },
+      totals: { pages: 2, rows: 40, added: 38, duplicates: 2, dropped: 0 },
+      action: { name: 'collect', impact: {} },
+      remainingSteps: [{ type: 'wait', duration: '1s' }],
+      nested: false
+    };
+    tracker.setScrapeCursor(cursor);
+    expect(tracker.takeDirty()).toBe(true);
+
+    const restored = new ProgressTracker();
+    await restored.initialize({}, JSON.parse(JSON.stringify(tracker.getProgressReport().tracker)));
+
+    expect(restored.hasScrapeCursor()).toBe(true);
+    expect(restored.takeScrapeCursor()).toEqual(cursor);
+    expect(restored.hasScrapeCursor()).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { RunQueue } from '../../background/modules/run-queue.js';
+import { SessionManager } from '../../background/modules/session-manager.js';
+import { StorageManager } from '../../background/modules/storage-manager.js';
+import { TabPool } from '../../background/modules/tab-pool.js';
+
+describe('RunQueue', () => {
+  let sessionManager;
+  let runQueue;
+  let runScenario;
+  let sessionCount;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sessionCount = 0;
+
+    const storageManager = new StorageManager();
+    sessionManager = new SessionManager(storageManager);
+
+    // Stands in for AutomationBackground.runScenario: one session per run
+    runScenario = jest.fn(async ({ scenarioId, trigger }) => {
+      const session = await sessionManager.createSession({
+        tabId: ++sessionCount,
+        scenarioId,
+        websiteConfig: { website: { domain: 'shop.test' } },
+        trigger
+      });
+      await sessionManager.startSession(session.id);
+      return { success: true, data: { sessionId: session.id, tabId: session.tabId } };
+    });
+
+    runQueue = new RunQueue(storageManager, sessionManager, { runScenario });
+    sessionManager.onStateChange(session => {
+      if (sessionManager.isTerminal(session.status)) {
+        return runQueue.recordSessionOutcome(session);
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const statuses = async () => (await runQueue.listItems()).map(item => `${item.scenarioId}:${item.status}`);
+
+  test('returns from enqueue without waiting for the run to start', async () => {
+    let release;
+    runScenario.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+
+    const item = await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'a' });
+
+    expect(item.status).toBe('queued');
+    await flush();
+
+    expect(runScenario).toHaveBeenCalledTimes(1);
+    expect(await statuses()).toEqual(['a:running']);
+    release({ success: true, data: { sessionId: 'session_x', tabId: 1 } });
+  });
+
+  test('keeps the concurrency limit and frees the slot when a session ends', async () => {
+    await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'a' });
+    await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'b' });
+    await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'c', priority: 1 });
+    await flush();
+
+    expect(await statuses()).toEqual(['a:running', 'b:running', 'c:queued']);
+
+    const first = await sessionManager.getActiveSession(1);
+    await sessionManager.endSession(first.id, 'stopped', 'tab_closed');
+    await flush();
+
+    expect(await statuses()).toEqual(['b:running', 'c:running', 'a:stopped']);
+  });
+
+  test('gives parallel runs on one domain their own tab', async () => {
+    const { query, create, update } = chrome.tabs;
+    let nextTabId = 100;
+    chrome.tabs.query = jest.fn(async () => [{ id: 7, url: 'https://shop.test/' }]);
+    chrome.tabs.create = jest.fn(async ({ url }) => ({ id: nextTabId++, url }));
+    chrome.tabs.update = jest.fn(async (tabId, { url }) => ({ id: tabId, url }));
+
+    // Both runs wait for their tab before either session exists
+    const tabPool = new TabPool(sessionManager, flush);
+    runScenario.mockImplementation(async ({ scenarioId, trigger }) => {
+      const tabId = await tabPool.acquire('https://shop.test/');
+      try {
+        const session = await sessionManager.createSession({
+          tabId,
+          scenarioId,
+          websiteConfig: { website: { domain: 'shop.test' } },
+          trigger
+        });
+        await sessionManager.startSession(session.id);
+        return { success: true, data: { sessionId: session.id, tabId } };
+      } finally {
+        tabPool.release(tabId);
+      }
+    });
+
+    try {
+      await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'a' });
+      await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'b' });
+      await flush();
+      await Promise.all(runScenario.mock.results.map(result => result.value));
+      await flush();
+
+      const tabIds = (await runQueue.listItems()).map(item => item.tabId);
+      expect(tabIds).toEqual([7, 100]);
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(tabPool.reservedTabs.size).toBe(0);
+    } finally {
+      Object.assign(chrome.tabs, { query, create, update });
+    }
+  });
+
+  test('fails runs that cannot start', async () => {
+    runScenario.mockResolvedValueOnce({ success: false, error: 'Tab did not load' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const item = await runQueue.enqueue({ domain: 'shop.test', scenarioId: 'a' });
+    await flush();
+
+    const [stored] = await runQueue.listItems();
+    expect(stored).toEqual(expect.objectContaining({ id: item.id, status: 'failed', error: 'Tab did not load' }));
+  });
+});
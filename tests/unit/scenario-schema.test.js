@@ -0,0 +1,72 @@
+import { ScenarioSchema } from '../../background/modules/scenario-schema.js';
+
+describe('ScenarioSchema', () => {
+  const schema = new ScenarioSchema();
+
+  test('folds snake_case keys into canonical camelCase', () => {
+    const { value, warnings } = schema.normalize({
+      goals: { session_duration: { min: 5, max: 10, unit: 'minutes' } },
+      pages: {
+        home: { stay_duration: { min: 1, max: 2 }, actions: {} }
+      }
+    }, 'scenario');
+
+    expect(value.goals.sessionDuration).toEqual({ min: 5, max: 10, unit: 'minutes' });
+    expect(value.pages.home.stayDuration).toEqual({ min: 1, max: 2 });
+    expect(warnings).toEqual([]);
+  });
+
+  test('keeps opaque keys such as column and metric names untouched', () => {
+    const { value } = schema.normalize({
+      type: 'scrape_list',
+      columns: { Item_Name: '.title' },
+      next_page: '.next'
+    }, 'microAction');
+
+    expect(value.columns).toEqual({ Item_Name: '.title' });
+    expect(value.nextPage).toBe('.next');
+  });
+
+  test('warns about unknown keys and keeps them', () => {
+    const { value, warnings } = schema.normalize({ type: 'click', colour: 'red' }, 'microAction');
+
+    expect(value.colour).toBe('red');
+    expect(warnings).toEqual(['microAction: unknown key "colour"']);
+  });
+
+  test('prefers the canonical key when both spellings are set', () => {
+    const { value, warnings } = schema.normalize({ maxPages: 2, max_pages: 5 }, 'microAction');
+
+    expect(value.maxPages).toBe(2);
+    expect(warnings).toHaveLength(1);
+  });
+
+  test('normalizes named hooks to an array and names them', () => {
+    const { value } = schema.normalize({
+      entry_actions: { accept_cookies: { type: 'click', target: '#ok' } }
+    }, 'page');
+
+    expect(value.entryActions).toEqual([{ type: 'click', target: '#ok', name: 'accept_cookies' }]);
+  });
+
+  test('is idempotent', () => {
+    const once = schema.normalize({ micro_sequence: [{ type: 'wait', clear_first: true }] }, 'action').value;
+    const twice = schema.normalize(once, 'action');
+
+    expect(twice.value).toEqual(once);
+    expect(twice.warnings).toEqual([]);
+  });
+
+  test('maps expression fields in nested steps', () => {
+    const { value } = schema.normalize({
+      type: 'if',
+      conditions: { expression: 'a > 1' },
+      then: [{ type: 'set', variable: 'b', expression: 'a + 1' }]
+    }, 'microAction');
+
+    const paths = [];
+    schema.mapExpressions(value, 'microAction', (source, path) => paths.push(path) && source);
+
+    expect(paths).toEqual(['microAction.conditions.expression', 'microAction.then[0].expression']);
+  });
+});
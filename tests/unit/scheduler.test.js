@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { ScenarioScheduler } from '../../background/modules/scheduler.js';
+
+describe('ScenarioScheduler', () => {
+  let scheduler;
+  let runScenario;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    runScenario = jest.fn().mockResolvedValue({ success: true, data: { sessionId: 'session_1' } });
+    scheduler = new ScenarioScheduler(undefined, runScenario);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const saveCron = () => scheduler.saveSchedule({
+    domain: 'shop.test',
+    scenarioId: 'browse',
+    rule: { type: 'cron', expression: '*/5 * * * *' }
+  });
+
+  test('starts a slot only once when restore and the alarm both fire', async () => {
+    const schedule = await saveCron();
+    const slot = schedule.nextRunAt;
+    jest.spyOn(Date, 'now').mockReturnValue(slot + 1000);
+
+    await Promise.all([
+      scheduler.restoreAlarms(),
+      scheduler.handleAlarm({ name: scheduler.getAlarmName(schedule.id), scheduledTime: slot })
+    ]);
+
+    const stored = await scheduler.getSchedule(schedule.id);
+    expect(runScenario).toHaveBeenCalledTimes(1);
+    expect(stored.runs).toHaveLength(1);
+    expect(stored.nextRunAt).toBeGreaterThan(slot);
+  });
+
+  test('records a late alarm as missed once', async () => {
+    const schedule = await saveCron();
+    const slot = schedule.nextRunAt;
+    jest.spyOn(Date, 'now').mockReturnValue(slot + 10 * 60 * 1000);
+
+    await scheduler.restoreAlarms();
+    await scheduler.handleAlarm({ name: scheduler.getAlarmName(schedule.id), scheduledTime: slot });
+
+    const stored = await scheduler.getSchedule(schedule.id);
+    expect(runScenario).not.toHaveBeenCalled();
+    expect(stored.runs.map(run => run.outcome)).toEqual(['missed']);
+  });
+
+  test('rejects one-off rules in the past', async () => {
+    await expect(scheduler.saveSchedule({
+      domain: 'shop.test',
+      scenarioId: 'browse',
+      rule: { type: 'once', at: new Date(Date.now() - 60000).toISOString() }
+    })).rejects.toThrow('Invalid schedule: Run time is in the past');
+  });
+
+  test('creates alarms for imported schedules from their next run after now', async () => {
+    const createAlarm = jest.spyOn(chrome.alarms, 'create');
+    const exportedAt = Date.now() - 24 * 60 * 60 * 1000;
+    await scheduler.storageManager.importAllData({
+      data: {
+        schedules: {
+          cron: { id: 'cron', enabled: true, domain: 'shop.test', scenarioId: 'browse', rule: { type: 'cron', expression: '*/5 * * * *' }, nextRunAt: exportedAt, runs: [] },
+          once: { id: 'once', enabled: true, domain: 'shop.test', scenarioId: 'browse', rule: { type: 'once', at: new Date(exportedAt).toISOString() }, nextRunAt: exportedAt, runs: [] },
+          paused: { id: 'paused', enabled: false, domain: 'shop.test', scenarioId: 'browse', rule: { type: 'cron', expression: '0 * * * *' }, nextRunAt: null, runs: [] }
+        }
+      }
+    });
+
+    await scheduler.syncImportedSchedules(['cron', 'once', 'paused']);
+
+    const cron = await scheduler.getSchedule('cron');
+    expect(cron.nextRunAt).toBeGreaterThan(Date.now());
+    expect(createAlarm).toHaveBeenCalledTimes(1);
+    expect(createAlarm).toHaveBeenCalledWith(scheduler.getAlarmName('cron'), { when: cron.nextRunAt });
+    expect((await scheduler.getSchedule('once')).enabled).toBe(false);
+    expect(runScenario).not.toHaveBeenCalled();
+  });
+
+  test('disables one-off schedules after their run', async () => {
+    const at = Date.now() + 60000;
+    const schedule = await scheduler.saveSchedule({
+      domain: 'shop.test',
+      scenarioId: 'browse',
+      rule: { type: 'once', at: new Date(at).toISOString() }
+    });
+    jest.spyOn(Date, 'now').mockReturnValue(at);
+
+    await scheduler.handleAlarm({ name: scheduler.getAlarmName(schedule.id), scheduledTime: at });
+
+    const stored = await scheduler.getSchedule(schedule.id);
+    expect(stored.enabled).toBe(false);
+    expect(stored.nextRunAt).toBeNull();
+  });
+});
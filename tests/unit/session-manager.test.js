@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { SessionManager } from '../../background/modules/session-manager.js';
+
+describe('SessionManager', () => {
+  const websiteConfig = {
+    website: { domain: 'shop.test' },
+    scenarios: { browse: { name: 'Browse' } }
+  };
+
+  let sessionManager;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createSession = () => sessionManager.createSession({ tabId: 7, scenarioId: 'browse', websiteConfig });
+
+  test('walks the lifecycle and records history', async () => {
+    const session = await createSession();
+
+    await sessionManager.startSession(session.id);
+    await sessionManager.pauseSession(session.id);
+    await sessionManager.resumeSession(session.id);
+    const ended = await sessionManager.endSession(session.id, 'completed', 'goals_met');
+
+    expect(ended.status).toBe('completed');
+    expect(ended.endReason).toBe('goals_met');
+    expect(ended.history.map(entry => entry.to)).toEqual(['created', 'running', 'paused', 'running', 'completed']);
+    expect(await sessionManager.getActiveSession(7)).toBeNull();
+  });
+
+  test('rejects illegal transitions', async () => {
+    const session = await createSession();
+    await sessionManager.endSession(session.id);
+
+    await expect(sessionManager.startSession(session.id)).rejects.toThrow('Illegal session transition: stopped → running');
+    await expect(sessionManager.endSession(session.id, 'running')).rejects.toThrow('Not a terminal session state');
+  });
+
+  test('throws when storage rejects the write', async () => {
+    const session = await createSession();
+    chrome.storage.local.failNextSet();
+
+    await expect(sessionManager.startSession(session.id)).rejects.toThrow(`Failed to save session ${session.id}`);
+    expect((await sessionManager.getSession(session.id)).status).toBe('created');
+  });
+
+  test('catches rejections of async state listeners', async () => {
+    const listener = jest.fn().mockRejectedValue(new Error('outcome failed'));
+    sessionManager.onStateChange(listener);
+
+    await createSession();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'created' }), null);
+    expect(console.error).toHaveBeenCalledWith('Session state listener failed:', expect.any(Error));
+  });
+
+  test('keeps the most recent log entries and counts stats', async () => {
+    sessionManager.MAX_LOG_ENTRIES = 3;
+    const session = await createSession();
+
+    for (let i = 0; i < 5; i++) {
+      await sessionManager.logAction(session.id, { actionType: 'action_completed', index: i });
+    }
+
+    const stored = await sessionManager.getSession(session.id);
+    expect(stored.logs.map(entry => entry.index)).toEqual([2, 3, 4]);
+    expect(stored.stats.actions).toBe(5);
+  });
+
+  test('stores datasets apart from the session and skips duplicate keys', async () => {
+    const session = await createSession();
+
+    await sessionManager.appendDataset(session.id, 'products', [{ sku: 'a' }, { sku: 'b' }], 'sku');
+    const result = await sessionManager.appendDataset(session.id, 'products', [{ sku: 'b' }, { sku: 'c' }, { sku: '' }], 'sku');
+
+    expect(result).toEqual({ added: 2, duplicates: 1, dropped: 0, total: 4 });
+    expect(await sessionManager.getDataset(session.id, 'products')).toEqual([{ sku: 'a' }, { sku: 'b' }, { sku: 'c' }, { sku: '' }]);
+
+    const stored = await sessionManager.getSession(session.id);
+    expect(stored.datasetRows).toEqual({ products: 4 });
+    expect(stored).not.toHaveProperty('datasets');
+    expect(await sessionManager.listDatasetSessions()).toEqual([
+      expect.objectContaining({ sessionId: session.id, datasets: { products: 4 } })
+    ]);
+  });
+
+  test('throws when dataset rows cannot be saved', async () => {
+    const session = await createSession();
+    chrome.storage.local.failNextSet();
+
+    await expect(sessionManager.appendDataset(session.id, 'products', [{ sku: 'a' }]))
+      .rejects.toThrow(`Failed to save dataset "products" of session ${session.id}`);
+    expect((await sessionManager.getSession(session.id)).datasetRows).toEqual({});
+  });
+
+  test('times out inactive sessions', async () => {
+    const session = await createSession();
+    await sessionManager.startSession(session.id);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 46 * 60 * 1000);
+
+    await sessionManager.cleanupOldSessions();
+
+    const stored = await sessionManager.getSession(session.id);
+    expect(stored.status).toBe('timed_out');
+    expect(stored.endReason).toBe('inactive');
+  });
+});
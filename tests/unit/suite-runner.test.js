@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import { SuiteRunner } from '../../background/modules/suite-runner.js';
+import { SessionManager } from '../../background/modules/session-manager.js';
+import { StorageManager } from '../../background/modules/storage-manager.js';
+
+describe('SuiteRunner.evaluateRun', () => {
+  let sessionManager;
+  let suiteRunner;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const storageManager = new StorageManager();
+    sessionManager = new SessionManager(storageManager);
+    suiteRunner = new SuiteRunner(storageManager, sessionManager);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const item = { status: 'completed', sessionId: null, finishedAt: Date.now() };
+
+  test('counts verifications that dropped out of the capped log', async () => {
+    sessionManager.MAX_LOG_ENTRIES = 2;
+    const session = await sessionManager.createSession({ tabId: 1, scenarioId: 'browse', websiteConfig: {} });
+
+    await sessionManager.logAction(session.id, { actionType: 'verify_failed', target: '.cart', message: 'Element not found' });
+    for (let i = 0; i < 3; i++) {
+      await sessionManager.logAction(session.id, { actionType: 'verify_passed', target: `.item-${i}` });
+    }
+
+    const stored = await sessionManager.getSession(session.id);
+    const result = suiteRunner.evaluateRun({ ...item, sessionId: session.id }, stored);
+
+    expect(stored.logs).toHaveLength(2);
+    expect(result.outcome).toBe('failed');
+    expect(result.failureMessage).toBe('1 of 4 verifications failed');
+    expect(result.verifications[0]).toEqual(expect.objectContaining({ target: '.cart', passed: false, message: 'Element not found' }));
+  });
+
+  test('passes completed runs without failed verifications', async () => {
+    const session = await sessionManager.createSession({ tabId: 1, scenarioId: 'browse', websiteConfig: {} });
+    await sessionManager.logAction(session.id, { actionType: 'visual_check_passed', baseline: 'home' });
+
+    const result = suiteRunner.evaluateRun({ ...item, sessionId: session.id }, await sessionManager.getSession(session.id));
+
+    expect(result.outcome).toBe('passed');
+    expect(result.verifications).toEqual([expect.objectContaining({ name: 'visual home', passed: true })]);
+  });
+});
@@ -0,0 +1,58 @@
+import { TemplateExpander } from '../../background/modules/template-expander.js';
+
+describe('TemplateExpander', () => {
+  const templates = {
+    standard_scroll: {
+      params: { distance: '300px', times: 2 },
+      microSequence: [
+        { type: 'scroll', distance: '{distance}', repeat: '{times}' },
+        { type: 'type', target: '#q', text: '{distance} at {timestamp|date:HH:mm} {{raw}}' }
+      ]
+    },
+    search: {
+      params: { query: null },
+      type: 'type',
+      target: '#q',
+      text: '{query}'
+    }
+  };
+
+  const expand = (sequence, definitions = templates) =>
+    new TemplateExpander(definitions).expandSequence(sequence, [], 'steps');
+
+  test('substitutes declared parameters and leaves runtime placeholders alone', () => {
+    expect(expand([{ use: 'standard_scroll', with: { distance: '500px' } }])).toEqual([
+      { type: 'scroll', distance: '500px', repeat: 2 },
+      { type: 'type', target: '#q', text: '500px at {timestamp|date:HH:mm} {{raw}}' }
+    ]);
+  });
+
+  test('requires parameters declared without a default', () => {
+    expect(() => expand([{ use: 'search' }])).toThrow('steps[0](search): missing parameter "query"');
+    expect(expand([{ use: 'search', with: { query: 'shoes' } }])).toEqual([{ type: 'type', target: '#q', text: 'shoes' }]);
+  });
+
+  test('rejects undeclared parameters', () => {
+    expect(() => expand([{ use: 'search', with: { query: 'shoes', limit: 3 } }]))
+      .toThrow('steps[0](search): unknown parameter "limit"');
+  });
+
+  test('rejects the dollar form and filters on parameters', () => {
+    const dollarParam = '$' + '{distance}';
+
+    expect(() => expand([{ use: 'scroll' }], {
+      scroll: { params: { distance: '1px' }, type: 'scroll', distance: dollarParam }
+    })).toThrow(`use "{distance}" instead of "${dollarParam}"`);
+
+    expect(() => expand([{ use: 'scroll' }], {
+      scroll: { params: { distance: '1px' }, type: 'scroll', distance: '{distance|upper}' }
+    })).toThrow('template parameter "distance" takes no filters or arguments');
+  });
+
+  test('reports template cycles', () => {
+    expect(() => expand([{ use: 'a' }], {
+      a: { microSequence: [{ use: 'b' }] },
+      b: { microSequence: [{ use: 'a' }] }
+    })).toThrow('template cycle a → b → a');
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { ValueInterpolator } from '../../content/modules/value-interpolator.js';
+import { ProgressTracker } from '../../content/modules/progress-tracker.js';
+
+describe('ValueInterpolator', () => {
+  const interpolator = new ValueInterpolator();
+  let context;
+
+  beforeEach(() => {
+    const tracker = new ProgressTracker();
+    tracker.setVariable('query', 'Shoes');
+    tracker.setVariable('product', { name: 'Runner', price: 49 });
+    tracker.updateMetrics({ products_viewed: 3 });
+
+    context = {
+      sessionId: 'session_1',
+      tracker,
+      goals: { requiredMetrics: { products_viewed: 5 } },
+      params: { query: 'boots' }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolves built-in placeholders', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(interpolator.interpolate('{session_id}-{timestamp}', context)).toBe('session_1-1700000000000');
+    expect(interpolator.interpolate('{random_number:10-20}', context)).toBe('10');
+    expect(interpolator.interpolate('{random_text:2}', context)).toBe('shoes shoes');
+    expect(interpolator.interpolate('{metric:products_viewed}/{goal_metric:products_viewed}', context)).toBe('3/5');
+  });
+
+  test('prefers flow parameters over session variables and walks object fields', () => {
+    expect(interpolator.interpolate('{query}', context)).toBe('boots');
+    expect(interpolator.interpolate('{query}', { ...context, params: {} })).toBe('Shoes');
+    expect(interpolator.interpolate('{product.name} at {product.price}', context)).toBe('Runner at 49');
+  });
+
+  test('chains filters', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(interpolator.interpolate('{random_number:7-7|pad:3}', context)).toBe('007');
+    expect(interpolator.interpolate('{query|upper}', context)).toBe('BOOTS');
+    expect(interpolator.interpolate('{product.price|fixed:2}', context)).toBe('49.00');
+    expect(interpolator.interpolate('{timestamp|date:YYYY}', context)).toBe(String(new Date().getFullYear()));
+  });
+
+  test('keeps escaped braces and regex quantifiers', () => {
+    expect(interpolator.interpolate('{{query}} \\d{3}', context)).toBe('{query} \\d{3}');
+  });
+
+  test('throws with the field path for unknown placeholders and filters', () => {
+    expect(() => interpolator.interpolate('{nope}', context, 'text')).toThrow('text: unknown placeholder {nope} in "{nope}"');
+    expect(() => interpolator.interpolate('{query|shout}', context, 'text')).toThrow('text: unknown filter "shout"');
+  });
+
+  test('interpolates step fields except skipped ones and compiled expressions', () => {
+    const expression = { source: 'a > 1', ast: { type: 'literal', value: true } };
+    const step = { type: 'type', text: '{query}', steps: [{ text: '{query}' }], conditions: { expression } };
+
+    expect(interpolator.interpolateStep(step, context, ['steps'])).toEqual({
+      type: 'type',
+      text: 'boots',
+      steps: [{ text: '{query}' }],
+      conditions: { expression }
+    });
+  });
+});
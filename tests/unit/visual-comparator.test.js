@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import { VisualComparator } from '../../background/modules/visual-comparator.js';
+
+// jsdom has no canvas support; ImageData only needs to hold RGBA pixels here
+class TestImageData {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+  }
+}
+
+describe('VisualComparator', () => {
+  let comparator;
+  let images;
+
+  const solidImage = (width, height, rgba = [255, 255, 255, 255]) => {
+    const image = new TestImageData(width, height);
+    for (let offset = 0; offset < image.data.length; offset += 4) {
+      image.data.set(rgba, offset);
+    }
+    return image;
+  };
+
+  beforeAll(() => {
+    globalThis.ImageData = globalThis.ImageData || TestImageData;
+  });
+
+  beforeEach(() => {
+    images = {};
+    comparator = new VisualComparator({});
+    jest.spyOn(comparator, 'loadImageData').mockImplementation(async dataUrl => images[dataUrl]);
+    jest.spyOn(comparator, 'encodeImageData').mockImplementation(async imageData => `diff:${imageData.width}x${imageData.height}`);
+  });
+
+  test('passes identical images without a diff image', async () => {
+    images.actual = solidImage(4, 4);
+    images.baseline = solidImage(4, 4);
+
+    const result = await comparator.compare('actual', 'baseline');
+
+    expect(result).toEqual(expect.objectContaining({ passed: true, diffPixels: 0, comparedPixels: 16, diffDataUrl: null }));
+  });
+
+  test('compares differing sizes over the union and emits a diff image', async () => {
+    images.actual = solidImage(4, 2);
+    images.baseline = solidImage(2, 4);
+
+    const result = await comparator.compare('actual', 'baseline');
+
+    expect(result.passed).toBe(false);
+    expect(result.dimensionMismatch).toBe(true);
+    expect(result.comparedPixels).toBe(16);
+    expect(result.diffPixels).toBe(12);
+    expect(result.diffDataUrl).toBe('diff:4x4');
+    expect(result.message).toMatch(/^Size 4x2 does not match baseline 2x4; 75\.000% of pixels differ/);
+  });
+
+  test('skips ignore regions', async () => {
+    images.actual = solidImage(4, 4);
+    images.baseline = solidImage(4, 4);
+    images.actual.data.set([0, 0, 0, 255], 0);
+
+    const result = await comparator.compare('actual', 'baseline', {
+      ignoreRegions: [{ x: 0, y: 0, width: 1, height: 1 }]
+    });
+
+    expect(result.passed).toBe(true);
+    expect(result.comparedPixels).toBe(15);
+  });
+});